@@ -1,5 +1,7 @@
 // api/auth.js
-import { authenticateWithTonie, verifyAppPassword, setCorsHeaders } from '../utils/auth.js';
+import { authorizeRequest, getRequestCredential, getClientIp, sendAuthFailure, setCorsHeaders } from '../utils/auth.js';
+import { SCOPES } from '../utils/api-keys.js';
+import { createSession, revokeSession, isSessionToken, setSessionCookie } from '../utils/sessions.js';
 
 export default async function handler(req, res) {
     // Set CORS headers
@@ -18,48 +20,94 @@ export default async function handler(req, res) {
     }
 
     try {
-        const { appPassword, action } = req.body;
+        const { action } = req.body;
+        const credential = getRequestCredential(req);
 
-        // Verify app password first
-        if (!verifyAppPassword(appPassword)) {
-            res.status(401).json({ error: 'Invalid app password' });
+        // Verify the credential first, any scope is enough to verify it
+        const auth = await authorizeRequest(credential, SCOPES, { ip: getClientIp(req) });
+        if (!auth.success) {
+            sendAuthFailure(res, auth);
 
             return;
         }
 
+        const { principal } = auth;
+
         if (action === 'verify') {
-            // Just verify app password
+            // Just verify the credential
             res.status(200).json({
                 success: true,
-                message: 'App password verified',
+                message: principal.sessionId ? 'Session verified' : principal.keyId ? 'API key verified' : 'App password verified',
+                user: principal.user,
+                scopes: principal.scopes,
+                tonies: principal.tonies,
                 timestamp: new Date().toISOString()
             });
 
             return;
         }
 
-        if (action === 'tonie-login') {
-            // Authenticate with Tonie API
-            const tonieAuth = await authenticateWithTonie();
+        if (action === 'login') {
+            // A session must not renew itself, or a stolen one would never expire
+            if (principal.sessionId) {
+                res.status(400).json({ error: 'Sessions cannot start new sessions, log in with the app password or an API key' });
 
-            if (tonieAuth.success) {
-                res.status(200).json({
-                    success: true,
-                    message: 'Successfully authenticated with Tonie API',
-                    sessionToken: tonieAuth.sessionToken,
-                    timestamp: new Date().toISOString()
-                });
-            } else {
-                res.status(401).json({
-                    error: 'Failed to authenticate with Tonie API',
-                    details: tonieAuth.error
+                return;
+            }
+
+            // Exchange the credential for a short-lived session, the Tonie token never leaves the server
+            let created;
+            try {
+                created = createSession(principal);
+            } catch (error) {
+                if (!error.status) {
+                    throw error;
+                }
+
+                res.status(error.status).json({
+                    error: 'Sessions are not configured',
+                    details: error.message
                 });
+
+                return;
+            }
+
+            setSessionCookie(req, res, created.token, created.session.expiresAt);
+
+            res.status(200).json({
+                success: true,
+                message: 'Session started',
+                sessionToken: created.token,
+                expiresAt: created.session.expiresAt,
+                user: created.session.user,
+                scopes: created.session.scopes,
+                tonies: created.session.tonies,
+                timestamp: new Date().toISOString()
+            });
+
+            return;
+        }
+
+        if (action === 'logout') {
+            if (!isSessionToken(credential)) {
+                res.status(400).json({ error: 'Only sessions can be logged out, send the session token or cookie' });
+
+                return;
             }
 
+            await revokeSession(credential);
+            setSessionCookie(req, res, null);
+
+            res.status(200).json({
+                success: true,
+                message: 'Session ended',
+                timestamp: new Date().toISOString()
+            });
+
             return;
         }
 
-        res.status(400).json({ error: 'Invalid action. Use "verify" or "tonie-login"' });
+        res.status(400).json({ error: 'Invalid action. Use "verify", "login" or "logout"' });
     } catch (error) {
         console.error('Auth error:', error);
         res.status(500).json({
@@ -0,0 +1,273 @@
+// api/chapters.js
+import { getTonieAccessToken, hasTonieAccount, authorizeRequest, getRequestCredential, getClientIp, sendAuthFailure, setCorsHeaders } from '../utils/auth.js';
+import { TonieClient, toChapterPayload } from '../utils/tonie-client.js';
+import { recordHistory } from '../utils/history.js';
+
+// Scope an API key needs for each action
+const ACTION_SCOPES = {
+    list: 'read',
+    rename: 'chapters:edit',
+    reorder: 'chapters:edit',
+    delete: 'chapters:delete'
+};
+
+const ACTIONS = Object.keys(ACTION_SCOPES);
+
+/**
+ * Map a chapter from the Tonie API to the shape returned to clients
+ */
+function mapChapter(chapter, index) {
+    return {
+        position: index + 1,
+        id: chapter.id,
+        title: chapter.title,
+        file: chapter.file,
+        seconds: chapter.seconds || 0,
+        transcoding: chapter.transcoding
+    };
+}
+
+/**
+ * Build the list response for a Creative-Tonie
+ */
+function describeTonie(tonie) {
+    const chapters = (tonie.chapters || []).map(mapChapter);
+
+    return {
+        id: tonie.id,
+        name: tonie.name,
+        chapters,
+        chaptersPresent: chapters.length,
+        chaptersRemaining: tonie.chaptersRemaining,
+        secondsPresent: chapters.reduce((total, chapter) => total + chapter.seconds, 0),
+        secondsRemaining: tonie.secondsRemaining,
+        transcoding: tonie.transcoding
+    };
+}
+
+/**
+ * Normalise the chapterIds/chapterId request fields into a list of IDs
+ */
+function getRequestedChapterIds(chapterIds, chapterId) {
+    if (Array.isArray(chapterIds)) {
+        return chapterIds;
+    }
+
+    return chapterId ? [chapterId] : [];
+}
+
+/**
+ * Apply the requested action to the current chapter list
+ * @returns {Object} Either { chapters } with the new list or { error } with a message
+ */
+function applyAction(action, chapters, { chapterId, chapterIds, title }) {
+    const knownIds = new Set(chapters.map(chapter => chapter.id));
+
+    if (action === 'rename') {
+        if (!chapterId || typeof title !== 'string' || !title.trim()) {
+            return { error: 'chapterId and a non-empty title are required to rename a chapter' };
+        }
+
+        if (!knownIds.has(chapterId)) {
+            return { error: `Chapter "${chapterId}" not found on this Creative-Tonie` };
+        }
+
+        return {
+            chapters: chapters.map(chapter => (
+                chapter.id === chapterId ? { ...chapter, title: title.trim() } : chapter
+            ))
+        };
+    }
+
+    if (action === 'reorder') {
+        if (!Array.isArray(chapterIds)) {
+            return { error: 'chapterIds must be an array containing every chapter ID in the new order' };
+        }
+
+        const uniqueIds = new Set(chapterIds);
+        const unknownIds = chapterIds.filter(id => !knownIds.has(id));
+
+        if (unknownIds.length > 0) {
+            return { error: `Unknown chapter IDs: ${unknownIds.join(', ')}` };
+        }
+
+        if (uniqueIds.size !== chapterIds.length || uniqueIds.size !== chapters.length) {
+            return { error: 'chapterIds must list every chapter of the Creative-Tonie exactly once' };
+        }
+
+        return {
+            chapters: chapterIds.map(id => chapters.find(chapter => chapter.id === id))
+        };
+    }
+
+    // delete
+    const idsToDelete = getRequestedChapterIds(chapterIds, chapterId);
+
+    if (idsToDelete.length === 0) {
+        return { error: 'chapterId or chapterIds is required to delete chapters' };
+    }
+
+    const unknownIds = idsToDelete.filter(id => !knownIds.has(id));
+    if (unknownIds.length > 0) {
+        return { error: `Unknown chapter IDs: ${unknownIds.join(', ')}` };
+    }
+
+    const deleteSet = new Set(idsToDelete);
+
+    return {
+        chapters: chapters.filter(chapter => !deleteSet.has(chapter.id))
+    };
+}
+
+/**
+ * Describe the chapters an action changes, as history items
+ */
+function describeChanges(action, chapters, { chapterId, chapterIds, title }) {
+    if (action === 'reorder') {
+        return [{ chapterIds }];
+    }
+
+    const changedIds = action === 'rename' ? [chapterId] : getRequestedChapterIds(chapterIds, chapterId);
+
+    return chapters
+        .filter(chapter => changedIds.includes(chapter.id))
+        .map(chapter => ({
+            chapterId: chapter.id,
+            title: action === 'rename' ? title.trim() : chapter.title,
+            ...(action === 'rename' && { previousTitle: chapter.title }),
+            fileId: chapter.file,
+            duration: chapter.seconds ?? null
+        }));
+}
+
+export default async function handler(req, res) {
+    // Set CORS headers
+    setCorsHeaders(res);
+
+    if (req.method === 'OPTIONS') {
+        res.status(200).end();
+        return;
+    }
+
+    if (req.method !== 'POST') {
+        res.status(405).json({ error: 'Method not allowed' });
+        return;
+    }
+
+    try {
+        const { tonieId, account, action = 'list', chapterId, chapterIds, title } = req.body;
+
+        // Verify the credential first, unknown actions are rejected below
+        const auth = await authorizeRequest(getRequestCredential(req), ACTION_SCOPES[action] || 'read', { tonieId, ip: getClientIp(req) });
+        if (!auth.success) {
+            sendAuthFailure(res, auth);
+            return;
+        }
+
+        const target = TonieClient.parseTonieId(tonieId);
+        if (!target) {
+            res.status(400).json({
+                error: 'Missing or invalid tonieId',
+                details: 'tonieId must have the format "householdId/creativeTonieId"'
+            });
+            return;
+        }
+
+        if (!ACTIONS.includes(action)) {
+            res.status(400).json({ error: `Invalid action. Use one of: ${ACTIONS.join(', ')}` });
+            return;
+        }
+
+        if (!hasTonieAccount(account)) {
+            res.status(400).json({
+                error: 'Unknown Tonie account',
+                details: `No Tonie account named "${account}" is configured`
+            });
+            return;
+        }
+
+        // Authenticate with Tonie API
+        const tonieAuth = await getTonieAccessToken({ account });
+        if (!tonieAuth.success) {
+            res.status(401).json({
+                error: 'Failed to authenticate with Tonie API',
+                details: tonieAuth.error
+            });
+            return;
+        }
+
+        const client = new TonieClient(tonieAuth.sessionToken);
+        const { householdId, creativeTonieId } = target;
+
+        // Load the current chapter list
+        const tonieResult = await client.getTonie(householdId, creativeTonieId);
+
+        if (!tonieResult.success) {
+            res.status(tonieResult.status || 500).json({
+                error: 'Failed to fetch Creative-Tonie',
+                details: tonieResult.error,
+                attempts: tonieResult.attempts
+            });
+            return;
+        }
+
+        const tonie = tonieResult.data;
+
+        if (action === 'list') {
+            res.status(200).json({
+                success: true,
+                tonie: describeTonie(tonie),
+                timestamp: new Date().toISOString()
+            });
+            return;
+        }
+
+        const chapters = tonie.chapters || [];
+        const update = applyAction(action, chapters, { chapterId, chapterIds, title });
+
+        if (update.error) {
+            res.status(400).json({
+                error: `Failed to ${action} chapters`,
+                details: update.error
+            });
+            return;
+        }
+
+        console.log(`Updating chapters of ${tonieId} (${action}): ${chapters.length} -> ${update.chapters.length}`);
+
+        // The Tonie API replaces the whole chapter list on PATCH
+        const patchResult = await client.updateChapters(householdId, creativeTonieId, update.chapters.map(toChapterPayload));
+
+        // Chapter changes are part of the audit log (see GET /api/history)
+        const changes = describeChanges(action, chapters, { chapterId, chapterIds, title });
+        await recordHistory({ action, source: 'chapters', principal: auth.principal, account, tonieId }, changes.map(change => ({
+            ...change,
+            outcome: patchResult.success ? 'success' : 'failed',
+            error: patchResult.success ? null : patchResult.error,
+            httpStatus: patchResult.success ? 200 : patchResult.status || 500
+        })));
+
+        if (!patchResult.success) {
+            res.status(patchResult.status || 500).json({
+                error: 'Failed to update chapters on Creative-Tonie',
+                details: patchResult.error,
+                attempts: patchResult.attempts
+            });
+            return;
+        }
+
+        res.status(200).json({
+            success: true,
+            action,
+            tonie: describeTonie(patchResult.data || { ...tonie, chapters: update.chapters }),
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('Chapters error:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            details: error.message
+        });
+    }
+}
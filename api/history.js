@@ -0,0 +1,57 @@
+// api/history.js
+import { authorizeRequest, getRequestCredential, getClientIp, sendAuthFailure, setCorsHeaders, canAccessTonie } from '../utils/auth.js';
+import { parseHistoryFilter, listHistory } from '../utils/history.js';
+
+export default async function handler(req, res) {
+    // Set CORS headers
+    setCorsHeaders(res);
+
+    if (req.method === 'OPTIONS') {
+        res.status(200).end();
+        return;
+    }
+
+    if (req.method !== 'GET') {
+        res.status(405).json({ error: 'Method not allowed' });
+        return;
+    }
+
+    try {
+        const { tonieId } = req.query;
+
+        // Keys limited to some Creative-Tonies may only filter by those
+        const auth = await authorizeRequest(getRequestCredential(req), 'read', { tonieId, ip: getClientIp(req) });
+        if (!auth.success) {
+            sendAuthFailure(res, auth);
+            return;
+        }
+
+        let filter;
+        try {
+            filter = parseHistoryFilter(req.query);
+        } catch (error) {
+            res.status(400).json({
+                error: 'Invalid history filter',
+                details: error.message
+            });
+            return;
+        }
+
+        // ...and only see the entries of those
+        const { entries, total } = await listHistory(filter, entry => canAccessTonie(auth.principal, entry.tonieId));
+
+        res.status(200).json({
+            success: true,
+            entries,
+            total,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('History error:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            details: error.message
+        });
+    }
+}
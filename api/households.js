@@ -1,5 +1,40 @@
 // api/households.js
-import { authenticateWithTonie, verifyAppPassword, setCorsHeaders, makeTonieApiRequest } from '../utils/auth.js';
+import { getTonieAccessToken, getTonieAccounts, authorizeRequest, getRequestCredential, canAccessTonie, getClientIp, sendAuthFailure, setCorsHeaders } from '../utils/auth.js';
+import { TonieClient } from '../utils/tonie-client.js';
+import { getCapacity, checkCapacity } from '../utils/capacity.js';
+
+/**
+ * Log in to one Tonie account and list its households
+ * @returns {Promise<Object>} { success, account, client, households } or error details with status
+ */
+async function listAccountHouseholds(account) {
+    const tonieAuth = await getTonieAccessToken({ account });
+    if (!tonieAuth.success) {
+        return {
+            success: false,
+            account,
+            status: 401,
+            error: 'Failed to authenticate with Tonie API',
+            details: tonieAuth.error
+        };
+    }
+
+    const client = new TonieClient(tonieAuth.sessionToken);
+    const householdsResult = await client.listHouseholds();
+
+    if (!householdsResult.success) {
+        return {
+            success: false,
+            account,
+            status: householdsResult.status || 500,
+            error: 'Failed to fetch households',
+            details: householdsResult.error,
+            attempts: householdsResult.attempts
+        };
+    }
+
+    return { success: true, account, client, households: householdsResult.data };
+}
 
 export default async function handler(req, res) {
     // Set CORS headers
@@ -18,79 +53,70 @@ export default async function handler(req, res) {
     }
 
     try {
-        const { appPassword, sessionToken } = req.body;
+        const { duration, chapters } = req.body;
+
+        // Optional content size used to compute the "fits" flag per tonie
+        const contentSize = {
+            seconds: Number(duration) > 0 ? Number(duration) : 0,
+            chapters: Number.isInteger(Number(chapters)) && Number(chapters) > 0 ? Number(chapters) : 1
+        };
 
-        // Verify app password first
-        if (!verifyAppPassword(appPassword)) {
-            res.status(401).json({ error: 'Invalid app password' });
+        // Verify the credential first
+        const auth = await authorizeRequest(getRequestCredential(req), 'read', { ip: getClientIp(req) });
+        if (!auth.success) {
+            sendAuthFailure(res, auth);
 
             return;
         }
 
-        // Check if session token is provided, if not authenticate
-        let accessToken = sessionToken;
-        if (!accessToken) {
-            const tonieAuth = await authenticateWithTonie();
-            if (!tonieAuth.success) {
-                res.status(401).json({
-                    error: 'Failed to authenticate with Tonie API',
-                    details: tonieAuth.error
-                });
+        const accounts = getTonieAccounts();
+        if (accounts.length === 0) {
+            res.status(401).json({
+                error: 'Failed to authenticate with Tonie API',
+                details: 'No Tonie account configured'
+            });
 
-                return;
-            }
-            accessToken = tonieAuth.sessionToken;
+            return;
         }
 
-        // Fetch households
-        const householdsResult = await makeTonieApiRequest('/households', accessToken);
+        // Fetch the households of every account side by side
+        const accountResults = await Promise.all(accounts.map(account => listAccountHouseholds(account.name)));
+        const failedAccounts = accountResults.filter(result => !result.success);
 
-        if (!householdsResult.success) {
-            res.status(householdsResult.status || 500).json({
-                error: 'Failed to fetch households',
-                details: householdsResult.error
-            });
+        // One unreachable account must not hide the households of the others
+        if (failedAccounts.length === accountResults.length) {
+            const { success, account, status, ...body } = failedAccounts[0];
+            res.status(status).json(body);
 
             return;
         }
 
-        const households = householdsResult.data;
+        const households = accountResults
+            .filter(result => result.success)
+            .flatMap(({ account, client, households: accountHouseholds }) => accountHouseholds.map(household => ({ household, account, client })));
 
         // For each household, fetch creative tonies using the correct API endpoint
         const householdsWithTonies = await Promise.all(
-            households.map(async (household) => {
+            households.map(async ({ household, account, client }) => {
                 console.log(`\n=== Fetching Creative-Tonies for household: ${household.name} (${household.id}) ===`);
 
-                // Use the correct Creative-Tonies endpoint from the API documentation
-                const endpoint = `/households/${household.id}/creativetonies`;
-                console.log(`Using endpoint: ${endpoint}`);
-                
-                const result = await makeTonieApiRequest(endpoint, accessToken);
-                let creativeTonies = [];
+                const result = await client.listCreativeTonies(household.id);
+                // API keys limited to some Creative-Tonies only see those
+                const creativeTonies = result.success
+                    ? result.data.filter(tonie => canAccessTonie(auth.principal, `${household.id}/${tonie.id}`))
+                    : [];
 
                 if (result.success) {
-                    console.log(`✅ Success with endpoint: ${endpoint}`);
-                    creativeTonies = Array.isArray(result.data) ? result.data : [];
                     console.log(`Found ${creativeTonies.length} Creative-Tonies`);
                 } else {
-                    console.log(`❌ Failed with endpoint: ${endpoint} - ${result.error}`);
-                    // If the primary endpoint fails, try the hyphenated version as fallback
-                    const fallbackEndpoint = `/households/${household.id}/creative-tonies`;
-                    console.log(`Trying fallback endpoint: ${fallbackEndpoint}`);
-                    const fallbackResult = await makeTonieApiRequest(fallbackEndpoint, accessToken);
-                    
-                    if (fallbackResult.success) {
-                        console.log(`✅ Success with fallback endpoint: ${fallbackEndpoint}`);
-                        creativeTonies = Array.isArray(fallbackResult.data) ? fallbackResult.data : [];
-                        console.log(`Found ${creativeTonies.length} Creative-Tonies`);
-                    } else {
-                        console.warn(`No Creative-Tonies found for household ${household.id}. Error: ${fallbackResult.error}`);
-                    }
+                    console.warn(`No Creative-Tonies found for household ${household.id}. Error: ${result.error}`);
                 }
 
                 // Map the creative tonies data (handle different possible structures)
                 const mappedTonies = creativeTonies.map(tonie => {
                     console.log(`Processing tonie:`, JSON.stringify(tonie, null, 2));
+                    const capacity = getCapacity(tonie);
+
                     return {
                         id: tonie.id,
                         name: tonie.name || tonie.title,
@@ -101,6 +127,9 @@ export default async function handler(req, res) {
                         chaptersCount: tonie.chapters ? tonie.chapters.length : 0,
                         totalLength: tonie.totalLength,
                         lastContent: tonie.lastContent,
+                        secondsRemaining: capacity.secondsRemaining,
+                        chaptersRemaining: capacity.chaptersRemaining,
+                        fits: checkCapacity(capacity, contentSize).fits,
                         // Include raw data for debugging
                         _raw: tonie
                     };
@@ -108,6 +137,7 @@ export default async function handler(req, res) {
 
                 return {
                     ...household,
+                    account,
                     creativeTonies: mappedTonies
                 };
             })
@@ -116,6 +146,10 @@ export default async function handler(req, res) {
         res.status(200).json({
             success: true,
             households: householdsWithTonies,
+            accounts: accounts.map(account => account.name),
+            ...(failedAccounts.length > 0 && {
+                accountErrors: failedAccounts.map(({ account, error, details }) => ({ account, error, details }))
+            }),
             timestamp: new Date().toISOString()
         });
 
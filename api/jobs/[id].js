@@ -0,0 +1,56 @@
+// api/jobs/[id].js
+import { authorizeRequest, getRequestCredential, getClientIp, sendAuthFailure, setCorsHeaders } from '../../utils/auth.js';
+import { getJob, canAccessJob, canFollowJobs, sendJobsUnavailable } from '../../utils/jobs.js';
+
+export default async function handler(req, res) {
+    // Set CORS headers
+    setCorsHeaders(res);
+
+    if (req.method === 'OPTIONS') {
+        res.status(200).end();
+        return;
+    }
+
+    if (req.method !== 'GET') {
+        res.status(405).json({ error: 'Method not allowed' });
+        return;
+    }
+
+    try {
+        // Uploaders follow their own jobs, read-only keys may look at them too
+        const auth = await authorizeRequest(getRequestCredential(req), ['read', 'upload'], { ip: getClientIp(req) });
+        if (!auth.success) {
+            sendAuthFailure(res, auth);
+            return;
+        }
+
+        if (!canFollowJobs()) {
+            sendJobsUnavailable(res);
+            return;
+        }
+
+        const { id } = req.query;
+        const job = await getJob(id);
+
+        // Jobs of others are not revealed, not even that they exist
+        if (!job || !canAccessJob(auth.principal, job)) {
+            res.status(404).json({
+                error: 'Job not found',
+                details: `No job with ID "${id}". Finished jobs are removed after 24 hours`
+            });
+            return;
+        }
+
+        res.status(200).json({
+            success: true,
+            job
+        });
+
+    } catch (error) {
+        console.error('Job status error:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            details: error.message
+        });
+    }
+}
@@ -0,0 +1,136 @@
+// api/jobs/[id]/events.js
+import { authorizeRequest, getRequestCredential, getClientIp, sendAuthFailure, setCorsHeaders } from '../../../utils/auth.js';
+import { getJob, isValidJobId, canAccessJob, canFollowJobs, sendJobsUnavailable } from '../../../utils/jobs.js';
+
+const POLL_INTERVAL = 500; // Jobs may run in another instance, so the store is polled
+const HEARTBEAT_INTERVAL = 15000; // Keeps proxies from closing an idle stream
+const JOB_WAIT_TIMEOUT = 30000; // Upload IDs are subscribed to before the upload request creates the job
+const MAX_STREAM_DURATION = 1800000; // 30 minutes, the longest a job may download
+
+/**
+ * Write a single Server-Sent Event
+ */
+function sendEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+export default async function handler(req, res) {
+    // Set CORS headers
+    setCorsHeaders(res);
+
+    if (req.method === 'OPTIONS') {
+        res.status(200).end();
+        return;
+    }
+
+    if (req.method !== 'GET') {
+        res.status(405).json({ error: 'Method not allowed' });
+        return;
+    }
+
+    // The stream has started once the event-stream headers are sent, later errors are sent as event
+    let streaming = false;
+
+    try {
+        // Verify the credential (EventSource cannot send headers, so it comes as query parameter)
+        const auth = await authorizeRequest(getRequestCredential(req), ['read', 'upload'], { ip: getClientIp(req) });
+        if (!auth.success) {
+            sendAuthFailure(res, auth);
+            return;
+        }
+
+        // Without a shared store the job usually runs in another instance and would never be found
+        if (!canFollowJobs()) {
+            sendJobsUnavailable(res);
+            return;
+        }
+
+        const { id } = req.query;
+
+        if (!isValidJobId(id)) {
+            res.status(400).json({ error: 'Invalid job ID' });
+            return;
+        }
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        streaming = true;
+
+        // Ask EventSource to wait a bit longer before reconnecting after the stream ends
+        res.write('retry: 5000\n\n');
+
+        const startedAt = Date.now();
+        let lastUpdate = null;
+        let lastHeartbeat = startedAt;
+        let closed = false;
+
+        req.on('close', () => {
+            closed = true;
+        });
+
+        while (!closed) {
+            // Jobs of others look like jobs that do not exist (yet)
+            const storedJob = await getJob(id);
+            const job = storedJob && canAccessJob(auth.principal, storedJob) ? storedJob : null;
+            const now = Date.now();
+
+            if (!job) {
+                if (now - startedAt > JOB_WAIT_TIMEOUT) {
+                    sendEvent(res, 'error', { error: 'Job not found', details: `No job with ID "${id}"` });
+                    break;
+                }
+            } else if (job.updatedAt !== lastUpdate) {
+                lastUpdate = job.updatedAt;
+
+                if (job.status === 'completed' || job.status === 'failed') {
+                    sendEvent(res, job.status === 'completed' ? 'success' : 'error', {
+                        jobId: job.id,
+                        status: job.status,
+                        httpStatus: job.httpStatus,
+                        error: job.error,
+                        result: job.result
+                    });
+                    break;
+                }
+
+                sendEvent(res, 'progress', {
+                    jobId: job.id,
+                    status: job.status,
+                    phase: job.phase,
+                    progress: job.progress
+                });
+                lastHeartbeat = now;
+            }
+
+            if (now - startedAt > MAX_STREAM_DURATION) {
+                sendEvent(res, 'error', { error: 'Progress stream timed out', jobId: id });
+                break;
+            }
+
+            if (now - lastHeartbeat > HEARTBEAT_INTERVAL) {
+                res.write(': heartbeat\n\n');
+                lastHeartbeat = now;
+            }
+
+            await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL));
+        }
+    } catch (error) {
+        console.error('Job events error:', error);
+
+        if (!streaming) {
+            res.status(500).json({
+                error: 'Internal server error',
+                details: error.message
+            });
+            return;
+        }
+
+        sendEvent(res, 'error', { error: 'Internal server error', details: error.message });
+    }
+
+    res.end();
+}
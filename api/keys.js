@@ -0,0 +1,123 @@
+// api/keys.js
+import { authorizeRequest, getRequestCredential, getClientIp, sendAuthFailure, setCorsHeaders } from '../utils/auth.js';
+import { createApiKey, listApiKeys, revokeApiKey, SCOPES } from '../utils/api-keys.js';
+
+const ACTIONS = ['list', 'create', 'revoke'];
+
+/**
+ * Check whether keys limited to the given Creative-Tonies stay within those of the principal.
+ * Admin keys limited to some Creative-Tonies must not create or manage keys that reach others.
+ */
+function isWithinTonies(principal, tonies) {
+    return !principal.tonies || (Array.isArray(tonies) && tonies.length > 0 && tonies.every(tonie => principal.tonies.includes(tonie)));
+}
+
+export default async function handler(req, res) {
+    // Set CORS headers
+    setCorsHeaders(res);
+
+    if (req.method === 'OPTIONS') {
+        res.status(200).end();
+        return;
+    }
+
+    if (req.method !== 'POST') {
+        res.status(405).json({ error: 'Method not allowed' });
+        return;
+    }
+
+    try {
+        const { action = 'list', user, name, scopes, tonies, keyId } = req.body;
+
+        // Only the owner and admin keys manage API keys
+        const auth = await authorizeRequest(getRequestCredential(req), 'admin', { ip: getClientIp(req) });
+        if (!auth.success) {
+            sendAuthFailure(res, auth);
+            return;
+        }
+
+        if (!ACTIONS.includes(action)) {
+            res.status(400).json({ error: `Invalid action. Use one of: ${ACTIONS.join(', ')}` });
+            return;
+        }
+
+        if (action === 'list') {
+            res.status(200).json({
+                success: true,
+                keys: (await listApiKeys({ user })).filter(key => isWithinTonies(auth.principal, key.tonies)),
+                scopes: SCOPES,
+                timestamp: new Date().toISOString()
+            });
+            return;
+        }
+
+        if (action === 'create') {
+            if (!isWithinTonies(auth.principal, tonies)) {
+                res.status(403).json({
+                    error: 'Insufficient permissions',
+                    details: `This API key may only create keys limited to its own Creative-Tonies: ${auth.principal.tonies.join(', ')}`
+                });
+                return;
+            }
+
+            let created;
+            try {
+                created = await createApiKey({ user, name, scopes, tonies });
+            } catch (error) {
+                if (!error.status) {
+                    throw error;
+                }
+
+                res.status(error.status).json({
+                    error: 'Invalid API key options',
+                    details: error.message
+                });
+                return;
+            }
+
+            console.log(`API key ${created.apiKey.id} created by ${auth.principal.user}`);
+
+            res.status(201).json({
+                success: true,
+                message: 'API key created. Store it now, it cannot be shown again',
+                key: created.key,
+                apiKey: created.apiKey,
+                timestamp: new Date().toISOString()
+            });
+            return;
+        }
+
+        // revoke
+        if (!keyId) {
+            res.status(400).json({ error: 'keyId is required to revoke an API key' });
+            return;
+        }
+
+        // Keys outside the Creative-Tonies of the principal are treated as unknown
+        const existing = (await listApiKeys()).find(key => key.id === keyId);
+        const revoked = existing && isWithinTonies(auth.principal, existing.tonies) ? await revokeApiKey(keyId) : null;
+
+        if (!revoked) {
+            res.status(404).json({
+                error: 'API key not found',
+                details: `No API key with ID "${keyId}"`
+            });
+            return;
+        }
+
+        console.log(`API key ${keyId} revoked by ${auth.principal.user}`);
+
+        res.status(200).json({
+            success: true,
+            apiKey: revoked,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('API keys error:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            details: error.message
+        });
+    }
+}
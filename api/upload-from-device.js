@@ -1,178 +1,306 @@
 // api/upload-from-device.js
-import { authenticateWithTonie, verifyAppPassword, setCorsHeaders, makeTonieApiRequest } from '../utils/auth.js';
-
-// Supported audio formats based on Tonie API documentation
-const SUPPORTED_FORMATS = [
-    'aac', 'aiff', 'aif', 'flac', 'mp3', 'm4a', 'm4b',
-    'oga', 'ogg', 'opus', 'wav', 'wma'
-];
+import { getTonieAccessToken, hasTonieAccount, authorizeRequest, authorizeTonie, getRequestCredential, getClientIp, sendAuthFailure, setCorsHeaders } from '../utils/auth.js';
+import { parseMultipartStream, removeUploadedFiles } from '../utils/multipart.js';
+import { TonieClient, validateFile } from '../utils/tonie-client.js';
+import { getCapacity, checkCapacity } from '../utils/capacity.js';
+import { probeAudioFile, correctExtension } from '../utils/audio-probe.js';
+import { runTranscodingStage, needsTranscoding } from '../utils/transcode.js';
+import { createJob, startJob, updateJob, finishJob, createProgressReporter, getUploadId, canFollowJobs, supportsBackgroundJobs, sendBackgroundJobsUnavailable } from '../utils/jobs.js';
+import { recordUploadOutcome, sendUploadFailure } from '../utils/history.js';
+import { parseDuplicateAction, fingerprintFile, createDuplicateCheck, getDuplicateOutcome } from '../utils/duplicates.js';
 
 const MAX_FILE_SIZE = 1073741824; // 1 GB in bytes
-const MAX_FILENAME_LENGTH = 128;
 
 /**
- * Validate uploaded file against Tonie API requirements
+ * Resolve the chapter title for every uploaded file.
+ * Titles come from repeated "title" fields or a JSON "titles" array, in file order;
+ * files without a title fall back to their filename without extension.
  */
-function validateFile(file, filename) {
-    const errors = [];
+function resolveTitles(files, fieldValues) {
+    let titles = fieldValues.title || [];
 
-    // Check file size (max 1 GB)
-    if (file.length > MAX_FILE_SIZE) {
-        errors.push(`File size (${Math.round(file.length / 1024 / 1024)}MB) exceeds maximum allowed size of 1GB`);
+    if (fieldValues.titles) {
+        const parsedTitles = JSON.parse(fieldValues.titles[fieldValues.titles.length - 1]);
+        if (!Array.isArray(parsedTitles)) {
+            throw new Error('titles must be a JSON array of strings');
+        }
+        titles = parsedTitles;
     }
 
-    // Check filename length (max 128 characters)
-    if (filename.length > MAX_FILENAME_LENGTH) {
-        errors.push(`Filename length (${filename.length}) exceeds maximum allowed length of 128 characters`);
-    }
+    return files.map((file, index) => {
+        const title = typeof titles[index] === 'string' ? titles[index].trim() : '';
 
-    // Check file format
-    const extension = filename.toLowerCase().split('.').pop();
-    if (!SUPPORTED_FORMATS.includes(extension)) {
-        errors.push(`File format "${extension}" is not supported. Supported formats: ${SUPPORTED_FORMATS.join(', ')}`);
-    }
+        return title || file.filename.replace(/\.[^.]+$/, '');
+    });
+}
+
+/**
+ * Resolve the optional client-reported duration (in seconds) of every uploaded file.
+ * Durations come from repeated "duration" fields in file order; unknown durations are null.
+ */
+function resolveDurations(files, fieldValues) {
+    const durations = fieldValues.duration || [];
 
-    return errors;
+    return files.map((file, index) => {
+        const duration = Number(durations[index]);
+
+        return Number.isFinite(duration) && duration > 0 ? duration : null;
+    });
 }
 
 /**
- * Parse multipart form data manually (since Vercel doesn't support multer)
- * More robust version with better error handling
+ * Probe, transcode, validate and upload received files as chapters.
+ * The files are removed once the upload is done.
+ * @param {Object} input - Received files with their titles and durations, target tonieId and debug flag
+ * @param {string} input.onDuplicate - What to do with files already on the Creative-Tonie (see utils/duplicates.js)
+ * @param {Function} [input.onProgress] - Called with the current phase and byte progress (see utils/jobs.js)
+ * @returns {Promise<Object>} { status, body } of the response
  */
-function parseMultipartData(body, contentType) {
-    console.log('Starting parseMultipartData...');
+async function processDeviceUpload({ uploadedFiles, titles, durations, tonieId, account, onDuplicate, debug, onProgress = () => {} }) {
+    const transcodedFiles = [];
+    let duplicates = null;
 
-    const boundaryMatch = contentType.match(/boundary=([^;]+)/);
-    if (!boundaryMatch) {
-        throw new Error('Invalid multipart data: no boundary found in content-type');
-    }
+    try {
+        // Detect the real audio format of every file from its content
+        const audioInfos = await Promise.all(uploadedFiles.map(file => probeAudioFile(file.path)));
 
-    const boundary = boundaryMatch[1].replace(/"/g, ''); // Remove quotes if present
-    console.log(`Boundary: ${boundary}`);
+        // Convert formats the Tonie cloud does not accept, one file at a time
+        const preparedFiles = [];
+        for (const [index, file] of uploadedFiles.entries()) {
+            const input = { path: file.path, filename: file.filename, audioInfo: audioInfos[index] };
 
-    // Split by boundary
-    const parts = body.split(`--${boundary}`);
-    console.log(`Found ${parts.length} parts`);
+            if (needsTranscoding(input.filename, input.audioInfo)) {
+                onProgress({ phase: 'transcoding', file: index + 1, files: uploadedFiles.length });
+            }
 
-    const fields = {};
-    let fileData = null;
-    let filename = '';
+            try {
+                const prepared = await runTranscodingStage(input);
+                if (prepared.transcoding) {
+                    transcodedFiles.push({ path: prepared.path });
+                }
+                preparedFiles.push(prepared);
+            } catch (error) {
+                console.error(`Transcoding "${file.filename}" failed:`, error.message);
+                preparedFiles.push({ ...input, transcoding: null, transcodingError: error.message });
+            }
+        }
 
-    for (let i = 0; i < parts.length; i++) {
-        const part = parts[i];
-        console.log(`Processing part ${i}, length: ${part.length}`);
+        // Validate every file up front; invalid files are reported but do not stop the batch
+        const results = uploadedFiles.map((file, index) => {
+            const prepared = preparedFiles[index];
+            const { audioInfo } = prepared;
+            const fileSize = prepared.transcoding ? prepared.transcoding.fileSize : file.size;
+            const validationErrors = prepared.transcodingError
+                ? [`Transcoding failed: ${prepared.transcodingError}`]
+                : validateFile(fileSize, prepared.filename, audioInfo, MAX_FILE_SIZE);
+            const filename = correctExtension(prepared.filename, audioInfo);
+
+            return {
+                index,
+                filename,
+                ...(filename !== file.filename && { originalFilename: file.filename }),
+                title: titles[index],
+                fileSize,
+                // Probed duration wins over the one reported by the client
+                duration: audioInfo.duration ?? durations[index],
+                audioInfo,
+                transcoding: prepared.transcoding,
+                ...(validationErrors.length > 0 && {
+                    success: false,
+                    status: 400,
+                    error: 'File validation failed',
+                    details: validationErrors
+                })
+            };
+        });
+
+        const validResults = results.filter(result => result.success !== false);
 
-        if (!part.includes('Content-Disposition')) {
-            console.log(`Skipping part ${i} - no Content-Disposition`);
-            continue;
+        if (validResults.length === 0) {
+            return {
+                status: 400,
+                body: {
+                    error: 'File validation failed',
+                    details: results.length === 1 ? results[0].details : undefined,
+                    results
+                }
+            };
         }
 
-        try {
-            const lines = part.split('\r\n');
-            const disposition = lines.find(line => line.includes('Content-Disposition'));
+        // Debug mode: if title starts with "DEBUG", return parsing info without uploading
+        if (debug) {
+            return {
+                status: 200,
+                body: {
+                    success: true,
+                    debug: true,
+                    message: 'Debug mode - multipart parsing successful',
+                    parsedData: {
+                        files: results,
+                        tonieId,
+                        validationPassed: validResults.length === results.length
+                    }
+                }
+            };
+        }
 
-            if (!disposition) {
-                console.log(`Skipping part ${i} - no disposition line found`);
-                continue;
-            }
+        // Authenticate with Tonie API
+        console.log('Authenticating with Tonie API...');
+        const tonieAuth = await getTonieAccessToken({ account });
+        if (!tonieAuth.success) {
+            return {
+                status: 401,
+                body: {
+                    error: 'Failed to authenticate with Tonie API',
+                    details: tonieAuth.error
+                }
+            };
+        }
 
-            console.log(`Disposition: ${disposition}`);
+        const client = new TonieClient(tonieAuth.sessionToken);
+        const { householdId, creativeTonieId } = TonieClient.parseTonieId(tonieId);
 
-            // Parse field name
-            const nameMatch = disposition.match(/name="([^"]+)"/);
-            if (!nameMatch) {
-                console.log(`Skipping part ${i} - no name found`);
-                continue;
-            }
+        // Verify the Creative-Tonie exists before uploading anything
+        console.log('Verifying Creative-Tonie exists...');
+        const targetResult = await client.findCreativeTonie(householdId, creativeTonieId);
 
-            const fieldName = nameMatch[1];
-            console.log(`Field name: ${fieldName}`);
+        if (!targetResult.success) {
+            const { success, status, ...body } = targetResult;
+            return { status, body };
+        }
 
-            // Check if this is a file field
-            const filenameMatch = disposition.match(/filename="([^"]+)"/);
+        const targetTonie = targetResult.tonie;
 
-            if (filenameMatch) {
-                // This is a file
-                filename = filenameMatch[1];
-                console.log(`File field found: ${filename}`);
+        // Files already on the Creative-Tonie are refused, skipped, replaced or allowed as requested.
+        // The received content is fingerprinted, transcoded files differ from one conversion to the next.
+        duplicates = createDuplicateCheck({ client, householdId, creativeTonieId, chapters: targetTonie.chapters, onDuplicate });
+        const fingerprints = await Promise.all(uploadedFiles.map(file => fingerprintFile(file.path)));
 
-                const dataStartIndex = part.indexOf('\r\n\r\n') + 4;
-                const dataEndIndex = part.lastIndexOf('\r\n');
+        for (const result of validResults) {
+            Object.assign(result, getDuplicateOutcome(await duplicates.check(fingerprints[result.index])));
+        }
 
-                if (dataStartIndex < 4 || dataEndIndex <= dataStartIndex) {
-                    console.error(`Invalid file data boundaries: start=${dataStartIndex}, end=${dataEndIndex}`);
-                    continue;
-                }
+        const pendingResults = validResults.filter(result => result.success !== false && !result.skipped);
 
-                fileData = Buffer.from(part.slice(dataStartIndex, dataEndIndex), 'binary');
-                console.log(`File data extracted: ${fileData.length} bytes`);
-            } else {
-                // This is a regular field
-                const dataStartIndex = part.indexOf('\r\n\r\n') + 4;
-                const dataEndIndex = part.lastIndexOf('\r\n');
+        // Reject early if the files do not fit onto the Creative-Tonie
+        const capacityCheck = checkCapacity(getCapacity(targetTonie), {
+            seconds: pendingResults.reduce((total, result) => total + (result.duration || 0), 0),
+            chapters: pendingResults.length
+        });
 
-                if (dataStartIndex < 4 || dataEndIndex <= dataStartIndex) {
-                    console.log(`Invalid field data boundaries for ${fieldName}`);
-                    continue;
+        if (!capacityCheck.fits) {
+            console.error(`Capacity check failed: ${capacityCheck.error}`);
+            return {
+                status: 409,
+                body: {
+                    error: 'Not enough space on Creative-Tonie',
+                    details: capacityCheck.error,
+                    capacity: capacityCheck
                 }
+            };
+        }
+
+        // Upload files one after another so chapters are appended in the given order
+        for (const result of pendingResults) {
+            const prepared = preparedFiles[result.index];
+            const fingerprint = fingerprints[result.index];
 
-                fields[fieldName] = part.slice(dataStartIndex, dataEndIndex);
-                console.log(`Field ${fieldName}: ${fields[fieldName]}`);
+            // The same file may be sent twice in one batch
+            const duplicate = await duplicates.check(fingerprint);
+            const duplicateOutcome = getDuplicateOutcome(duplicate);
+            if (duplicateOutcome) {
+                Object.assign(result, duplicateOutcome);
+                continue;
             }
-        } catch (error) {
-            console.error(`Error processing part ${i}:`, error);
-            continue;
+
+            onProgress({ file: result.index + 1, files: results.length });
+            const upload = await client.uploadChapter(prepared.path, result.filename, result.title, householdId, creativeTonieId, onProgress);
+            Object.assign(result, await duplicates.finish(fingerprint, duplicate, upload));
         }
-    }
 
-    console.log('Parsing complete:', {
-        fieldsCount: Object.keys(fields).length,
-        hasFileData: !!fileData,
-        filename
-    });
+        const uploaded = results.filter(result => result.success && !result.skipped);
+        const skipped = results.filter(result => result.skipped);
+        const failed = results.filter(result => !result.success);
+        const lastUpload = uploaded[uploaded.length - 1];
+
+        // Chapter data is the full Creative-Tonie, so only the latest state is returned
+        const fileResults = results.map(({ chapterData, ...result }) => result);
+
+        // Single file uploads keep the plain success/error response
+        if (results.length === 1) {
+            const [result] = results;
+
+            if (!result.success) {
+                return {
+                    status: result.status,
+                    body: {
+                        error: result.error,
+                        details: result.details,
+                        duplicate: result.duplicate,
+                        results: fileResults
+                    }
+                };
+            }
 
-    return { fields, fileData, filename };
-}
+            if (result.skipped) {
+                return {
+                    status: 200,
+                    body: {
+                        success: true,
+                        skipped: true,
+                        message: `Skipped "${result.originalFilename || result.filename}", it already is chapter "${result.duplicate.title}"`,
+                        duplicate: result.duplicate,
+                        results: fileResults,
+                        timestamp: new Date().toISOString()
+                    }
+                };
+            }
 
-/**
- * Upload file to Amazon S3 using the provided upload request
- */
-async function uploadToS3(uploadRequest, fileData, filename) {
-    // For Node.js environment, we need to use a different approach for multipart uploads
-    const boundary = `----formdata-${Math.random().toString(36).substring(2)}`;
-    let body = '';
-
-    // Add all the fields from the upload request
-    Object.entries(uploadRequest.request.fields).forEach(([key, value]) => {
-        body += `--${boundary}\r\n`;
-        body += `Content-Disposition: form-data; name="${key}"\r\n\r\n`;
-        body += `${value}\r\n`;
-    });
+            return {
+                status: 200,
+                body: {
+                    success: true,
+                    message: `Successfully uploaded "${result.originalFilename || result.filename}" as chapter "${result.title}"`,
+                    fileId: result.fileId,
+                    audioInfo: result.audioInfo,
+                    transcoding: result.transcoding,
+                    duplicate: result.duplicate,
+                    chapterData: result.chapterData,
+                    results: fileResults,
+                    timestamp: new Date().toISOString()
+                }
+            };
+        }
 
-    // Add the file last (this is important for S3)
-    body += `--${boundary}\r\n`;
-    body += `Content-Disposition: form-data; name="file"; filename="${filename}"\r\n`;
-    body += `Content-Type: application/octet-stream\r\n\r\n`;
-
-    // Convert body to Buffer and append file data
-    const bodyBuffer = Buffer.from(body, 'utf8');
-    const endBoundary = Buffer.from(`\r\n--${boundary}--\r\n`, 'utf8');
-    const completeBody = Buffer.concat([bodyBuffer, fileData, endBoundary]);
-
-    const response = await fetch(uploadRequest.request.url, {
-        method: 'POST',
-        headers: {
-            'Content-Type': `multipart/form-data; boundary=${boundary}`
-        },
-        body: completeBody
-    });
+        if (uploaded.length === 0 && failed.length > 0) {
+            return {
+                status: failed[0].status || 500,
+                body: {
+                    error: 'Failed to upload all files',
+                    results: fileResults
+                }
+            };
+        }
 
-    if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`S3 upload failed: ${response.status} ${errorText}`);
+        return {
+            status: failed.length > 0 ? 207 : 200,
+            body: {
+                success: failed.length === 0,
+                partial: failed.length > 0,
+                message: `Uploaded ${uploaded.length} of ${results.length} files as chapters${skipped.length > 0 ? `, skipped ${skipped.length} already on the Creative-Tonie` : ''}`,
+                uploaded: uploaded.length,
+                skipped: skipped.length,
+                failed: failed.length,
+                results: fileResults,
+                chapterData: lastUpload?.chapterData,
+                timestamp: new Date().toISOString()
+            }
+        };
+    } finally {
+        // Clean up temporary files and reservations of files that were not uploaded
+        await removeUploadedFiles([...uploadedFiles, ...transcodedFiles]);
+        await duplicates?.release();
     }
-
-    return uploadRequest.fileId;
 }
 
 export default async function handler(req, res) {
@@ -189,6 +317,13 @@ export default async function handler(req, res) {
         return;
     }
 
+    let uploadedFiles = [];
+    let job = null;
+    let jobStarted = false;
+    let onProgress = () => {};
+    // Every attempt that passed authentication ends up in the history (see GET /api/history)
+    let history = null;
+
     try {
         const contentType = req.headers['content-type'];
 
@@ -199,247 +334,230 @@ export default async function handler(req, res) {
             return;
         }
 
-        // Parse multipart form data
-        console.log('Starting multipart parsing...');
-        let rawBody;
-        try {
-            rawBody = await new Promise((resolve, reject) => {
-                let data = '';
-                req.setEncoding('binary');
-                req.on('data', chunk => {
-                    console.log(`Received chunk of size: ${chunk.length}`);
-                    data += chunk;
+        // Credentials in headers are checked before the body is read, credentials in form fields before the first file
+        // is stored. The Creative-Tonie is only known once the fields are parsed and is checked afterwards.
+        let auth = null;
+        const authorize = async (fields) => {
+            auth ??= await authorizeRequest(getRequestCredential(req, fields), 'upload', { ip: getClientIp(req) });
+            return auth;
+        };
+
+        if (getRequestCredential(req, {})) {
+            await authorize({});
+            if (!auth.success) {
+                sendAuthFailure(res, auth);
+                return;
+            }
+        }
+
+        // Clients that want to follow the upload pass their own ID, so the job exists while the body is received.
+        // Where jobs cannot be followed the ID is ignored and the upload simply runs without progress.
+        const uploadId = canFollowJobs() ? getUploadId(req) : null;
+        if (uploadId) {
+            if (!auth) {
+                res.status(401).json({
+                    error: 'Missing credential',
+                    details: 'Uploads with an upload ID need the credential in the Authorization or X-App-Password header'
                 });
-                req.on('end', () => {
-                    console.log(`Total body size: ${data.length}`);
-                    resolve(data);
+                return;
+            }
+
+            try {
+                job = await createJob('device', { user: auth.principal.user, keyId: auth.principal.keyId }, uploadId);
+            } catch (error) {
+                res.status(error.status || 500).json({
+                    error: 'Invalid upload ID',
+                    details: error.message
                 });
-                req.on('error', reject);
-            });
-        } catch (error) {
-            console.error('Error reading request body:', error);
-            res.status(400).json({
-                error: 'Failed to read request body',
-                details: error.message
-            });
-            return;
+                return;
+            }
+
+            onProgress = createProgressReporter(job.id);
+            onProgress({ phase: 'receiving', bytesTotal: parseInt(req.headers['content-length'], 10) || null });
         }
 
+        // Parse multipart form data, streaming file parts to /tmp
         console.log('Parsing multipart data...');
         let parsedData;
         try {
-            parsedData = parseMultipartData(rawBody, contentType);
+            parsedData = await parseMultipartStream(req, contentType, {
+                maxFileSize: MAX_FILE_SIZE,
+                onProgress: bytesDone => onProgress({ bytesDone }),
+                beforeFile: async (fields) => {
+                    if (!(await authorize(fields)).success) {
+                        throw Object.assign(new Error(auth.error), { auth });
+                    }
+                }
+            });
         } catch (error) {
+            if (error.auth) {
+                sendAuthFailure(res, error.auth);
+                return;
+            }
+
             console.error('Error parsing multipart data:', error);
-            res.status(400).json({
+            res.status(error.status || 400).json({
                 error: 'Failed to parse multipart data',
                 details: error.message
             });
             return;
         }
 
-        const { fields, fileData, filename } = parsedData;
+        uploadedFiles = parsedData.files;
+
+        const { fields, fieldValues } = parsedData;
+
+        // Requests without files have not been authorized yet
+        if (!(await authorize(fields)).success) {
+            sendAuthFailure(res, auth);
+            return;
+        }
 
         // Validate required fields
-        const { appPassword, tonieId, title } = fields;
+        const { tonieId, account } = fields;
+        history = { source: 'device', principal: auth.principal, account, tonieId };
 
-        console.log('Parsed fields:', { appPassword: '***', tonieId, title, filename, fileSize: fileData?.length });
+        console.log('Parsed fields:', {
+            user: auth.principal.user,
+            tonieId,
+            files: uploadedFiles.map(file => ({ filename: file.filename, fileSize: file.size }))
+        });
 
-        if (!appPassword || !tonieId || !title || !fileData) {
-            res.status(400).json({
-                error: 'Missing required fields: appPassword, tonieId, title, and file are required',
+        if (!tonieId || uploadedFiles.length === 0) {
+            await sendUploadFailure(res, history, 400, {
+                error: 'Missing required fields: tonieId and at least one file are required',
                 debug: {
-                    hasAppPassword: !!appPassword,
                     hasTonieId: !!tonieId,
-                    hasTitle: !!title,
-                    hasFileData: !!fileData,
-                    filename
+                    filesCount: uploadedFiles.length
                 }
             });
             return;
         }
 
-        // Verify app password
-        if (!verifyAppPassword(appPassword)) {
-            res.status(401).json({ error: 'Invalid app password' });
+        // Verify the credential may upload to this Creative-Tonie
+        const tonieAccess = authorizeTonie(auth.principal, tonieId);
+        if (!tonieAccess.success) {
+            sendAuthFailure(res, tonieAccess);
             return;
         }
 
-        // Validate file
-        const validationErrors = validateFile(fileData, filename);
-        if (validationErrors.length > 0) {
-            res.status(400).json({
-                error: 'File validation failed',
-                details: validationErrors
+        if (!TonieClient.parseTonieId(tonieId)) {
+            await sendUploadFailure(res, history, 400, {
+                error: 'Invalid tonieId',
+                details: 'tonieId must have the format "householdId/creativeTonieId"'
             });
             return;
         }
 
-        // Debug mode: if title starts with "DEBUG", return parsing info without uploading
-        if (title.startsWith('DEBUG')) {
-            res.status(200).json({
-                success: true,
-                debug: true,
-                message: 'Debug mode - multipart parsing successful',
-                parsedData: {
-                    filename,
-                    fileSize: fileData.length,
-                    title,
-                    tonieId,
-                    validationPassed: true
-                }
+        if (!hasTonieAccount(account)) {
+            await sendUploadFailure(res, history, 400, {
+                error: 'Unknown Tonie account',
+                details: `No Tonie account named "${account}" is configured`
             });
             return;
         }
 
-        // Authenticate with Tonie API
-        console.log('Authenticating with Tonie API...');
-        const tonieAuth = await authenticateWithTonie();
-        if (!tonieAuth.success) {
-            res.status(401).json({
-                error: 'Failed to authenticate with Tonie API',
-                details: tonieAuth.error
+        const durations = resolveDurations(uploadedFiles, fieldValues);
+
+        let titles;
+        try {
+            titles = resolveTitles(uploadedFiles, fieldValues);
+        } catch (error) {
+            await sendUploadFailure(res, history, 400, {
+                error: 'Invalid titles field',
+                details: error.message
             });
             return;
         }
 
-        const accessToken = tonieAuth.sessionToken;
-
-        // Step 1: Request upload URL from Tonie API
-        console.log('Requesting upload URL from Tonie API...');
-        const uploadRequestResult = await makeTonieApiRequest('/file', accessToken, {
-            method: 'POST'
-        });
-
-        if (!uploadRequestResult.success) {
-            res.status(uploadRequestResult.status || 500).json({
-                error: 'Failed to get upload URL from Tonie API',
-                details: uploadRequestResult.error
+        let onDuplicate;
+        try {
+            onDuplicate = parseDuplicateAction(fields.onDuplicate);
+        } catch (error) {
+            await sendUploadFailure(res, history, 400, {
+                error: 'Invalid onDuplicate field',
+                details: error.message
             });
             return;
         }
 
-        const uploadRequest = uploadRequestResult.data;
-        console.log(`Received upload request with fileId: ${uploadRequest.fileId}`);
-
-        // Debug: log upload request structure
-        console.log('Upload request structure:', {
-            fileId: uploadRequest.fileId,
-            url: uploadRequest.request?.url,
-            fieldsCount: Object.keys(uploadRequest.request?.fields || {}).length
-        });
-
-        // Step 2: Upload file to Amazon S3
-        console.log('Uploading file to Amazon S3...');
-        try {
-            const fileId = await uploadToS3(uploadRequest, fileData, filename);
-            console.log(`File uploaded successfully with ID: ${fileId}`);
-
-            // Step 3: Add chapter to Creative-Tonie
-            console.log(`Adding chapter "${title}" to tonie ${tonieId}...`);
-
-            // Parse tonieId to extract household and tonie IDs
-            const [householdId, creativeTonnieId] = tonieId.split('/');
-            console.log(`Parsed household ID: ${householdId}, Creative-Tonie ID: ${creativeTonnieId}`);
-
-            // First, let's verify the Creative-Tonie exists by getting household data
-            console.log('Verifying Creative-Tonie exists...');
-            const householdResult = await makeTonieApiRequest(
-                `/households/${householdId}/creativetonies`,
-                accessToken
-            );
-
-            if (!householdResult.success) {
-                console.error('Failed to get household Creative-Tonies:', householdResult.error);
-                res.status(householdResult.status || 500).json({
-                    error: 'Failed to verify Creative-Tonie exists',
-                    details: householdResult.error,
-                    debug: {
-                        householdId,
-                        creativeTonnieId,
-                        endpoint: `/households/${householdId}/creativetonies`
-                    }
-                });
-                return;
-            }
+        const asyncMode = fields.async === 'true';
+        if (asyncMode && !supportsBackgroundJobs()) {
+            sendBackgroundJobsUnavailable(res);
+            return;
+        }
 
-            // Check if the Creative-Tonie ID exists
-            const creativetonies = householdResult.data || [];
-            const targetTonie = creativetonies.find(tonie => tonie.id === creativeTonnieId);
-
-            if (!targetTonie) {
-                console.error(`Creative-Tonie ${creativeTonnieId} not found in household ${householdId}`);
-                console.log('Available Creative-Tonies:', creativetonies.map(t => ({ id: t.id, name: t.name })));
-
-                res.status(404).json({
-                    error: 'Creative-Tonie not found',
-                    details: `Creative-Tonie with ID "${creativeTonnieId}" not found in household "${householdId}"`,
-                    availableCreativetonies: creativetonies.map(t => ({
-                        id: t.id,
-                        name: t.name,
-                        chapters: t.chapters?.length || 0
-                    }))
-                });
-                return;
+        const upload = {
+            uploadedFiles,
+            titles,
+            durations,
+            tonieId,
+            account,
+            onDuplicate,
+            debug: (fields.title || '').startsWith('DEBUG')
+        };
+
+        // The files now belong to the upload, which removes them when it is done
+        uploadedFiles = [];
+
+        if (asyncMode || job) {
+            const details = {
+                tonieId,
+                account: account || null,
+                files: upload.uploadedFiles.map(file => file.filename),
+                user: auth.principal.user,
+                keyId: auth.principal.keyId
+            };
+
+            if (job) {
+                await updateJob(job.id, { details });
+            } else {
+                job = await createJob('device', details);
+                onProgress = createProgressReporter(job.id);
             }
 
-            console.log(`Found Creative-Tonie: ${targetTonie.name} (ID: ${targetTonie.id})`);
-
-            // Now add the chapter
-            const chapterEndpoint = `/households/${householdId}/creativetonies/${creativeTonnieId}/chapters`;
-            console.log(`Adding chapter to endpoint: ${chapterEndpoint}`);
-
-            const addChapterResult = await makeTonieApiRequest(
-                chapterEndpoint,
-                accessToken,
-                {
-                    method: 'POST',
-                    body: JSON.stringify({
-                        title: title,
-                        file: fileId
-                    })
-                }
-            );
-
-            if (!addChapterResult.success) {
-                console.error('Add chapter failed:', addChapterResult.error);
-                res.status(addChapterResult.status || 500).json({
-                    error: 'Failed to add chapter to Creative-Tonie',
-                    details: addChapterResult.error,
-                    debug: {
-                        householdId,
-                        creativeTonnieId,
-                        chapterEndpoint,
-                        fileId,
-                        title
-                    }
+            console.log(`Started job ${job.id}`);
+            jobStarted = true;
+            const running = startJob(job, progress => processDeviceUpload({ ...upload, onProgress: progress })
+                .then(outcome => recordUploadOutcome({ ...history, jobId: job.id }, outcome)), onProgress);
+
+            // Async mode: answer right away and let the client follow GET /api/jobs/{id}
+            if (asyncMode) {
+                res.status(202).json({
+                    success: true,
+                    jobId: job.id,
+                    status: job.status,
+                    statusUrl: `/api/jobs/${job.id}`,
+                    eventsUrl: `/api/jobs/${job.id}/events`
                 });
                 return;
             }
 
-            // Success!
-            res.status(200).json({
-                success: true,
-                message: `Successfully uploaded "${filename}" as chapter "${title}"`,
-                fileId: fileId,
-                chapterData: addChapterResult.data,
-                timestamp: new Date().toISOString()
-            });
-
-        } catch (s3Error) {
-            console.error('S3 upload error:', s3Error);
-            res.status(500).json({
-                error: 'Failed to upload file to storage',
-                details: s3Error.message
-            });
+            const { status, body } = await running;
+            res.status(status).json(body);
             return;
         }
 
+        const { status, body } = await recordUploadOutcome(history, await processDeviceUpload(upload));
+        res.status(status).json(body);
+
     } catch (error) {
         console.error('Upload file error:', error);
-        res.status(500).json({
+        await sendUploadFailure(res, history, 500, {
             error: 'Internal server error',
             details: error.message
         });
+    } finally {
+        // Clean up temporary files of requests that did not get to the upload
+        await removeUploadedFiles(uploadedFiles);
+
+        // Requests rejected before the upload started still end their job, the details are in the response
+        if (job && !jobStarted) {
+            await onProgress.flush();
+            await finishJob(job.id, {
+                status: res.statusCode,
+                body: { error: 'Upload request was rejected' }
+            }).catch(error => console.error(`Failed to finish job ${job.id}: ${error.message}`));
+        }
     }
 }
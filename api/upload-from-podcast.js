@@ -0,0 +1,511 @@
+// api/upload-from-podcast.js
+import { promisify } from 'util';
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { getTonieAccessToken, hasTonieAccount, authorizeRequest, getRequestCredential, getClientIp, sendAuthFailure, setCorsHeaders } from '../utils/auth.js';
+import { TonieClient, SUPPORTED_FORMATS, MAX_FILENAME_LENGTH } from '../utils/tonie-client.js';
+import { getCapacity, checkCapacity, reserveCapacity } from '../utils/capacity.js';
+import { probeAudioFile, correctExtension } from '../utils/audio-probe.js';
+import { runTranscodingStage } from '../utils/transcode.js';
+import { downloadFile, validateDownloadUrl } from '../utils/download.js';
+import { parseFeed } from '../utils/feed.js';
+import { recordUploadOutcome, sendUploadFailure } from '../utils/history.js';
+import { parseDuplicateAction, fingerprintFile, createDuplicateCheck, getDuplicateOutcome } from '../utils/duplicates.js';
+
+const unlink = promisify(fs.unlink);
+
+const MAX_FILE_SIZE = 536870912; // 512 MB, same as YouTube downloads
+const MAX_FEED_SIZE = 20971520; // 20 MB
+const MAX_EPISODES = 20;
+const FEED_TIMEOUT = 30000; // 30 seconds
+const DOWNLOAD_TIMEOUT = 120000; // 2 minutes, episodes are usually larger than YouTube audio
+
+/**
+ * Remove a temporary file, ignoring files that are already gone
+ */
+async function removeTempFile(filePath) {
+    try {
+        await unlink(filePath);
+        console.log(`Cleaned up temporary file: ${filePath}`);
+    } catch (cleanupError) {
+        if (cleanupError.code !== 'ENOENT') {
+            console.error(`Failed to cleanup temporary file: ${cleanupError.message}`);
+        }
+    }
+}
+
+/**
+ * Download and parse a podcast feed
+ */
+async function getFeed(feedUrl) {
+    const feedFilePath = path.join('/tmp', `feed_${Date.now()}_${crypto.randomBytes(6).toString('hex')}.xml`);
+
+    try {
+        const download = await downloadFile(feedUrl, feedFilePath, {
+            maxFileSize: MAX_FEED_SIZE,
+            timeout: FEED_TIMEOUT
+        });
+
+        const xml = await fs.promises.readFile(feedFilePath, 'utf8');
+        return { ...parseFeed(xml), url: download.url };
+    } finally {
+        await removeTempFile(feedFilePath);
+    }
+}
+
+/**
+ * Pick the episodes to import: the given GUIDs in the given order,
+ * or the latest count episodes in the order they were published
+ * @returns {Object} { episodes, unknownGuids }
+ */
+function selectEpisodes(feed, { count, guids }) {
+    if (guids) {
+        const episodes = guids.map(guid => feed.episodes.find(episode => episode.guid === guid));
+        return {
+            episodes: episodes.filter(Boolean),
+            unknownGuids: guids.filter((guid, index) => !episodes[index])
+        };
+    }
+
+    return {
+        episodes: feed.episodes.slice(0, count).reverse(),
+        unknownGuids: []
+    };
+}
+
+/**
+ * Parse the episode selection from the request body
+ * @returns {Object} { count, guids } with exactly one of both set
+ */
+function parseSelection({ count, guids }) {
+    if (guids !== undefined && guids !== null && guids !== '') {
+        const guidList = Array.isArray(guids) ? guids : [guids];
+
+        if (guidList.length === 0 || guidList.some(guid => typeof guid !== 'string' || !guid)) {
+            throw new Error('guids must be a list of episode GUIDs');
+        }
+        if (guidList.length > MAX_EPISODES) {
+            throw new Error(`At most ${MAX_EPISODES} episodes can be imported at once`);
+        }
+
+        return { count: null, guids: guidList };
+    }
+
+    if (count === undefined || count === null || count === '') {
+        return { count: 1, guids: null };
+    }
+
+    const parsedCount = Number(count);
+    if (!Number.isInteger(parsedCount) || parsedCount < 1 || parsedCount > MAX_EPISODES) {
+        throw new Error(`count must be a whole number between 1 and ${MAX_EPISODES}`);
+    }
+
+    return { count: parsedCount, guids: null };
+}
+
+/**
+ * Build the filename reported to the Tonie cloud from the episode title
+ */
+function cleanFilename(title, url) {
+    const extension = path.extname(new URL(url).pathname).slice(1).toLowerCase();
+    const cleaned = (title || 'episode').replace(/[^a-zA-Z0-9\s\-\_\(\)]/g, '').trim() || 'episode';
+    const maxTitleLength = MAX_FILENAME_LENGTH - 6; // Room for the extension
+
+    return `${cleaned.substring(0, maxTitleLength).trim()}.${SUPPORTED_FORMATS.includes(extension) ? extension : 'mp3'}`;
+}
+
+/**
+ * Download a single episode and add it as a chapter to the Creative-Tonie
+ * @param {Object} capacity - Remaining capacity of the Creative-Tonie (see utils/capacity.js)
+ * @param {Object} duplicates - Duplicate check of the request (see utils/duplicates.js)
+ * @returns {Promise<Object>} Result with success status and upload details, or error details with status.
+ *   Episodes already on the Creative-Tonie are refused or flagged as skipped, as decided by the duplicate check.
+ */
+async function importEpisode(episode, client, householdId, creativeTonieId, capacity, duplicates) {
+    const tempFilePath = path.join('/tmp', `podcast_${Date.now()}_${crypto.randomBytes(6).toString('hex')}`);
+    let transcodedFilePath = null;
+
+    try {
+        console.log(`Downloading episode to: ${tempFilePath}`);
+        let download;
+        try {
+            download = await downloadFile(episode.url, tempFilePath, {
+                maxFileSize: MAX_FILE_SIZE,
+                timeout: DOWNLOAD_TIMEOUT
+            });
+            console.log(`Download completed: ${download.size} bytes`);
+        } catch (error) {
+            return {
+                success: false,
+                status: error.status || 502,
+                error: 'Failed to download episode',
+                details: error.message
+            };
+        }
+
+        // Refuse or skip episodes already on the Creative-Tonie, fingerprinted as downloaded
+        const fingerprint = await fingerprintFile(tempFilePath);
+        const duplicate = await duplicates.check(fingerprint);
+        const duplicateOutcome = getDuplicateOutcome(duplicate);
+        if (duplicateOutcome) {
+            return duplicateOutcome;
+        }
+
+        // Detect the real audio format from the content and convert it if needed
+        const downloadInfo = await probeAudioFile(tempFilePath);
+        console.log('Audio info:', downloadInfo);
+
+        if (!downloadInfo.format) {
+            return {
+                success: false,
+                status: 400,
+                error: 'Downloaded file validation failed',
+                details: ['Episode enclosure is not a supported audio format']
+            };
+        }
+
+        let prepared;
+        try {
+            prepared = await runTranscodingStage({
+                path: tempFilePath,
+                filename: cleanFilename(episode.title, download.url),
+                audioInfo: downloadInfo
+            });
+        } catch (error) {
+            return {
+                success: false,
+                status: 422,
+                error: 'Failed to transcode episode',
+                details: error.message
+            };
+        }
+
+        if (prepared.transcoding) {
+            transcodedFilePath = prepared.path;
+        }
+
+        const { audioInfo } = prepared;
+        const filename = correctExtension(prepared.filename, audioInfo);
+        const duration = audioInfo.duration ?? episode.duration ?? 0;
+
+        const capacityCheck = checkCapacity(capacity, { seconds: duration });
+        if (!capacityCheck.fits) {
+            return {
+                success: false,
+                status: 409,
+                error: 'Not enough space on Creative-Tonie',
+                details: capacityCheck.error
+            };
+        }
+
+        const upload = await duplicates.finish(fingerprint, duplicate,
+            await client.uploadChapter(prepared.path, filename, episode.title, householdId, creativeTonieId));
+
+        if (!upload.success) {
+            return upload;
+        }
+
+        return {
+            success: true,
+            fileId: upload.fileId,
+            filename,
+            fileSize: prepared.transcoding ? prepared.transcoding.fileSize : download.size,
+            duration,
+            audioInfo,
+            transcoding: prepared.transcoding,
+            duplicate: upload.duplicate,
+            chapterData: upload.chapterData
+        };
+    } finally {
+        // Clean up temporary files
+        for (const filePath of [tempFilePath, transcodedFilePath]) {
+            if (filePath) {
+                await removeTempFile(filePath);
+            }
+        }
+    }
+}
+
+/**
+ * Import episodes one after another so chapters are appended in order.
+ * Episodes without an audio enclosure are skipped, other failures do not stop the import.
+ */
+async function importEpisodes(episodes, client, householdId, creativeTonieId, capacity, duplicates) {
+    const results = [];
+    let chapterData = null;
+    let remainingCapacity = capacity;
+
+    for (const episode of episodes) {
+        const baseResult = { guid: episode.guid, title: episode.title, published: episode.published, url: episode.url };
+
+        if (!episode.url) {
+            results.push({ ...baseResult, status: 'skipped', reason: 'Episode has no audio enclosure' });
+            continue;
+        }
+
+        console.log(`Importing episode: ${episode.title}`);
+        const result = await importEpisode(episode, client, householdId, creativeTonieId, remainingCapacity, duplicates);
+
+        if (result.skipped) {
+            results.push({ ...baseResult, status: 'skipped', reason: `Already on the Creative-Tonie as chapter "${result.duplicate.title}"`, duplicate: result.duplicate });
+        } else if (result.success) {
+            const { success, chapterData: latestChapterData, ...upload } = result;
+            results.push({ ...baseResult, status: 'imported', ...upload });
+            chapterData = latestChapterData;
+            remainingCapacity = reserveCapacity(remainingCapacity, { seconds: result.duration });
+        } else {
+            results.push({ ...baseResult, status: 'failed', error: result.error, details: result.details, ...(result.duplicate && { duplicate: result.duplicate }) });
+        }
+    }
+
+    // Chapter data is the full Creative-Tonie, so only the latest state is returned
+    return { results, chapterData };
+}
+
+/**
+ * Authenticate, check the Creative-Tonie and import the selected episodes
+ * @returns {Promise<Object>} { status, body } of the response
+ */
+async function processPodcastImport({ feed, feedSummary, episodes, account, householdId, creativeTonieId, onDuplicate }) {
+    // Authenticate with Tonie API
+    console.log('Authenticating with Tonie API...');
+    const tonieAuth = await getTonieAccessToken({ account });
+    if (!tonieAuth.success) {
+        return {
+            status: 401,
+            body: {
+                error: 'Failed to authenticate with Tonie API',
+                details: tonieAuth.error
+            }
+        };
+    }
+
+    const client = new TonieClient(tonieAuth.sessionToken);
+
+    // Verify the Creative-Tonie exists before downloading anything
+    console.log('Verifying Creative-Tonie exists...');
+    const targetResult = await client.findCreativeTonie(householdId, creativeTonieId);
+
+    if (!targetResult.success) {
+        const { success, status, ...body } = targetResult;
+        return { status, body };
+    }
+
+    const targetTonie = targetResult.tonie;
+
+    // Reject early if the selected episodes as a whole do not fit onto the Creative-Tonie
+    const capacity = getCapacity(targetTonie);
+    const importableEpisodes = episodes.filter(episode => episode.url);
+    const capacityCheck = checkCapacity(capacity, {
+        seconds: importableEpisodes.reduce((total, episode) => total + (episode.duration || 0), 0),
+        chapters: importableEpisodes.length
+    });
+
+    if (!capacityCheck.fits) {
+        console.error(`Capacity check failed: ${capacityCheck.error}`);
+        return {
+            status: 409,
+            body: {
+                error: 'Not enough space on Creative-Tonie',
+                details: `${capacityCheck.error}. Import fewer episodes`,
+                capacity: capacityCheck
+            }
+        };
+    }
+
+    const duplicates = createDuplicateCheck({ client, householdId, creativeTonieId, chapters: targetTonie.chapters, onDuplicate });
+    let imports;
+    try {
+        imports = await importEpisodes(episodes, client, householdId, creativeTonieId, capacity, duplicates);
+    } finally {
+        // Episodes that were checked but not uploaded are free for other requests again
+        await duplicates.release();
+    }
+
+    const { results, chapterData } = imports;
+    const imported = results.filter(result => result.status === 'imported');
+    const skipped = results.filter(result => result.status === 'skipped');
+    const failed = results.filter(result => result.status === 'failed');
+
+    const summary = {
+        feed: feedSummary,
+        imported: imported.length,
+        skipped: skipped.length,
+        failed: failed.length,
+        results
+    };
+
+    // Episodes that are already on the Creative-Tonie and skipped are not an error
+    const skippedDuplicates = skipped.filter(result => result.duplicate);
+
+    if (imported.length === 0 && skippedDuplicates.length === 0) {
+        let status = 400;
+        if (failed.length > 0) {
+            status = failed.every(result => result.duplicate) ? 409 : 502;
+        }
+
+        return {
+            status,
+            body: {
+                error: 'No episodes could be imported',
+                ...summary
+            }
+        };
+    }
+
+    return {
+        status: failed.length > 0 ? 207 : 200,
+        body: {
+            success: failed.length === 0,
+            message: `Imported ${imported.length} of ${results.length} episodes from "${feed.title}"${skippedDuplicates.length > 0 ? `, skipped ${skippedDuplicates.length} already on the Creative-Tonie` : ''}`,
+            ...summary,
+            chapterData,
+            timestamp: new Date().toISOString()
+        }
+    };
+}
+
+export default async function handler(req, res) {
+    // Set CORS headers
+    setCorsHeaders(res);
+
+    if (req.method === 'OPTIONS') {
+        res.status(200).end();
+        return;
+    }
+
+    if (req.method !== 'POST') {
+        res.status(405).json({ error: 'Method not allowed' });
+        return;
+    }
+
+    // Every import that passed authentication ends up in the history (see GET /api/history), listing episodes does not
+    let history = null;
+
+    try {
+        const { tonieId, account, feedUrl } = req.body;
+        const listOnly = req.body.listOnly === true || req.body.listOnly === 'true';
+
+        console.log('Podcast upload request:', { tonieId, feedUrl: feedUrl ? 'provided' : 'missing', listOnly });
+
+        // Validate required fields (listing episodes does not need a target tonie)
+        if ((!tonieId && !listOnly) || !feedUrl) {
+            res.status(400).json({
+                error: 'Missing required fields',
+                details: 'tonieId and feedUrl are required'
+            });
+            return;
+        }
+
+        // Listing episodes only reads, importing them needs access to the Creative-Tonie
+        const auth = await authorizeRequest(getRequestCredential(req), listOnly ? 'read' : 'upload', { tonieId: listOnly ? null : tonieId, ip: getClientIp(req) });
+        if (!auth.success) {
+            sendAuthFailure(res, auth);
+            return;
+        }
+
+        if (!listOnly) {
+            history = { source: 'podcast', principal: auth.principal, account, tonieId, request: { url: feedUrl } };
+        }
+
+        const target = listOnly ? null : TonieClient.parseTonieId(tonieId);
+        if (!listOnly && !target) {
+            await sendUploadFailure(res, history, 400, {
+                error: 'Invalid tonieId',
+                details: 'tonieId must have the format "householdId/creativeTonieId"'
+            });
+            return;
+        }
+
+        if (!hasTonieAccount(account)) {
+            await sendUploadFailure(res, history, 400, {
+                error: 'Unknown Tonie account',
+                details: `No Tonie account named "${account}" is configured`
+            });
+            return;
+        }
+
+        let onDuplicate;
+        try {
+            onDuplicate = parseDuplicateAction(req.body.onDuplicate);
+        } catch (error) {
+            await sendUploadFailure(res, history, 400, {
+                error: 'Invalid onDuplicate field',
+                details: error.message
+            });
+            return;
+        }
+
+        let selection;
+        try {
+            validateDownloadUrl(feedUrl);
+            selection = parseSelection(req.body);
+        } catch (error) {
+            await sendUploadFailure(res, history, 400, {
+                error: 'Invalid podcast request',
+                details: error.message
+            });
+            return;
+        }
+
+        // Download and parse the feed
+        console.log('Getting podcast feed...');
+        let feed;
+        try {
+            feed = await getFeed(feedUrl);
+            console.log(`Feed "${feed.title}" has ${feed.episodes.length} episodes`);
+        } catch (error) {
+            await sendUploadFailure(res, history, error.status || 400, {
+                error: 'Failed to get podcast feed',
+                details: error.message
+            });
+            return;
+        }
+
+        const feedSummary = {
+            title: feed.title,
+            author: feed.author,
+            url: feed.url,
+            totalEpisodes: feed.episodes.length
+        };
+
+        // Listing mode: return the episodes so GUIDs can be picked
+        if (listOnly) {
+            res.status(200).json({
+                success: true,
+                feed: feedSummary,
+                episodes: feed.episodes
+            });
+            return;
+        }
+
+        const { episodes, unknownGuids } = selectEpisodes(feed, selection);
+
+        if (unknownGuids.length > 0) {
+            await sendUploadFailure(res, history, 404, {
+                error: 'Episodes not found in feed',
+                details: `Unknown episode GUIDs: ${unknownGuids.join(', ')}`
+            });
+            return;
+        }
+
+        if (episodes.length === 0) {
+            await sendUploadFailure(res, history, 400, {
+                error: 'Feed has no episodes',
+                feed: feedSummary
+            });
+            return;
+        }
+
+        const { status, body } = await recordUploadOutcome(history, await processPodcastImport({ feed, feedSummary, episodes, account, onDuplicate, ...target }));
+        res.status(status).json(body);
+
+    } catch (error) {
+        console.error('Podcast upload error:', error);
+        await sendUploadFailure(res, history, 500, {
+            error: 'Internal server error',
+            details: error.message
+        });
+    }
+}
@@ -0,0 +1,346 @@
+// api/upload-from-url.js
+import { promisify } from 'util';
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { getTonieAccessToken, hasTonieAccount, authorizeRequest, getRequestCredential, getClientIp, sendAuthFailure, setCorsHeaders } from '../utils/auth.js';
+import { TonieClient, SUPPORTED_FORMATS, validateFile } from '../utils/tonie-client.js';
+import { getCapacity, checkCapacity } from '../utils/capacity.js';
+import { probeAudioFile, correctExtension } from '../utils/audio-probe.js';
+import { runTranscodingStage } from '../utils/transcode.js';
+import { downloadFile, validateDownloadUrl } from '../utils/download.js';
+import { recordUploadOutcome, sendUploadFailure } from '../utils/history.js';
+import { parseDuplicateAction, fingerprintFile, createDuplicateCheck, getDuplicateOutcome } from '../utils/duplicates.js';
+
+const unlink = promisify(fs.unlink);
+
+const MAX_FILE_SIZE = 536870912; // 512 MB, same as YouTube downloads
+const DOWNLOAD_TIMEOUT = 60000; // 60 seconds
+
+// File extensions for audio Content-Types, used when the URL has no usable extension
+const CONTENT_TYPE_EXTENSIONS = {
+    'audio/mpeg': 'mp3',
+    'audio/mp3': 'mp3',
+    'audio/mp4': 'm4a',
+    'audio/x-m4a': 'm4a',
+    'audio/m4b': 'm4b',
+    'audio/aac': 'aac',
+    'audio/aacp': 'aac',
+    'audio/wav': 'wav',
+    'audio/x-wav': 'wav',
+    'audio/wave': 'wav',
+    'audio/flac': 'flac',
+    'audio/x-flac': 'flac',
+    'audio/ogg': 'ogg',
+    'audio/opus': 'opus',
+    'audio/aiff': 'aiff',
+    'audio/x-aiff': 'aiff',
+    'audio/x-ms-wma': 'wma',
+    'audio/webm': 'webm',
+    'video/webm': 'webm',
+    'video/mp4': 'mp4'
+};
+
+/**
+ * Reject responses that are clearly not audio (web pages, images, JSON) before downloading them
+ */
+function isAcceptedContentType(contentType) {
+    return !/^(text\/|image\/|application\/(json|xml|xhtml\+xml|javascript)$)/.test(contentType);
+}
+
+/**
+ * Build the filename reported to the Tonie cloud, adding an extension from the Content-Type if needed
+ */
+function buildFilename(downloadedFilename, contentType) {
+    const extension = path.extname(downloadedFilename).slice(1).toLowerCase();
+    const typeExtension = CONTENT_TYPE_EXTENSIONS[contentType];
+
+    if (!typeExtension || extension === typeExtension) {
+        return downloadedFilename;
+    }
+
+    // Keep known extensions, content probing corrects them later if they are wrong
+    if (SUPPORTED_FORMATS.includes(extension)) {
+        return downloadedFilename;
+    }
+
+    return `${downloadedFilename}.${typeExtension}`;
+}
+
+/**
+ * Authenticate, check the Creative-Tonie, download the file and add it as chapter
+ * @returns {Promise<Object>} { status, body } of the response
+ */
+async function processUrlUpload({ url, title, account, householdId, creativeTonieId, onDuplicate }) {
+    let tempFilePath = null;
+    let transcodedFilePath = null;
+    let duplicates = null;
+
+    try {
+        // Authenticate with Tonie API
+        console.log('Authenticating with Tonie API...');
+        const tonieAuth = await getTonieAccessToken({ account });
+        if (!tonieAuth.success) {
+            return {
+                status: 401,
+                body: {
+                    error: 'Failed to authenticate with Tonie API',
+                    details: tonieAuth.error
+                }
+            };
+        }
+
+        const client = new TonieClient(tonieAuth.sessionToken);
+
+        // Verify the Creative-Tonie exists before downloading anything
+        console.log('Verifying Creative-Tonie exists...');
+        const targetResult = await client.findCreativeTonie(householdId, creativeTonieId);
+
+        if (!targetResult.success) {
+            const { success, status, ...body } = targetResult;
+            return { status, body };
+        }
+
+        const targetTonie = targetResult.tonie;
+
+        // Download the file to /tmp
+        tempFilePath = path.join('/tmp', `url_${Date.now()}_${crypto.randomBytes(6).toString('hex')}`);
+        console.log(`Downloading to: ${tempFilePath}`);
+
+        let download;
+        try {
+            download = await downloadFile(url, tempFilePath, {
+                maxFileSize: MAX_FILE_SIZE,
+                timeout: DOWNLOAD_TIMEOUT,
+                acceptContentType: isAcceptedContentType
+            });
+            console.log(`Download completed: ${download.size} bytes (${download.contentType})`);
+        } catch (error) {
+            console.error('Download failed:', error.message);
+            return {
+                status: error.status || 502,
+                body: {
+                    error: 'Failed to download audio file',
+                    details: error.message
+                }
+            };
+        }
+
+        // Refuse or skip content already on the Creative-Tonie, fingerprinted as downloaded
+        duplicates = createDuplicateCheck({ client, householdId, creativeTonieId, chapters: targetTonie.chapters, onDuplicate });
+        const fingerprint = await fingerprintFile(tempFilePath);
+        const duplicate = await duplicates.check(fingerprint);
+        const duplicateOutcome = getDuplicateOutcome(duplicate);
+
+        if (duplicateOutcome?.skipped) {
+            return {
+                status: 200,
+                body: {
+                    success: true,
+                    skipped: true,
+                    message: `Skipped "${url}", it already is chapter "${duplicate.title}"`,
+                    duplicate,
+                    timestamp: new Date().toISOString()
+                }
+            };
+        }
+        if (duplicateOutcome) {
+            const { success, status, ...body } = duplicateOutcome;
+            return { status, body };
+        }
+
+        // Detect the real audio format from the content and convert it if needed
+        const downloadInfo = await probeAudioFile(tempFilePath);
+        console.log('Audio info:', downloadInfo);
+
+        const downloadedFilename = buildFilename(download.filename, download.contentType);
+
+        let prepared;
+        try {
+            prepared = await runTranscodingStage({ path: tempFilePath, filename: downloadedFilename, audioInfo: downloadInfo });
+        } catch (error) {
+            return {
+                status: 422,
+                body: {
+                    error: 'Failed to transcode downloaded audio',
+                    details: error.message
+                }
+            };
+        }
+
+        if (prepared.transcoding) {
+            transcodedFilePath = prepared.path;
+        }
+
+        const { audioInfo } = prepared;
+        const filename = correctExtension(prepared.filename, audioInfo);
+        const fileSize = prepared.transcoding ? prepared.transcoding.fileSize : download.size;
+        const chapterTitle = title || path.parse(download.filename).name || filename;
+
+        const validationErrors = validateFile(fileSize, filename, audioInfo, MAX_FILE_SIZE);
+        if (validationErrors.length > 0) {
+            return {
+                status: 400,
+                body: {
+                    error: 'Downloaded file validation failed',
+                    details: validationErrors,
+                    contentType: download.contentType
+                }
+            };
+        }
+
+        // Reject if the file does not fit onto the Creative-Tonie
+        const capacityCheck = checkCapacity(getCapacity(targetTonie), { seconds: audioInfo.duration || 0 });
+        if (!capacityCheck.fits) {
+            console.error(`Capacity check failed: ${capacityCheck.error}`);
+            return {
+                status: 409,
+                body: {
+                    error: 'Not enough space on Creative-Tonie',
+                    details: capacityCheck.error,
+                    capacity: capacityCheck
+                }
+            };
+        }
+
+        const upload = await duplicates.finish(fingerprint, duplicate,
+            await client.uploadChapter(prepared.path, filename, chapterTitle, householdId, creativeTonieId));
+
+        if (!upload.success) {
+            const { success, status, ...body } = upload;
+            return { status, body };
+        }
+
+        // Success!
+        return {
+            status: 200,
+            body: {
+                success: true,
+                message: `Successfully uploaded "${filename}" as chapter "${chapterTitle}"`,
+                source: {
+                    url,
+                    finalUrl: download.url,
+                    contentType: download.contentType
+                },
+                fileId: upload.fileId,
+                filename,
+                fileSize,
+                audioInfo,
+                transcoding: prepared.transcoding,
+                duplicate: upload.duplicate,
+                chapterData: upload.chapterData,
+                timestamp: new Date().toISOString()
+            }
+        };
+    } finally {
+        // Clean up temporary files
+        for (const filePath of [tempFilePath, transcodedFilePath]) {
+            if (!filePath) {
+                continue;
+            }
+
+            try {
+                await unlink(filePath);
+                console.log(`Cleaned up temporary file: ${filePath}`);
+            } catch (cleanupError) {
+                if (cleanupError.code !== 'ENOENT') {
+                    console.error(`Failed to cleanup temporary file: ${cleanupError.message}`);
+                }
+            }
+        }
+
+        // Content that was checked but not uploaded is free for other requests again
+        await duplicates?.release();
+    }
+}
+
+export default async function handler(req, res) {
+    // Set CORS headers
+    setCorsHeaders(res);
+
+    if (req.method === 'OPTIONS') {
+        res.status(200).end();
+        return;
+    }
+
+    if (req.method !== 'POST') {
+        res.status(405).json({ error: 'Method not allowed' });
+        return;
+    }
+
+    // Every attempt that passed authentication ends up in the history (see GET /api/history)
+    let history = null;
+
+    try {
+        const { tonieId, account, title, url } = req.body;
+
+        console.log('URL upload request:', { tonieId, title, url: url ? 'provided' : 'missing' });
+
+        // Validate required fields (the title falls back to the filename)
+        if (!tonieId || !url) {
+            res.status(400).json({
+                error: 'Missing required fields',
+                details: 'tonieId and url are required'
+            });
+            return;
+        }
+
+        // Verify the credential may upload to this Creative-Tonie
+        const auth = await authorizeRequest(getRequestCredential(req), 'upload', { tonieId, ip: getClientIp(req) });
+        if (!auth.success) {
+            sendAuthFailure(res, auth);
+            return;
+        }
+
+        history = { source: 'url', principal: auth.principal, account, tonieId, request: { url, title } };
+
+        const target = TonieClient.parseTonieId(tonieId);
+        if (!target) {
+            await sendUploadFailure(res, history, 400, {
+                error: 'Invalid tonieId',
+                details: 'tonieId must have the format "householdId/creativeTonieId"'
+            });
+            return;
+        }
+
+        if (!hasTonieAccount(account)) {
+            await sendUploadFailure(res, history, 400, {
+                error: 'Unknown Tonie account',
+                details: `No Tonie account named "${account}" is configured`
+            });
+            return;
+        }
+
+        // Validate URL before doing any work on the Tonie side
+        try {
+            validateDownloadUrl(url);
+        } catch (error) {
+            await sendUploadFailure(res, history, 400, {
+                error: 'Invalid URL',
+                details: error.message
+            });
+            return;
+        }
+
+        let onDuplicate;
+        try {
+            onDuplicate = parseDuplicateAction(req.body.onDuplicate);
+        } catch (error) {
+            await sendUploadFailure(res, history, 400, {
+                error: 'Invalid onDuplicate field',
+                details: error.message
+            });
+            return;
+        }
+
+        const { status, body } = await recordUploadOutcome(history, await processUrlUpload({ url, title, account, onDuplicate, ...target }));
+        res.status(status).json(body);
+
+    } catch (error) {
+        console.error('URL upload error:', error);
+        await sendUploadFailure(res, history, 500, {
+            error: 'Internal server error',
+            details: error.message
+        });
+    }
+}
@@ -1,33 +1,223 @@
 // api/upload-from-youtube.js
 import ytdl from '@distube/ytdl-core';
+import ytpl from '@distube/ytpl';
 import fs from 'fs';
 import path from 'path';
 import { promisify } from 'util';
-import { authenticateWithTonie, verifyAppPassword, setCorsHeaders, makeTonieApiRequest } from '../utils/auth.js';
+import { getTonieAccessToken, hasTonieAccount, authorizeRequest, getRequestCredential, getClientIp, sendAuthFailure, setCorsHeaders } from '../utils/auth.js';
+import { TonieClient, MAX_FILENAME_LENGTH, validateFile } from '../utils/tonie-client.js';
+import { getCapacity, checkCapacity, reserveCapacity } from '../utils/capacity.js';
+import { probeAudioFile } from '../utils/audio-probe.js';
+import { runTranscodingStage, cutAudio, needsTranscoding } from '../utils/transcode.js';
+import { createJob, startJob, getUploadId, canFollowJobs, supportsBackgroundJobs, sendBackgroundJobsUnavailable } from '../utils/jobs.js';
+import { recordUploadOutcome, sendUploadFailure } from '../utils/history.js';
+import { parseDuplicateAction, fingerprintYouTube, createDuplicateCheck, getDuplicateOutcome } from '../utils/duplicates.js';
 
-const writeFile = promisify(fs.writeFile);
-const readFile = promisify(fs.readFile);
 const unlink = promisify(fs.unlink);
 
-// Supported audio formats based on Tonie API documentation
-const SUPPORTED_FORMATS = [
-    'aac', 'aiff', 'aif', 'flac', 'mp3', 'm4a', 'm4b',
-    'oga', 'ogg', 'opus', 'wav', 'wma'
-];
-
 const MAX_FILE_SIZE = 536870912; // 512 MB in bytes (Vercel tmp storage limit)
-const MAX_FILENAME_LENGTH = 128;
 const DOWNLOAD_TIMEOUT = 60000; // 60 seconds
+const JOB_DOWNLOAD_TIMEOUT = 1800000; // 30 minutes, async jobs are not bound to the request limit
 
 /**
  * Validate YouTube URL
  */
 function validateYouTubeUrl(url) {
-    if (!ytdl.validateURL(url)) {
+    if (!ytdl.validateURL(url) && !ytpl.validateID(url)) {
         throw new Error('Invalid YouTube URL format');
     }
 }
 
+/**
+ * Parse a time given in seconds or as "hh:mm:ss" / "mm:ss".
+ * Minutes and seconds following another component must be below 60.
+ * @returns {number|null} Seconds, or null if no value was given
+ */
+function parseTimestamp(value, name) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+
+    if (typeof value === 'number' && Number.isFinite(value) && value >= 0) {
+        return value;
+    }
+
+    const text = String(value).trim();
+
+    if (/^\d+(\.\d+)?$/.test(text)) {
+        return Number(text);
+    }
+
+    if (/^(\d+:)?\d{1,2}:\d{1,2}(\.\d+)?$/.test(text)) {
+        const [first, ...rest] = text.split(':').map(Number);
+
+        if (rest.some(part => part >= 60)) {
+            throw new Error(`${name} must not have minutes or seconds of 60 or more, like "${text}"`);
+        }
+
+        return rest.reduce((total, part) => total * 60 + part, first);
+    }
+
+    throw new Error(`${name} must be a number of seconds or a time like "hh:mm:ss"`);
+}
+
+/**
+ * Validate a requested clip range against the video duration
+ * @returns {Object|null} { start, end, duration } in seconds, or null for the full video
+ */
+function resolveClipRange(clip, videoDuration) {
+    if (!clip || (clip.start === null && clip.end === null)) {
+        return null;
+    }
+
+    const start = clip.start ?? 0;
+    const end = clip.end ?? videoDuration;
+
+    if (start >= videoDuration) {
+        throw new Error(`start (${start}s) must be before the end of the video (${videoDuration}s)`);
+    }
+
+    if (end > videoDuration) {
+        throw new Error(`end (${end}s) must not be after the end of the video (${videoDuration}s)`);
+    }
+
+    if (end <= start) {
+        throw new Error('end must be after start');
+    }
+
+    return { start, end, duration: Math.round((end - start) * 1000) / 1000 };
+}
+
+/**
+ * Parse a chapter list ("0:00 Intro", "Intro - 0:00") from a video description
+ * @returns {Array<Object>} [{ title, start }] or an empty array if the description has no chapter list
+ */
+function parseDescriptionChapters(description) {
+    const markers = [];
+
+    for (const line of (description || '').split('\n')) {
+        const leading = line.match(/^\s*[[(]?((?:\d+:)?\d{1,2}:\d{2})[\])]?\s*[-\u2013\u2014:|.)]*\s*(.*)$/);
+        const trailing = leading ? null : line.match(/^\s*(.+?)\s*[-\u2013\u2014:|]?\s*[[(]?((?:\d+:)?\d{1,2}:\d{2})[\])]?\s*$/);
+
+        try {
+            if (leading) {
+                markers.push({ title: leading[2].trim(), start: parseTimestamp(leading[1], 'chapter') });
+            } else if (trailing) {
+                markers.push({ title: trailing[1].trim(), start: parseTimestamp(trailing[2], 'chapter') });
+            }
+        } catch (error) {
+            // A list with an impossible time like "1:75" is no chapter list
+            return [];
+        }
+    }
+
+    // Like YouTube itself, only accept ascending lists that start at 0:00
+    const ascending = markers.every((marker, index) => index === 0 || marker.start > markers[index - 1].start);
+    if (markers.length < 2 || markers[0].start !== 0 || !ascending) {
+        return [];
+    }
+
+    return markers;
+}
+
+/**
+ * Get the chapter markers of a video, preferring YouTube's own chapter metadata
+ * @returns {Array<Object>} [{ title, start }]
+ */
+function getVideoChapters(videoInfo) {
+    if (videoInfo.chapters.length >= 2) {
+        return videoInfo.chapters;
+    }
+
+    return parseDescriptionChapters(videoInfo.description);
+}
+
+/**
+ * Turn chapter markers into segments that end where the next marker starts
+ * @returns {Array<Object>} [{ index, title, start, end, duration }] in seconds
+ */
+function buildChapterSegments(markers, videoDuration) {
+    const inRange = markers.filter(marker => marker.start < videoDuration);
+
+    return inRange.map((marker, index) => {
+        const end = index + 1 < inRange.length ? inRange[index + 1].start : videoDuration;
+
+        return {
+            index: index + 1,
+            title: marker.title,
+            start: marker.start,
+            end,
+            duration: end - marker.start
+        };
+    });
+}
+
+/**
+ * Check whether a URL should be imported as a playlist.
+ * Watch URLs that merely carry a list parameter import the single video unless playlist is requested.
+ */
+function isPlaylistUrl(url, playlistRequested) {
+    if (!ytpl.validateID(url)) {
+        return false;
+    }
+
+    return playlistRequested === true || !ytdl.validateURL(url);
+}
+
+/**
+ * Parse an optional 1-based playlist index
+ */
+function parsePlaylistIndex(value, name) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+
+    const index = Number(value);
+    if (!Number.isInteger(index) || index < 1) {
+        throw new Error(`${name} must be a positive integer`);
+    }
+
+    return index;
+}
+
+/**
+ * Convert a playlist duration like "1:02:03" to seconds
+ */
+function parseDurationText(text) {
+    if (!text) {
+        return 0;
+    }
+
+    return text.split(':').reduce((total, part) => total * 60 + (parseInt(part, 10) || 0), 0);
+}
+
+/**
+ * Get the entries of a YouTube playlist within the requested index range
+ */
+async function getPlaylistEntries(url, playlistStart, playlistEnd) {
+    const playlist = await ytpl(url, { limit: playlistEnd || Infinity });
+    const start = playlistStart || 1;
+    const entries = playlist.items
+        .slice(start - 1, playlistEnd || undefined)
+        .map((item, offset) => ({
+            index: start + offset,
+            videoId: item.id,
+            url: item.url_simple || item.url,
+            title: item.title,
+            duration: parseDurationText(item.duration),
+            // Live streams and premieres are listed without a duration
+            isLive: !item.duration
+        }));
+
+    return {
+        id: playlist.id,
+        title: playlist.title,
+        author: playlist.author?.name,
+        totalItems: playlist.total_items,
+        entries
+    };
+}
+
 /**
  * Extract video info from YouTube URL
  */
@@ -49,7 +239,11 @@ async function getVideoInfo(url) {
             duration: parseInt(info.videoDetails.lengthSeconds),
             author: info.videoDetails.author.name,
             videoId: info.videoDetails.videoId,
-            description: info.videoDetails.description
+            description: info.videoDetails.description,
+            chapters: (info.videoDetails.chapters || []).map(chapter => ({
+                title: chapter.title,
+                start: chapter.start_time
+            }))
         };
     } catch (error) {
         if (error.message.includes('Video unavailable')) {
@@ -81,35 +275,13 @@ function cleanFilename(title, videoId) {
     return `${truncatedTitle} (${videoId}).m4a`;
 }
 
-/**
- * Validate file against Tonie API requirements
- */
-function validateFile(fileSize, filename) {
-    const errors = [];
-
-    // Check file size (max 512 MB for Vercel)
-    if (fileSize > MAX_FILE_SIZE) {
-        errors.push(`File size (${Math.round(fileSize / 1024 / 1024)}MB) exceeds maximum allowed size of 512MB`);
-    }
-
-    // Check filename length
-    if (filename.length > MAX_FILENAME_LENGTH) {
-        errors.push(`Filename length (${filename.length}) exceeds maximum allowed length of 128 characters`);
-    }
-
-    // Check file format (should always be m4a for YouTube downloads)
-    const extension = filename.toLowerCase().split('.').pop();
-    if (!SUPPORTED_FORMATS.includes(extension)) {
-        errors.push(`File format "${extension}" is not supported. Supported formats: ${SUPPORTED_FORMATS.join(', ')}`);
-    }
-
-    return errors;
-}
-
 /**
  * Download YouTube audio to temporary file
+ * @param {Object} [options] - Download options
+ * @param {number} [options.timeout] - Timeout for the whole download in milliseconds
+ * @param {Function} [options.onProgress] - Called with { bytesDone, bytesTotal } while downloading
  */
-async function downloadYouTubeAudio(url, tempFilePath, videoInfo) {
+async function downloadYouTubeAudio(url, tempFilePath, videoInfo, { timeout: downloadTimeout = DOWNLOAD_TIMEOUT, onProgress = null } = {}) {
     return new Promise((resolve, reject) => {
         console.log(`Starting download of: ${videoInfo.title}`);
 
@@ -127,8 +299,14 @@ async function downloadYouTubeAudio(url, tempFilePath, videoInfo) {
         const timeout = setTimeout(() => {
             audioStream.destroy();
             writeStream.destroy();
-            reject(new Error('Download timeout after 60 seconds'));
-        }, DOWNLOAD_TIMEOUT);
+            reject(new Error(`Download timeout after ${Math.round(downloadTimeout / 1000)} seconds`));
+        }, downloadTimeout);
+
+        if (onProgress) {
+            audioStream.on('progress', (chunkLength, downloaded, total) => {
+                onProgress({ bytesDone: downloaded, bytesTotal: total });
+            });
+        }
 
         audioStream.on('data', (chunk) => {
             downloadedBytes += chunk.length;
@@ -173,94 +351,177 @@ async function downloadYouTubeAudio(url, tempFilePath, videoInfo) {
 }
 
 /**
- * Upload file to Amazon S3 using the provided upload request
+ * Upload an audio file on disk and add it as a chapter to the Creative-Tonie.
+ * The file is probed and transcoded first if the Tonie cloud does not accept its format.
+ * @returns {Promise<Object>} { success, fileId, filename, audioInfo, transcoding, chapterData } or error details with status
  */
-async function uploadToS3(uploadRequest, fileData, filename) {
-    // For Node.js environment, we need to use a different approach for multipart uploads
-    const boundary = `----formdata-${Math.random().toString(36).substring(2)}`;
-    let body = '';
-
-    // Add all the fields from the upload request
-    Object.entries(uploadRequest.request.fields).forEach(([key, value]) => {
-        body += `--${boundary}\r\n`;
-        body += `Content-Disposition: form-data; name="${key}"\r\n\r\n`;
-        body += `${value}\r\n`;
-    });
+async function uploadAudioFile(audioFilePath, filename, chapterTitle, client, householdId, creativeTonieId, onProgress = () => {}) {
+    let transcodedFilePath = null;
 
-    // Add the file last (this is important for S3)
-    body += `--${boundary}\r\n`;
-    body += `Content-Disposition: form-data; name="file"; filename="${filename}"\r\n`;
-    body += `Content-Type: application/octet-stream\r\n\r\n`;
-
-    // Convert body to Buffer and append file data
-    const bodyBuffer = Buffer.from(body, 'utf8');
-    const endBoundary = Buffer.from(`\r\n--${boundary}--\r\n`, 'utf8');
-    const completeBody = Buffer.concat([bodyBuffer, fileData, endBoundary]);
-
-    const response = await fetch(uploadRequest.request.url, {
-        method: 'POST',
-        headers: {
-            'Content-Type': `multipart/form-data; boundary=${boundary}`
-        },
-        body: completeBody
-    });
+    try {
+        // Make sure the download really is audio and read its stream properties
+        const downloadInfo = await probeAudioFile(audioFilePath);
+        console.log('Audio info:', downloadInfo);
+
+        if (!downloadInfo.format) {
+            return {
+                success: false,
+                status: 400,
+                error: 'Downloaded file validation failed',
+                details: ['Downloaded content is not a supported audio format']
+            };
+        }
 
-    if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`S3 upload failed: ${response.status} ${errorText}`);
-    }
+        // Convert the download if YouTube served a format the Tonie cloud does not accept
+        if (needsTranscoding(filename, downloadInfo)) {
+            onProgress({ phase: 'transcoding' });
+        }
 
-    return uploadRequest.fileId;
-}
+        let prepared;
+        try {
+            prepared = await runTranscodingStage({ path: audioFilePath, filename, audioInfo: downloadInfo });
+        } catch (error) {
+            return {
+                success: false,
+                status: 422,
+                error: 'Failed to transcode YouTube audio',
+                details: error.message
+            };
+        }
 
-export default async function handler(req, res) {
-    // Set CORS headers
-    setCorsHeaders(res);
+        if (prepared.transcoding) {
+            transcodedFilePath = prepared.path;
+        }
 
-    if (req.method === 'OPTIONS') {
-        res.status(200).end();
-        return;
-    }
+        const upload = await client.uploadChapter(prepared.path, prepared.filename, chapterTitle, householdId, creativeTonieId, onProgress);
 
-    if (req.method !== 'POST') {
-        res.status(405).json({ error: 'Method not allowed' });
-        return;
-    }
+        if (!upload.success) {
+            return upload;
+        }
 
-    let tempFilePath = null;
+        return {
+            success: true,
+            fileId: upload.fileId,
+            filename: prepared.filename,
+            audioInfo: prepared.audioInfo,
+            transcoding: prepared.transcoding,
+            chapterData: upload.chapterData
+        };
+    } finally {
+        if (transcodedFilePath) {
+            await removeTempFile(transcodedFilePath);
+        }
+    }
+}
 
+/**
+ * Remove a temporary file, logging instead of throwing on failure
+ */
+async function removeTempFile(filePath) {
     try {
-        const { appPassword, tonieId, title, url } = req.body;
+        await unlink(filePath);
+        console.log(`Cleaned up temporary file: ${filePath}`);
+    } catch (cleanupError) {
+        console.error(`Failed to cleanup temporary file: ${cleanupError.message}`);
+    }
+}
 
-        console.log('YouTube upload request:', { tonieId, title, url: url ? 'provided' : 'missing' });
+/**
+ * Cut every chapter segment out of the downloaded audio and add it as its own chapter.
+ * A failing segment does not stop the remaining ones.
+ * @param {Object[]} segments - Segments with their fingerprint and duplicate check result
+ * @param {Object} duplicates - Duplicate check of the request (see utils/duplicates.js)
+ * @returns {Promise<Object>} { results, chapterData }
+ */
+async function uploadChapterSegments(segments, tempFilePath, videoInfo, title, client, householdId, creativeTonieId, duplicates, onProgress) {
+    const results = [];
+    let chapterData = null;
 
-        // Validate required fields
-        if (!appPassword || !tonieId || !title || !url) {
-            res.status(400).json({
-                error: 'Missing required fields',
-                details: 'appPassword, tonieId, title, and url are required'
-            });
-            return;
-        }
+    for (const segment of segments) {
+        const { index, start, end, duration, fingerprint, duplicate } = segment;
+        const segmentNumber = String(index).padStart(2, '0');
+        const segmentTitle = segment.title || `${title || videoInfo.title} (${index})`;
+        const segmentFilename = cleanFilename(videoInfo.title, `${videoInfo.videoId}-${segmentNumber}`);
+        const segmentFilePath = tempFilePath.replace(/\.m4a$/, `.part${segmentNumber}.m4a`);
+        const baseResult = { index, title: segmentTitle, start, end, duration };
 
-        // Verify app password
-        if (!verifyAppPassword(appPassword)) {
-            res.status(401).json({ error: 'Invalid app password' });
-            return;
-        }
+        console.log(`Importing chapter ${index}/${segments.length}: ${segmentTitle} (${start}s - ${end}s)`);
+        onProgress({ phase: 'cutting', chapter: index, chapters: segments.length });
 
-        // Validate YouTube URL
-        console.log('Validating YouTube URL...');
         try {
-            validateYouTubeUrl(url);
-        } catch (error) {
-            res.status(400).json({
-                error: 'Invalid YouTube URL',
-                details: error.message
-            });
-            return;
+            try {
+                await cutAudio(tempFilePath, segmentFilePath, { start, end });
+            } catch (error) {
+                results.push({ ...baseResult, status: 'failed', error: 'Failed to clip YouTube audio', details: error.message });
+                continue;
+            }
+
+            const result = await duplicates.finish(fingerprint, duplicate,
+                await uploadAudioFile(segmentFilePath, segmentFilename, segmentTitle, client, householdId, creativeTonieId, onProgress));
+
+            if (result.success) {
+                const { success, chapterData: latestChapterData, ...upload } = result;
+                results.push({ ...baseResult, status: 'imported', ...upload });
+                chapterData = latestChapterData;
+            } else {
+                results.push({ ...baseResult, status: 'failed', error: result.error, details: result.details, ...(duplicate && { duplicate }) });
+            }
+        } finally {
+            await removeTempFile(segmentFilePath);
         }
+    }
 
+    // Chapter data is the full Creative-Tonie, so only the latest state is returned
+    return { results, chapterData };
+}
+
+/**
+ * Combine the per-segment results of a split video, in the order of its chapter markers
+ * @returns {Object} Result of importVideo, failed if not a single chapter could be imported or skipped
+ */
+function finishChapterSegments(results, { title, videoInfo, fileSize, chapterData }) {
+    const chapters = [...results].sort((a, b) => a.index - b.index);
+    const failed = chapters.filter(chapter => chapter.status === 'failed');
+
+    if (failed.length === chapters.length) {
+        return {
+            success: false,
+            // Refused duplicates are a conflict, not a failing upstream
+            status: failed.every(chapter => chapter.duplicate) ? 409 : 502,
+            error: 'No chapters could be imported',
+            details: failed[0].details,
+            chapters
+        };
+    }
+
+    return { success: true, title, videoInfo, fileSize, chapters, chapterData };
+}
+
+/**
+ * Download a single video and add it to the Creative-Tonie, either as one chapter
+ * or split into one chapter per chapter marker of the video
+ * @param {Object} capacity - Remaining capacity of the Creative-Tonie (see utils/capacity.js)
+ * @param {Object} duplicates - Duplicate check of the request (see utils/duplicates.js)
+ * @param {Object} [options] - Import options
+ * @param {Object} [options.clip] - { start, end } in seconds to upload only part of the video
+ * @param {boolean} [options.splitByChapters] - Add every chapter marker of the video as its own chapter
+ * @param {Function} [options.onProgress] - Called with the current phase and byte progress (see utils/jobs.js)
+ * @param {number} [options.downloadTimeout] - Timeout for the download in milliseconds
+ * @returns {Promise<Object>} Result with success status and upload details, or error details with status.
+ *   Errors caused by the video itself (unavailable, private, live) are flagged as unavailable.
+ *   In split mode the result holds the per-segment results in chapters.
+ *   Content already on the Creative-Tonie is refused or skipped before downloading, as decided by the duplicate check.
+ */
+async function importVideo(url, title, client, householdId, creativeTonieId, capacity, duplicates, {
+    clip = null,
+    splitByChapters = false,
+    onProgress = () => {},
+    downloadTimeout = DOWNLOAD_TIMEOUT
+} = {}) {
+    let tempFilePath = null;
+    let clippedFilePath = null;
+
+    try {
         // Get video information
         console.log('Getting video info...');
         let videoInfo;
@@ -268,11 +529,110 @@ export default async function handler(req, res) {
             videoInfo = await getVideoInfo(url);
             console.log('Video info:', videoInfo);
         } catch (error) {
-            res.status(400).json({
+            return {
+                success: false,
+                unavailable: true,
+                status: 400,
                 error: 'Failed to get video information',
                 details: error.message
-            });
-            return;
+            };
+        }
+
+        let clipRange = null;
+        let segments = null;
+
+        if (splitByChapters) {
+            segments = buildChapterSegments(getVideoChapters(videoInfo), videoInfo.duration);
+
+            if (segments.length < 2) {
+                return {
+                    success: false,
+                    status: 400,
+                    error: 'Video has no chapter markers',
+                    details: 'Neither the video metadata nor its description contain a chapter list starting at 0:00'
+                };
+            }
+
+            console.log(`Found ${segments.length} chapter markers`);
+        } else {
+            try {
+                clipRange = resolveClipRange(clip, videoInfo.duration);
+            } catch (error) {
+                return {
+                    success: false,
+                    status: 400,
+                    error: 'Invalid clip range',
+                    details: error.message
+                };
+            }
+        }
+
+        const chapterTitle = title || videoInfo.title;
+        const videoSummary = {
+            title: videoInfo.title,
+            author: videoInfo.author,
+            duration: videoInfo.duration,
+            videoId: videoInfo.videoId
+        };
+
+        // Refuse or skip content already on the Creative-Tonie before downloading it
+        let fingerprint = null;
+        let duplicate = null;
+        const duplicateResults = [];
+
+        if (segments) {
+            const pendingSegments = [];
+
+            for (const segment of segments) {
+                const segmentFingerprint = fingerprintYouTube(videoInfo.videoId, segment);
+                const segmentDuplicate = await duplicates.check(segmentFingerprint);
+                const segmentTitle = segment.title || `${title || videoInfo.title} (${segment.index})`;
+                const baseResult = { index: segment.index, title: segmentTitle, start: segment.start, end: segment.end, duration: segment.duration };
+
+                if (segmentDuplicate?.decision === 'refused') {
+                    const { error, details } = getDuplicateOutcome(segmentDuplicate);
+                    duplicateResults.push({ ...baseResult, status: 'failed', error, details, duplicate: segmentDuplicate });
+                } else if (segmentDuplicate?.decision === 'skipped') {
+                    duplicateResults.push({ ...baseResult, status: 'skipped', reason: `Already on the Creative-Tonie as chapter "${segmentDuplicate.title}"`, duplicate: segmentDuplicate });
+                } else {
+                    pendingSegments.push({ ...segment, title: segmentTitle, fingerprint: segmentFingerprint, duplicate: segmentDuplicate });
+                }
+            }
+
+            segments = pendingSegments;
+        } else {
+            fingerprint = fingerprintYouTube(videoInfo.videoId, clipRange || {});
+            duplicate = await duplicates.check(fingerprint);
+            const duplicateOutcome = getDuplicateOutcome(duplicate);
+
+            if (duplicateOutcome?.skipped) {
+                return { ...duplicateOutcome, title: chapterTitle, videoInfo: videoSummary, clip: clipRange };
+            }
+            if (duplicateOutcome) {
+                return duplicateOutcome;
+            }
+        }
+
+        if (segments && segments.length === 0) {
+            return finishChapterSegments(duplicateResults, { title: chapterTitle, videoInfo: videoSummary, fileSize: 0, chapterData: null });
+        }
+
+        // Reject before downloading if the video does not fit onto the Creative-Tonie
+        const capacityCheck = checkCapacity(capacity, {
+            seconds: segments
+                ? segments.reduce((total, segment) => total + segment.duration, 0)
+                : (clipRange ? clipRange.duration : videoInfo.duration),
+            chapters: segments ? segments.length : 1
+        });
+        if (!capacityCheck.fits) {
+            console.error(`Capacity check failed: ${capacityCheck.error}`);
+            return {
+                success: false,
+                status: 409,
+                error: 'Not enough space on Creative-Tonie',
+                details: capacityCheck.error,
+                capacity: capacityCheck
+            };
         }
 
         // Generate filename
@@ -280,13 +640,14 @@ export default async function handler(req, res) {
         console.log('Generated filename:', filename);
 
         // Validate filename
-        const validationErrors = validateFile(0, filename); // Size will be checked during download
+        const validationErrors = validateFile(0, filename, null, MAX_FILE_SIZE); // Size will be checked during download
         if (validationErrors.length > 1) { // Ignore size error for now
-            res.status(400).json({
+            return {
+                success: false,
+                status: 400,
                 error: 'File validation failed',
                 details: validationErrors.filter(e => !e.includes('File size'))
-            });
-            return;
+            };
         }
 
         // Create temporary file path
@@ -295,225 +656,544 @@ export default async function handler(req, res) {
 
         // Download YouTube audio
         console.log('Starting YouTube audio download...');
+        onProgress({ phase: 'downloading' });
         let fileSize;
         try {
-            fileSize = await downloadYouTubeAudio(url, tempFilePath, videoInfo);
+            fileSize = await downloadYouTubeAudio(url, tempFilePath, videoInfo, { timeout: downloadTimeout, onProgress });
             console.log(`Download completed: ${fileSize} bytes`);
         } catch (error) {
-            res.status(400).json({
+            return {
+                success: false,
+                status: 400,
                 error: 'Failed to download YouTube audio',
                 details: error.message
-            });
-            return;
+            };
         }
 
         // Final file size validation
-        const finalValidationErrors = validateFile(fileSize, filename);
+        const finalValidationErrors = validateFile(fileSize, filename, null, MAX_FILE_SIZE);
         if (finalValidationErrors.length > 0) {
-            res.status(400).json({
+            return {
+                success: false,
+                status: 400,
                 error: 'Downloaded file validation failed',
                 details: finalValidationErrors
-            });
-            return;
+            };
+        }
+
+        if (segments) {
+            const { results, chapterData } = await uploadChapterSegments(
+                segments, tempFilePath, videoInfo, title, client, householdId, creativeTonieId, duplicates, onProgress
+            );
+
+            return finishChapterSegments([...duplicateResults, ...results], { title: chapterTitle, videoInfo: videoSummary, fileSize, chapterData });
+        }
+
+        // Cut the requested range out of the full audio track
+        let audioFilePath = tempFilePath;
+        if (clipRange) {
+            console.log(`Clipping audio to ${clipRange.start}s - ${clipRange.end}s...`);
+            onProgress({ phase: 'cutting' });
+            clippedFilePath = tempFilePath.replace(/\.m4a$/, '.clip.m4a');
+
+            try {
+                await cutAudio(tempFilePath, clippedFilePath, clipRange);
+            } catch (error) {
+                return {
+                    success: false,
+                    status: 422,
+                    error: 'Failed to clip YouTube audio',
+                    details: error.message
+                };
+            }
+
+            audioFilePath = clippedFilePath;
+        }
+
+        const upload = await duplicates.finish(fingerprint, duplicate,
+            await uploadAudioFile(audioFilePath, filename, chapterTitle, client, householdId, creativeTonieId, onProgress));
+        if (!upload.success) {
+            return upload;
+        }
+
+        return {
+            success: true,
+            title: chapterTitle,
+            videoInfo: videoSummary,
+            fileId: upload.fileId,
+            filename: upload.filename,
+            fileSize,
+            audioInfo: upload.audioInfo,
+            transcoding: upload.transcoding,
+            clip: clipRange,
+            duplicate: upload.duplicate,
+            chapterData: upload.chapterData
+        };
+    } finally {
+        // Clean up temporary files
+        for (const filePath of [tempFilePath, clippedFilePath]) {
+            if (filePath) {
+                await removeTempFile(filePath);
+            }
+        }
+    }
+}
+
+/**
+ * Import every entry of a playlist as its own chapter.
+ * Unavailable, private and live entries are skipped, other failures do not stop the import.
+ */
+async function importPlaylist(playlist, client, householdId, creativeTonieId, capacity, duplicates, { onProgress = () => {}, downloadTimeout } = {}) {
+    const results = [];
+    let chapterData = null;
+    let remainingCapacity = capacity;
+
+    for (const entry of playlist.entries) {
+        const baseResult = { index: entry.index, videoId: entry.videoId, title: entry.title };
+
+        if (entry.isLive) {
+            results.push({ ...baseResult, status: 'skipped', reason: 'Live streams cannot be downloaded' });
+            continue;
+        }
+
+        console.log(`Importing playlist entry ${entry.index}: ${entry.title}`);
+        onProgress({ entry: entry.index, entries: playlist.entries.length });
+        const result = await importVideo(entry.url, null, client, householdId, creativeTonieId, remainingCapacity, duplicates, {
+            onProgress,
+            downloadTimeout
+        });
+
+        if (result.skipped) {
+            results.push({ ...baseResult, status: 'skipped', reason: `Already on the Creative-Tonie as chapter "${result.duplicate.title}"`, duplicate: result.duplicate });
+        } else if (result.success) {
+            const { chapterData: latestChapterData, ...upload } = result;
+            results.push({ ...baseResult, status: 'imported', ...upload });
+            chapterData = latestChapterData;
+            remainingCapacity = reserveCapacity(remainingCapacity, { seconds: result.videoInfo.duration });
+        } else if (result.unavailable) {
+            results.push({ ...baseResult, status: 'skipped', reason: result.details });
+        } else {
+            results.push({ ...baseResult, status: 'failed', error: result.error, details: result.details, ...(result.duplicate && { duplicate: result.duplicate }) });
         }
+    }
 
-        // Read the downloaded file
-        console.log('Reading downloaded file...');
-        const fileData = await readFile(tempFilePath);
+    // Chapter data is the full Creative-Tonie, so only the latest state is returned
+    return { results, chapterData };
+}
 
-        // Authenticate with Tonie API
-        console.log('Authenticating with Tonie API...');
-        const tonieAuth = await authenticateWithTonie();
-        if (!tonieAuth.success) {
-            res.status(401).json({
+/**
+ * Authenticate, check the Creative-Tonie and import a validated request
+ * @returns {Promise<Object>} { status, body } of the response
+ */
+async function processYouTubeUpload({
+    url,
+    title,
+    tonieId,
+    account,
+    playlist,
+    clip,
+    splitByChapters,
+    onDuplicate,
+    onProgress = () => {},
+    downloadTimeout = DOWNLOAD_TIMEOUT
+}) {
+    // Authenticate with Tonie API
+    console.log('Authenticating with Tonie API...');
+    const tonieAuth = await getTonieAccessToken({ account });
+    if (!tonieAuth.success) {
+        return {
+            status: 401,
+            body: {
                 error: 'Failed to authenticate with Tonie API',
                 details: tonieAuth.error
+            }
+        };
+    }
+
+    const client = new TonieClient(tonieAuth.sessionToken);
+    const { householdId, creativeTonieId } = TonieClient.parseTonieId(tonieId);
+
+    // Verify the Creative-Tonie exists before downloading anything
+    console.log('Verifying Creative-Tonie exists...');
+    const targetResult = await client.findCreativeTonie(householdId, creativeTonieId);
+    if (!targetResult.success) {
+        const { success, status, ...errorBody } = targetResult;
+        return { status, body: errorBody };
+    }
+
+    const capacity = getCapacity(targetResult.tonie);
+    const duplicates = createDuplicateCheck({ client, householdId, creativeTonieId, chapters: targetResult.tonie.chapters, onDuplicate });
+
+    try {
+        if (playlist) {
+            // Reject early if the playlist range as a whole does not fit onto the Creative-Tonie.
+            // Entries already on it that are refused or skipped take no space.
+            const importableEntries = [];
+            for (const entry of playlist.entries.filter(entry => !entry.isLive)) {
+                if (!getDuplicateOutcome(await duplicates.check(fingerprintYouTube(entry.videoId)))) {
+                    importableEntries.push(entry);
+                }
+            }
+
+            const capacityCheck = checkCapacity(capacity, {
+                seconds: importableEntries.reduce((total, entry) => total + entry.duration, 0),
+                chapters: importableEntries.length
+            });
+
+            if (!capacityCheck.fits) {
+                console.error(`Capacity check failed: ${capacityCheck.error}`);
+                return {
+                    status: 409,
+                    body: {
+                        error: 'Not enough space on Creative-Tonie',
+                        details: `${capacityCheck.error}. Use playlistStart and playlistEnd to import a smaller range`,
+                        capacity: capacityCheck
+                    }
+                };
+            }
+
+            const { results, chapterData } = await importPlaylist(playlist, client, householdId, creativeTonieId, capacity, duplicates, {
+                onProgress,
+                downloadTimeout
+            });
+            const imported = results.filter(result => result.status === 'imported');
+            const skipped = results.filter(result => result.status === 'skipped');
+            const failed = results.filter(result => result.status === 'failed');
+
+            const summary = {
+                playlist: {
+                    id: playlist.id,
+                    title: playlist.title,
+                    author: playlist.author,
+                    totalItems: playlist.totalItems
+                },
+                imported: imported.length,
+                skipped: skipped.length,
+                failed: failed.length,
+                results
+            };
+
+            // A playlist that is already on the Creative-Tonie and skipped is not an error
+            const skippedDuplicates = skipped.filter(result => result.duplicate);
+
+            if (imported.length === 0 && skippedDuplicates.length === 0) {
+                let status = 400;
+                if (failed.length > 0) {
+                    status = failed.every(result => result.duplicate) ? 409 : 502;
+                }
+
+                return {
+                    status,
+                    body: {
+                        error: 'No playlist entries could be imported',
+                        ...summary
+                    }
+                };
+            }
+
+            return {
+                status: failed.length > 0 ? 207 : 200,
+                body: {
+                    success: failed.length === 0,
+                    message: `Imported ${imported.length} of ${results.length} playlist entries from "${playlist.title}"${skippedDuplicates.length > 0 ? `, skipped ${skippedDuplicates.length} already on the Creative-Tonie` : ''}`,
+                    ...summary,
+                    chapterData,
+                    timestamp: new Date().toISOString()
+                }
+            };
+        }
+
+        const result = await importVideo(url, title, client, householdId, creativeTonieId, capacity, duplicates, {
+            clip,
+            splitByChapters,
+            onProgress,
+            downloadTimeout
+        });
+
+        if (!result.success) {
+            const { success, status, unavailable, ...errorBody } = result;
+            return { status, body: errorBody };
+        }
+
+        if (result.skipped) {
+            return {
+                status: 200,
+                body: {
+                    success: true,
+                    skipped: true,
+                    message: `Skipped "${result.videoInfo.title}", it already is chapter "${result.duplicate.title}"`,
+                    videoInfo: result.videoInfo,
+                    clip: result.clip,
+                    duplicate: result.duplicate,
+                    timestamp: new Date().toISOString()
+                }
+            };
+        }
+
+        if (splitByChapters) {
+            const imported = result.chapters.filter(chapter => chapter.status === 'imported');
+            const skipped = result.chapters.filter(chapter => chapter.status === 'skipped');
+            const failed = result.chapters.filter(chapter => chapter.status === 'failed');
+            const skippedMessage = skipped.length > 0 ? `, skipped ${skipped.length} already on the Creative-Tonie` : '';
+
+            return {
+                status: failed.length > 0 ? 207 : 200,
+                body: {
+                    success: failed.length === 0,
+                    message: `Imported ${imported.length} of ${result.chapters.length} chapters from "${result.videoInfo.title}"${skippedMessage}`,
+                    videoInfo: result.videoInfo,
+                    fileSize: result.fileSize,
+                    imported: imported.length,
+                    skipped: skipped.length,
+                    failed: failed.length,
+                    chapters: result.chapters,
+                    chapterData: result.chapterData,
+                    timestamp: new Date().toISOString()
+                }
+            };
+        }
+
+        // Success!
+        return {
+            status: 200,
+            body: {
+                success: true,
+                message: `Successfully uploaded "${result.videoInfo.title}" as chapter "${result.title}"`,
+                videoInfo: result.videoInfo,
+                fileId: result.fileId,
+                filename: result.filename,
+                fileSize: result.fileSize,
+                audioInfo: result.audioInfo,
+                transcoding: result.transcoding,
+                clip: result.clip,
+                duplicate: result.duplicate,
+                chapterData: result.chapterData,
+                timestamp: new Date().toISOString()
+            }
+        };
+    } finally {
+        // Content that was checked but not uploaded is free for other requests again
+        await duplicates.release();
+    }
+}
+
+export default async function handler(req, res) {
+    // Set CORS headers
+    setCorsHeaders(res);
+
+    if (req.method === 'OPTIONS') {
+        res.status(200).end();
+        return;
+    }
+
+    if (req.method !== 'POST') {
+        res.status(405).json({ error: 'Method not allowed' });
+        return;
+    }
+
+    // Every attempt that passed authentication ends up in the history (see GET /api/history)
+    let history = null;
+
+    try {
+        const { tonieId, account, title, url, start, end } = req.body;
+        const playlistRequested = req.body.playlist === true || req.body.playlist === 'true';
+        const splitByChapters = req.body.splitByChapters === true || req.body.splitByChapters === 'true';
+        const asyncMode = req.body.async === true || req.body.async === 'true';
+
+        console.log('YouTube upload request:', { tonieId, title, url: url ? 'provided' : 'missing' });
+
+        const playlistMode = typeof url === 'string' && isPlaylistUrl(url, playlistRequested);
+
+        // Validate required fields (playlist entries and split chapters use their own titles)
+        if (!tonieId || (!title && !playlistMode && !splitByChapters) || !url) {
+            res.status(400).json({
+                error: 'Missing required fields',
+                details: 'tonieId, title, and url are required'
             });
             return;
         }
 
-        const accessToken = tonieAuth.sessionToken;
+        // Verify the credential may upload to this Creative-Tonie
+        const auth = await authorizeRequest(getRequestCredential(req), 'upload', { tonieId, ip: getClientIp(req) });
+        if (!auth.success) {
+            sendAuthFailure(res, auth);
+            return;
+        }
 
-        // Step 1: Request upload URL from Tonie API
-        console.log('Requesting upload URL from Tonie API...');
-        const uploadRequestResult = await makeTonieApiRequest('/file', accessToken, {
-            method: 'POST'
-        });
+        // Every video, chapter or playlist entry is recorded on its own
+        history = { source: 'youtube', principal: auth.principal, account, tonieId, request: { url, title } };
 
-        if (!uploadRequestResult.success) {
-            res.status(uploadRequestResult.status || 500).json({
-                error: 'Failed to get upload URL from Tonie API',
-                details: uploadRequestResult.error
+        if (!TonieClient.parseTonieId(tonieId)) {
+            await sendUploadFailure(res, history, 400, {
+                error: 'Invalid tonieId',
+                details: 'tonieId must have the format "householdId/creativeTonieId"'
             });
             return;
         }
 
-        const uploadRequest = uploadRequestResult.data;
-        console.log(`Received upload request with fileId: ${uploadRequest.fileId}`);
+        if (!hasTonieAccount(account)) {
+            await sendUploadFailure(res, history, 400, {
+                error: 'Unknown Tonie account',
+                details: `No Tonie account named "${account}" is configured`
+            });
+            return;
+        }
+
+        if (asyncMode && !supportsBackgroundJobs()) {
+            sendBackgroundJobsUnavailable(res);
+            return;
+        }
+
+        // Validate YouTube URL
+        console.log('Validating YouTube URL...');
+        try {
+            validateYouTubeUrl(url);
+        } catch (error) {
+            await sendUploadFailure(res, history, 400, {
+                error: 'Invalid YouTube URL',
+                details: error.message
+            });
+            return;
+        }
 
-        // Step 2: Upload file to Amazon S3
-        console.log('Uploading file to Amazon S3...');
+        // Parse the optional clip range; it is checked against the video duration later
+        let clip = null;
         try {
-            const fileId = await uploadToS3(uploadRequest, fileData, filename);
-            console.log(`File uploaded successfully with ID: ${fileId}`);
+            clip = { start: parseTimestamp(start, 'start'), end: parseTimestamp(end, 'end') };
+        } catch (error) {
+            await sendUploadFailure(res, history, 400, {
+                error: 'Invalid clip range',
+                details: error.message
+            });
+            return;
+        }
+
+        if (playlistMode && (clip.start !== null || clip.end !== null)) {
+            await sendUploadFailure(res, history, 400, {
+                error: 'Invalid clip range',
+                details: 'start and end can only be used with single videos, not with playlists'
+            });
+            return;
+        }
 
-            // Verify the Creative-Tonie exists using the correct API pattern
-            console.log('Verifying Creative-Tonie exists...');
+        if (splitByChapters && (playlistMode || clip.start !== null || clip.end !== null)) {
+            await sendUploadFailure(res, history, 400, {
+                error: 'Invalid split request',
+                details: 'splitByChapters can only be used with single videos and cannot be combined with start or end'
+            });
+            return;
+        }
 
-            // Parse tonieId to extract household and tonie IDs
-            const [householdId, creativeTonnieId] = tonieId.split('/');
-            console.log(`Parsed household ID: ${householdId}, Creative-Tonie ID: ${creativeTonnieId}`);
+        let onDuplicate;
+        try {
+            onDuplicate = parseDuplicateAction(req.body.onDuplicate);
+        } catch (error) {
+            await sendUploadFailure(res, history, 400, {
+                error: 'Invalid onDuplicate field',
+                details: error.message
+            });
+            return;
+        }
 
-            // First, verify household exists
-            const householdsResult = await makeTonieApiRequest('/households', accessToken);
+        // Resolve playlist entries before doing any work on the Tonie side
+        let playlist = null;
+        if (playlistMode) {
+            let playlistStart;
+            let playlistEnd;
+            try {
+                playlistStart = parsePlaylistIndex(req.body.playlistStart, 'playlistStart');
+                playlistEnd = parsePlaylistIndex(req.body.playlistEnd, 'playlistEnd');
 
-            if (!householdsResult.success) {
-                res.status(householdsResult.status || 500).json({
-                    error: 'Failed to fetch households',
-                    details: householdsResult.error
+                if (playlistStart && playlistEnd && playlistEnd < playlistStart) {
+                    throw new Error('playlistEnd must not be smaller than playlistStart');
+                }
+            } catch (error) {
+                await sendUploadFailure(res, history, 400, {
+                    error: 'Invalid playlist range',
+                    details: error.message
                 });
                 return;
             }
 
-            const households = householdsResult.data || [];
-            const targetHousehold = households.find(h => h.id === householdId);
-
-            if (!targetHousehold) {
-                res.status(404).json({
-                    error: 'Household not found',
-                    details: `Household with ID "${householdId}" not found`,
-                    availableHouseholds: households.map(h => ({ id: h.id, name: h.name }))
+            console.log('Getting playlist info...');
+            try {
+                playlist = await getPlaylistEntries(url, playlistStart, playlistEnd);
+                console.log(`Playlist "${playlist.title}" has ${playlist.entries.length} entries in range`);
+            } catch (error) {
+                await sendUploadFailure(res, history, 400, {
+                    error: 'Failed to get playlist information',
+                    details: error.message
                 });
                 return;
             }
 
-            console.log(`Found household: ${targetHousehold.name}`);
-
-            // Get Creative-Tonies for this household using the correct endpoint
-            const creativeToniesEndpoint = `/households/${householdId}/creativetonies`;
-            console.log(`Fetching Creative-Tonies from: ${creativeToniesEndpoint}`);
-
-            const creativeToniesResult = await makeTonieApiRequest(creativeToniesEndpoint, accessToken);
-
-            if (!creativeToniesResult.success) {
-                // Try fallback endpoint with hyphenated name
-                const fallbackEndpoint = `/households/${householdId}/creative-tonies`;
-                console.log(`Trying fallback endpoint: ${fallbackEndpoint}`);
-                const fallbackResult = await makeTonieApiRequest(fallbackEndpoint, accessToken);
-
-                if (!fallbackResult.success) {
-                    res.status(creativeToniesResult.status || 500).json({
-                        error: 'Failed to fetch Creative-Tonies',
-                        details: creativeToniesResult.error,
-                        debug: {
-                            householdId,
-                            endpoint: creativeToniesEndpoint,
-                            fallbackEndpoint,
-                            fallbackError: fallbackResult.error
-                        }
-                    });
-                    return;
-                }
-
-                // Use fallback result
-                creativeToniesResult.data = fallbackResult.data;
-                creativeToniesResult.success = true;
+            if (playlist.entries.length === 0) {
+                await sendUploadFailure(res, history, 400, {
+                    error: 'Playlist has no entries in the requested range',
+                    details: `Playlist contains ${playlist.totalItems} entries`
+                });
+                return;
             }
+        }
 
-            const creativetonies = Array.isArray(creativeToniesResult.data) ? creativeToniesResult.data : [];
-            console.log(`Found ${creativetonies.length} Creative-Tonies`);
+        const upload = { url, title, tonieId, account, playlist, clip, splitByChapters, onDuplicate };
 
-            const targetTonie = creativetonies.find(tonie => tonie.id === creativeTonnieId);
+        // Clients that want to follow the upload live pass their own ID (see GET /api/jobs/{id}/events),
+        // it is ignored where jobs cannot be followed
+        const uploadId = canFollowJobs() ? getUploadId(req) || req.body.uploadId || null : null;
 
-            if (!targetTonie) {
-                res.status(404).json({
-                    error: 'Creative-Tonie not found',
-                    details: `Creative-Tonie with ID "${creativeTonnieId}" not found in household "${householdId}"`,
-                    availableCreativetonies: creativetonies.map(t => ({
-                        id: t.id,
-                        name: t.name,
-                        chapters: t.chapters?.length || 0
-                    }))
+        if (asyncMode || uploadId) {
+            let job;
+            try {
+                const details = {
+                    url,
+                    tonieId,
+                    account: account || null,
+                    title: title || null,
+                    user: auth.principal.user,
+                    keyId: auth.principal.keyId
+                };
+                job = await createJob('youtube', details, uploadId);
+            } catch (error) {
+                await sendUploadFailure(res, history, error.status || 500, {
+                    error: 'Invalid upload ID',
+                    details: error.message
                 });
                 return;
             }
 
-            console.log(`Found Creative-Tonie: ${targetTonie.name} (ID: ${targetTonie.id})`);
-
-            // Step 3: Add chapter to Creative-Tonie
-            console.log(`Adding chapter "${title}" to tonie ${tonieId}...`);
-            const chapterEndpoint = `/households/${householdId}/creativetonies/${creativeTonnieId}/chapters`;
-            console.log(`Adding chapter to endpoint: ${chapterEndpoint}`);
-
-            const addChapterResult = await makeTonieApiRequest(
-                chapterEndpoint,
-                accessToken,
-                {
-                    method: 'POST',
-                    body: JSON.stringify({
-                        title: title,
-                        file: fileId
-                    })
-                }
-            );
-
-            if (!addChapterResult.success) {
-                console.error('Add chapter failed:', addChapterResult.error);
-                res.status(addChapterResult.status || 500).json({
-                    error: 'Failed to add chapter to Creative-Tonie',
-                    details: addChapterResult.error,
-                    debug: {
-                        householdId,
-                        creativeTonnieId,
-                        chapterEndpoint,
-                        fileId,
-                        title
-                    }
+            console.log(`Started job ${job.id}`);
+            const running = startJob(job, onProgress => processYouTubeUpload({
+                ...upload,
+                onProgress,
+                downloadTimeout: asyncMode ? JOB_DOWNLOAD_TIMEOUT : DOWNLOAD_TIMEOUT
+            }).then(outcome => recordUploadOutcome({ ...history, jobId: job.id }, outcome)));
+
+            // Async mode: answer right away and let the client follow GET /api/jobs/{id}
+            if (asyncMode) {
+                res.status(202).json({
+                    success: true,
+                    jobId: job.id,
+                    status: job.status,
+                    statusUrl: `/api/jobs/${job.id}`,
+                    eventsUrl: `/api/jobs/${job.id}/events`
                 });
                 return;
             }
 
-            // Success!
-            res.status(200).json({
-                success: true,
-                message: `Successfully uploaded "${videoInfo.title}" as chapter "${title}"`,
-                videoInfo: {
-                    title: videoInfo.title,
-                    author: videoInfo.author,
-                    duration: videoInfo.duration,
-                    videoId: videoInfo.videoId
-                },
-                fileId: fileId,
-                filename: filename,
-                fileSize: fileSize,
-                chapterData: addChapterResult.data,
-                timestamp: new Date().toISOString()
-            });
-
-        } catch (s3Error) {
-            console.error('S3 upload error:', s3Error);
-            res.status(500).json({
-                error: 'Failed to upload file to storage',
-                details: s3Error.message
-            });
+            const { status, body } = await running;
+            res.status(status).json(body);
             return;
         }
 
+        const { status, body } = await recordUploadOutcome(history, await processYouTubeUpload(upload));
+        res.status(status).json(body);
+
     } catch (error) {
         console.error('YouTube upload error:', error);
-        res.status(500).json({
+        await sendUploadFailure(res, history, 500, {
             error: 'Internal server error',
             details: error.message
         });
-    } finally {
-        // Clean up temporary file
-        if (tempFilePath) {
-            try {
-                await unlink(tempFilePath);
-                console.log(`Cleaned up temporary file: ${tempFilePath}`);
-            } catch (cleanupError) {
-                console.error(`Failed to cleanup temporary file: ${cleanupError.message}`);
-            }
-        }
     }
 }
@@ -0,0 +1,372 @@
+// mock/tonie-cloud.js
+// Local stand-in for the Tonie cloud, so handlers can be tested without touching real Creative-Tonies.
+// Fakes the OpenID token endpoint, households, Creative-Tonies, /file upload requests, the S3 form post
+// and chapter changes, and can answer any request with an injected error.
+//
+// Run it on its own with `node mock/tonie-cloud.js` and point the app at it:
+//   TONIE_LOGIN_URL=http://localhost:4000 TONIE_API_URL=http://localhost:4000/v2
+//   TONIE_EMAIL=parent@example.com TONIE_PASSWORD=secret
+
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { parseMultipartStream, removeUploadedFiles } from '../utils/multipart.js';
+
+const TOKEN_PATH = '/auth/realms/tonies/protocol/openid-connect/token';
+const MAX_SECONDS = 5400;
+const MAX_CHAPTERS = 99;
+
+/**
+ * Accounts the mock knows when none are given: one household with two Creative-Tonies
+ */
+export function createDefaultAccounts() {
+    return [{
+        email: 'parent@example.com',
+        password: 'secret',
+        households: [{
+            id: 'household-1',
+            name: 'Home',
+            creativeTonies: [
+                { id: 'tonie-1', name: 'Yeti', chapters: [{ id: 'chapter-1', title: 'Good Night', file: 'file-1', seconds: 120 }] },
+                { id: 'tonie-2', name: 'Rolfi', chapters: [] }
+            ]
+        }]
+    }];
+}
+
+function sendJson(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+async function readBody(req) {
+    const chunks = [];
+    for await (const chunk of req) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+}
+
+/**
+ * A Creative-Tonie as the Tonie API returns it, with its capacity
+ */
+function describeTonie(tonie) {
+    const secondsPresent = tonie.chapters.reduce((total, chapter) => total + (chapter.seconds || 0), 0);
+
+    return {
+        id: tonie.id,
+        name: tonie.name,
+        imageUrl: null,
+        live: false,
+        private: false,
+        noCloud: false,
+        transcoding: false,
+        chapters: tonie.chapters,
+        secondsPresent,
+        secondsRemaining: Math.max(0, MAX_SECONDS - secondsPresent),
+        chaptersPresent: tonie.chapters.length,
+        chaptersRemaining: Math.max(0, MAX_CHAPTERS - tonie.chapters.length)
+    };
+}
+
+export class MockTonieCloud {
+    /**
+     * @param {Object} [options] - Mock options
+     * @param {Object[]} [options.accounts] - Accounts as { email, password, households: [{ id, name, creativeTonies }] }
+     * @param {number} [options.tokenLifetime] - expires_in of issued access tokens in seconds
+     * @param {number} [options.chapterSeconds] - Playtime of every added chapter
+     */
+    constructor({ accounts = createDefaultAccounts(), tokenLifetime = 300, chapterSeconds = 60 } = {}) {
+        this.accounts = structuredClone(accounts);
+        this.tokenLifetime = tokenLifetime;
+        this.chapterSeconds = chapterSeconds;
+        this.tokens = new Map();
+        this.refreshTokens = new Map();
+        this.tokenGrants = [];
+        this.files = new Map();
+        this.downloads = new Map();
+        this.failures = [];
+        this.requests = [];
+        this.server = null;
+        this.url = null;
+    }
+
+    /**
+     * Start listening, on a free port by default
+     * @returns {Promise<Object>} { loginUrl, apiUrl } to use as TONIE_LOGIN_URL and TONIE_API_URL
+     */
+    async start(port = 0) {
+        this.server = http.createServer((req, res) => {
+            this.handle(req, res).catch(error => {
+                console.error('Mock Tonie cloud error:', error);
+                sendJson(res, 500, { error: error.message });
+            });
+        });
+
+        await new Promise(resolve => this.server.listen(port, '127.0.0.1', resolve));
+        this.url = `http://127.0.0.1:${this.server.address().port}`;
+
+        return { loginUrl: this.url, apiUrl: `${this.url}/v2` };
+    }
+
+    async stop() {
+        if (this.server) {
+            this.server.closeAllConnections();
+            await new Promise(resolve => this.server.close(resolve));
+            this.server = null;
+        }
+    }
+
+    /**
+     * Answer the next matching requests with an error instead of handling them
+     * @param {string} method - HTTP method, or "*" for any
+     * @param {string|RegExp} pathPattern - Request path such as "/v2/households"
+     * @param {Object} [failure] - { status = 500, body, headers, times = 1, networkError } where networkError drops the connection
+     */
+    failNext(method, pathPattern, { status = 500, body = { error: 'Injected failure' }, headers = {}, times = 1, networkError = false } = {}) {
+        this.failures.push({ method, pathPattern, status, body, headers, times, networkError });
+    }
+
+    /**
+     * Serve a static file, e.g. an audio file or podcast feed for URL uploads
+     * @returns {string} URL of the file
+     */
+    serveFile(filePath, body, contentType = 'application/octet-stream') {
+        this.downloads.set(filePath, { body, contentType });
+        return `${this.url}${filePath}`;
+    }
+
+    /**
+     * Look up a Creative-Tonie, e.g. to check the chapters a test added
+     */
+    getTonie(householdId, creativeTonieId) {
+        const tonie = this.findTonie(householdId, creativeTonieId);
+        return tonie ? describeTonie(tonie) : null;
+    }
+
+    findTonie(householdId, creativeTonieId, account = null) {
+        const accounts = account ? [account] : this.accounts;
+
+        for (const candidate of accounts) {
+            const household = candidate.households.find(entry => entry.id === householdId);
+            const tonie = household?.creativeTonies.find(entry => entry.id === creativeTonieId);
+            if (tonie) {
+                return tonie;
+            }
+        }
+
+        return null;
+    }
+
+    takeFailure(method, requestPath) {
+        const failure = this.failures.find(entry => entry.times > 0
+            && (entry.method === '*' || entry.method === method)
+            && (entry.pathPattern instanceof RegExp ? entry.pathPattern.test(requestPath) : entry.pathPattern === requestPath));
+
+        if (failure) {
+            failure.times--;
+        }
+
+        return failure || null;
+    }
+
+    issueTokens(account) {
+        const accessToken = `mock-access-${crypto.randomBytes(12).toString('hex')}`;
+        const refreshToken = `mock-refresh-${crypto.randomBytes(12).toString('hex')}`;
+
+        this.tokens.set(accessToken, { account, expiresAt: Date.now() + this.tokenLifetime * 1000 });
+        this.refreshTokens.set(refreshToken, account);
+
+        return {
+            access_token: accessToken,
+            token_type: 'Bearer',
+            expires_in: this.tokenLifetime,
+            refresh_token: refreshToken,
+            refresh_expires_in: this.tokenLifetime * 6
+        };
+    }
+
+    async handle(req, res) {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        const method = req.method;
+
+        this.requests.push({ method, path: pathname });
+
+        const failure = this.takeFailure(method, pathname);
+        if (failure) {
+            if (failure.networkError) {
+                req.socket.destroy();
+                return;
+            }
+
+            sendJson(res, failure.status, failure.body, failure.headers);
+            return;
+        }
+
+        if (method === 'GET' && this.downloads.has(pathname)) {
+            const { body, contentType } = this.downloads.get(pathname);
+            res.writeHead(200, { 'Content-Type': contentType, 'Content-Length': Buffer.byteLength(body) });
+            res.end(body);
+            return;
+        }
+
+        if (method === 'POST' && pathname === TOKEN_PATH) {
+            await this.handleToken(req, res);
+            return;
+        }
+
+        if (method === 'POST' && pathname === '/s3') {
+            await this.handleS3Upload(req, res);
+            return;
+        }
+
+        if (pathname.startsWith('/v2/')) {
+            await this.handleApi(req, res, method, pathname.slice(3));
+            return;
+        }
+
+        sendJson(res, 404, { error: 'Not found' });
+    }
+
+    async handleToken(req, res) {
+        const form = new URLSearchParams((await readBody(req)).toString('utf8'));
+        let account = null;
+
+        this.tokenGrants.push(form.get('grant_type'));
+
+        if (form.get('grant_type') === 'password') {
+            account = this.accounts.find(entry => entry.email === form.get('username') && entry.password === form.get('password'));
+        } else if (form.get('grant_type') === 'refresh_token') {
+            account = this.refreshTokens.get(form.get('refresh_token')) || null;
+        }
+
+        if (!account) {
+            sendJson(res, 401, { error: 'invalid_grant', error_description: 'Invalid user credentials' });
+            return;
+        }
+
+        sendJson(res, 200, this.issueTokens(account));
+    }
+
+    async handleS3Upload(req, res) {
+        const { fields, files } = await parseMultipartStream(req, req.headers['content-type'], { tmpDir: os.tmpdir() });
+        await removeUploadedFiles(files);
+
+        const upload = this.files.get(fields.key);
+        if (!upload || files.length !== 1) {
+            res.writeHead(403, { 'Content-Type': 'application/xml' });
+            res.end('<Error><Code>AccessDenied</Code></Error>');
+            return;
+        }
+
+        Object.assign(upload, { uploaded: true, filename: files[0].filename, size: files[0].size });
+        res.writeHead(204);
+        res.end();
+    }
+
+    async handleApi(req, res, method, endpoint) {
+        const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+        const session = this.tokens.get(token);
+
+        if (!session || session.expiresAt < Date.now()) {
+            sendJson(res, 401, { error: 'Unauthorized' });
+            return;
+        }
+
+        const { account } = session;
+        const body = method === 'GET' ? null : JSON.parse((await readBody(req)).toString('utf8') || '{}');
+
+        if (method === 'GET' && endpoint === '/households') {
+            sendJson(res, 200, account.households.map(({ id, name }) => ({ id, name, access: 'owner' })));
+            return;
+        }
+
+        if (method === 'POST' && endpoint === '/file') {
+            const fileId = crypto.randomUUID();
+            this.files.set(fileId, { uploaded: false });
+            sendJson(res, 201, {
+                fileId,
+                request: { url: `${this.url}/s3`, fields: { key: fileId, policy: 'mock-policy', 'x-amz-signature': 'mock' } }
+            });
+            return;
+        }
+
+        const match = endpoint.match(/^\/households\/([^/]+)\/creativetonies(?:\/([^/]+)(\/chapters)?)?$/);
+        const household = match && account.households.find(entry => entry.id === match[1]);
+
+        if (!household) {
+            sendJson(res, 404, { error: 'Not found' });
+            return;
+        }
+
+        const [, , creativeTonieId, chapters] = match;
+
+        if (!creativeTonieId) {
+            if (method !== 'GET') {
+                sendJson(res, 405, { error: 'Method not allowed' });
+                return;
+            }
+
+            sendJson(res, 200, household.creativeTonies.map(describeTonie));
+            return;
+        }
+
+        const tonie = this.findTonie(household.id, creativeTonieId, account);
+        if (!tonie) {
+            sendJson(res, 404, { error: 'Creative-Tonie not found' });
+            return;
+        }
+
+        if (method === 'GET' && !chapters) {
+            sendJson(res, 200, describeTonie(tonie));
+            return;
+        }
+
+        if (method === 'PATCH' && !chapters) {
+            if (!Array.isArray(body.chapters)) {
+                sendJson(res, 400, { error: 'chapters must be an array' });
+                return;
+            }
+
+            tonie.chapters = body.chapters;
+            sendJson(res, 200, describeTonie(tonie));
+            return;
+        }
+
+        if (method === 'POST' && chapters) {
+            if (!this.files.get(body.file)?.uploaded) {
+                sendJson(res, 422, { error: `File "${body.file}" was not uploaded` });
+                return;
+            }
+
+            if (tonie.chapters.length >= MAX_CHAPTERS) {
+                sendJson(res, 422, { error: 'Creative-Tonie is full' });
+                return;
+            }
+
+            tonie.chapters.push({
+                id: crypto.randomUUID(),
+                title: body.title,
+                file: body.file,
+                seconds: this.chapterSeconds,
+                transcoding: true
+            });
+            sendJson(res, 200, describeTonie(tonie));
+            return;
+        }
+
+        sendJson(res, 405, { error: 'Method not allowed' });
+    }
+}
+
+// Started directly: serve the default accounts until stopped
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    const cloud = new MockTonieCloud();
+    const { loginUrl, apiUrl } = await cloud.start(Number(process.env.PORT) || 4000);
+    const [account] = cloud.accounts;
+
+    console.log('Mock Tonie cloud running. Start the app with:');
+    console.log(`TONIE_LOGIN_URL=${loginUrl} TONIE_API_URL=${apiUrl} TONIE_EMAIL=${account.email} TONIE_PASSWORD=${account.password}`);
+}
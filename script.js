@@ -0,0 +1,467 @@
+// script.js
+// Frontend: log in, pick a Creative-Tonie and upload files or YouTube audio to it
+
+const SELECTED_TONIE_KEY = 'tonie-uploader:tonie';
+
+const PHASE_LABELS = {
+    queued: 'Waiting to start',
+    receiving: 'Sending files',
+    downloading: 'Downloading from YouTube',
+    cutting: 'Cutting audio',
+    transcoding: 'Converting audio',
+    uploading: 'Uploading to the Tonie cloud',
+    'adding-chapter': 'Adding chapter'
+};
+
+const state = {
+    // Only set when the server cannot issue sessions (no SESSION_SECRET); kept in memory of this tab
+    credential: null,
+    tonies: [],
+    busy: false
+};
+
+const $ = id => document.getElementById(id);
+
+/**
+ * Headers authenticating a request. With a session the HttpOnly cookie does that on its own.
+ */
+function authHeaders() {
+    return state.credential ? { 'X-App-Password': state.credential } : {};
+}
+
+/**
+ * POST JSON to an API endpoint
+ * @returns {Promise<Object>} { ok, status, data }
+ */
+async function postJson(path, body, headers = {}) {
+    const response = await fetch(path, {
+        method: 'POST',
+        credentials: 'same-origin',
+        headers: { 'Content-Type': 'application/json', ...headers, ...authHeaders() },
+        body: JSON.stringify(body)
+    });
+
+    return { ok: response.ok, status: response.status, data: await readJson(response) };
+}
+
+async function readJson(response) {
+    try {
+        return await response.json();
+    } catch (error) {
+        return { error: `Request failed with status ${response.status}` };
+    }
+}
+
+/**
+ * Turn an error response into a single line for the user
+ */
+function describeError(data) {
+    if (!data) {
+        return 'Something went wrong';
+    }
+
+    return data.details ? `${data.error}: ${data.details}` : data.error || 'Something went wrong';
+}
+
+function formatDuration(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    return minutes >= 60 ? `${Math.floor(minutes / 60)} h ${minutes % 60} min` : `${minutes} min`;
+}
+
+// Login
+
+function showLogin(message = null) {
+    $('app').hidden = true;
+    $('logout').hidden = true;
+    $('login').hidden = false;
+    $('login-error').hidden = !message;
+    $('login-error').textContent = message || '';
+    $('credential').focus();
+}
+
+function showApp() {
+    $('login').hidden = true;
+    $('app').hidden = false;
+    $('logout').hidden = false;
+    loadTonies();
+}
+
+/**
+ * Exchange the password or API key for a session cookie
+ */
+async function login(credential) {
+    const result = await postJson('/api/auth', { action: 'login', appPassword: credential });
+
+    if (result.status === 500 && result.data.error === 'Sessions are not configured') {
+        // Fall back to sending the credential with every request
+        const verified = await postJson('/api/auth', { action: 'verify', appPassword: credential });
+        if (verified.ok) {
+            state.credential = credential;
+        }
+        return verified;
+    }
+
+    return result;
+}
+
+async function logout() {
+    if (!state.credential) {
+        await postJson('/api/auth', { action: 'logout' }).catch(() => {});
+    }
+
+    state.credential = null;
+    state.tonies = [];
+    showLogin();
+}
+
+// Creative-Tonies
+
+function selectedTonie() {
+    return state.tonies[$('tonie').value] || null;
+}
+
+function showTonieInfo() {
+    const tonie = selectedTonie();
+
+    $('tonie-info').textContent = tonie
+        ? `${tonie.chaptersCount} chapters, ${formatDuration(tonie.secondsRemaining || 0)} and ${tonie.chaptersRemaining ?? 0} chapters free`
+        : '';
+}
+
+async function loadTonies() {
+    const select = $('tonie');
+    select.disabled = true;
+
+    let result;
+    try {
+        result = await postJson('/api/households', {});
+    } catch (error) {
+        showFeedback('error', `Could not load Creative-Tonies: ${error.message}`);
+        return;
+    }
+
+    if (result.status === 401) {
+        showLogin('Your session has ended, please log in again');
+        return;
+    }
+
+    if (!result.ok) {
+        showFeedback('error', `Could not load Creative-Tonies: ${describeError(result.data)}`);
+        return;
+    }
+
+    const { households, accounts = [] } = result.data;
+    const previous = localStorage.getItem(SELECTED_TONIE_KEY);
+
+    state.tonies = [];
+    select.replaceChildren();
+
+    for (const household of households) {
+        if (household.creativeTonies.length === 0) {
+            continue;
+        }
+
+        const group = document.createElement('optgroup');
+        // Name the account only when several are configured
+        group.label = accounts.length > 1 ? `${household.name} (${household.account})` : household.name;
+
+        for (const tonie of household.creativeTonies) {
+            const option = document.createElement('option');
+            option.value = String(state.tonies.length);
+            option.textContent = tonie.name;
+
+            state.tonies.push({
+                ...tonie,
+                tonieId: `${household.id}/${tonie.id}`,
+                account: household.account
+            });
+
+            if (previous === `${household.account}:${household.id}/${tonie.id}`) {
+                option.selected = true;
+            }
+
+            group.append(option);
+        }
+
+        select.append(group);
+    }
+
+    if (state.tonies.length === 0) {
+        select.append(new Option('No Creative-Tonies found'));
+    } else {
+        select.disabled = false;
+    }
+
+    if (result.data.accountErrors) {
+        showFeedback('error', result.data.accountErrors.map(({ account, error }) => `Account "${account}": ${error}`).join('\n'));
+    }
+
+    showTonieInfo();
+}
+
+// Progress and feedback
+
+function showProgress({ phase, progress = {} }) {
+    const bar = $('progress-bar');
+    let label = PHASE_LABELS[phase] || 'Working';
+
+    if (progress.files > 1) {
+        label += ` (file ${progress.file} of ${progress.files})`;
+    } else if (progress.chapters > 1) {
+        label += ` (chapter ${progress.chapter} of ${progress.chapters})`;
+    } else if (progress.entries > 1) {
+        label += ` (video ${progress.entry} of ${progress.entries})`;
+    }
+
+    $('progress').hidden = false;
+    $('progress-label').textContent = label;
+
+    // Phases without byte counts show an indeterminate bar
+    if (progress.bytesTotal) {
+        bar.value = Math.min(1, progress.bytesDone / progress.bytesTotal);
+    } else {
+        bar.removeAttribute('value');
+    }
+}
+
+function hideProgress() {
+    $('progress').hidden = true;
+}
+
+function showFeedback(type, message, items = []) {
+    const feedback = $('feedback');
+    feedback.className = `message ${type}`;
+    feedback.hidden = false;
+    feedback.replaceChildren(document.createTextNode(message));
+
+    if (items.length > 0) {
+        const list = document.createElement('ul');
+        for (const item of items) {
+            const entry = document.createElement('li');
+            entry.textContent = item;
+            list.append(entry);
+        }
+        feedback.append(list);
+    }
+}
+
+/**
+ * Show the result of an upload, listing the files or videos that failed or were skipped
+ */
+function showUploadResult(ok, data) {
+    const missed = (data.results || []).filter(result => result.success === false || ['failed', 'skipped'].includes(result.status));
+    const items = missed.map(result => `${result.title || result.filename || result.videoId}: ${result.details || result.error || result.reason}`);
+
+    if (ok) {
+        showFeedback(missed.length > 0 ? 'warning' : 'success', data.message || 'Upload finished', items);
+    } else {
+        showFeedback('error', describeError(data), items);
+    }
+}
+
+/**
+ * Follow the progress of a job via Server-Sent Events
+ * @returns {Object} { done, close } where done resolves with the final event of the job
+ */
+function followJob(jobId) {
+    const query = state.credential ? `?appPassword=${encodeURIComponent(state.credential)}` : '';
+    const source = new EventSource(`/api/jobs/${jobId}/events${query}`);
+
+    const done = new Promise((resolve, reject) => {
+        source.addEventListener('progress', event => showProgress(JSON.parse(event.data)));
+        source.addEventListener('success', event => {
+            source.close();
+            resolve(JSON.parse(event.data));
+        });
+        source.addEventListener('error', event => {
+            // Events sent by the server carry data, connection problems do not and are retried by EventSource
+            if (event.data) {
+                source.close();
+                resolve(JSON.parse(event.data));
+            } else if (source.readyState === EventSource.CLOSED) {
+                reject(new Error('Lost the connection to the upload progress'));
+            }
+        });
+    });
+
+    return { done, close: () => source.close() };
+}
+
+async function runUpload(form, upload) {
+    if (state.busy) {
+        return;
+    }
+
+    const tonie = selectedTonie();
+    if (!tonie) {
+        showFeedback('error', 'Please choose a Creative-Tonie first');
+        return;
+    }
+
+    state.busy = true;
+    $('feedback').hidden = true;
+    form.querySelector('button[type="submit"]').disabled = true;
+    showProgress({ phase: 'queued' });
+
+    try {
+        await upload(tonie);
+        loadTonies();
+    } catch (error) {
+        showFeedback('error', `Upload failed: ${error.message}`);
+    } finally {
+        state.busy = false;
+        form.querySelector('button[type="submit"]').disabled = false;
+        hideProgress();
+    }
+}
+
+// Upload from device
+
+function renderFileList() {
+    const list = $('file-list');
+    list.replaceChildren();
+
+    for (const file of $('files').files) {
+        const entry = document.createElement('li');
+        const title = document.createElement('input');
+        title.type = 'text';
+        title.maxLength = 128;
+        title.value = file.name.replace(/\.[^.]+$/, '');
+        title.setAttribute('aria-label', `Chapter title for ${file.name}`);
+        entry.append(title);
+        list.append(entry);
+    }
+}
+
+async function uploadFromDevice(tonie) {
+    const files = [...$('files').files];
+    const titles = [...$('file-list').querySelectorAll('input')].map(input => input.value.trim());
+
+    const body = new FormData();
+    body.append('tonieId', tonie.tonieId);
+    body.append('account', tonie.account);
+    body.append('onDuplicate', $('on-duplicate').value);
+    titles.forEach(title => body.append('title', title));
+    files.forEach(file => body.append('file', file, file.name));
+
+    // Our own upload ID lets us follow the upload while the request is still running
+    const uploadId = crypto.randomUUID();
+    const job = followJob(uploadId);
+    job.done.catch(() => {});
+
+    try {
+        const response = await fetch('/api/upload-from-device', {
+            method: 'POST',
+            credentials: 'same-origin',
+            headers: { 'X-Upload-Id': uploadId, ...authHeaders() },
+            body
+        });
+
+        showUploadResult(response.ok, await readJson(response));
+
+        if (response.ok) {
+            $('device-form').reset();
+            renderFileList();
+        }
+    } finally {
+        job.close();
+    }
+}
+
+// Upload from YouTube
+
+function updateYouTubeTitleRequirement() {
+    // Playlists and split videos take their chapter titles from YouTube
+    $('youtube-title').required = !$('youtube-split').checked && !$('youtube-playlist').checked;
+}
+
+async function uploadFromYouTube(tonie) {
+    // Like device uploads the request runs until the upload is done, our own upload ID shows its progress.
+    // Async mode would need a server that keeps running after it answered.
+    const uploadId = crypto.randomUUID();
+    const job = followJob(uploadId);
+    job.done.catch(() => {});
+
+    try {
+        const result = await postJson('/api/upload-from-youtube', {
+            tonieId: tonie.tonieId,
+            account: tonie.account,
+            url: $('youtube-url').value.trim(),
+            title: $('youtube-title').value.trim() || undefined,
+            splitByChapters: $('youtube-split').checked,
+            playlist: $('youtube-playlist').checked,
+            onDuplicate: $('on-duplicate').value
+        }, { 'X-Upload-Id': uploadId });
+
+        showUploadResult(result.ok, result.data);
+
+        if (result.ok) {
+            $('youtube-form').reset();
+            updateYouTubeTitleRequirement();
+        }
+    } finally {
+        job.close();
+    }
+}
+
+// Wiring
+
+function selectTab(tab) {
+    for (const button of document.querySelectorAll('.tab')) {
+        const selected = button === tab;
+        button.setAttribute('aria-selected', String(selected));
+        $(button.dataset.tab).hidden = !selected;
+    }
+}
+
+$('login-form').addEventListener('submit', async event => {
+    event.preventDefault();
+    const button = event.target.querySelector('button');
+    button.disabled = true;
+
+    try {
+        const result = await login($('credential').value);
+        if (result.ok) {
+            $('credential').value = '';
+            showApp();
+        } else {
+            showLogin(result.status === 401 ? 'Wrong password or API key' : describeError(result.data));
+        }
+    } catch (error) {
+        showLogin(`Could not log in: ${error.message}`);
+    } finally {
+        button.disabled = false;
+    }
+});
+
+$('logout').addEventListener('click', logout);
+$('tonie').addEventListener('change', () => {
+    const tonie = selectedTonie();
+    if (tonie) {
+        localStorage.setItem(SELECTED_TONIE_KEY, `${tonie.account}:${tonie.tonieId}`);
+    }
+    showTonieInfo();
+});
+$('reload-tonies').addEventListener('click', loadTonies);
+$('files').addEventListener('change', renderFileList);
+$('youtube-split').addEventListener('change', updateYouTubeTitleRequirement);
+$('youtube-playlist').addEventListener('change', updateYouTubeTitleRequirement);
+
+for (const tab of document.querySelectorAll('.tab')) {
+    tab.addEventListener('click', () => selectTab(tab));
+}
+
+$('device-form').addEventListener('submit', event => {
+    event.preventDefault();
+    runUpload(event.target, uploadFromDevice);
+});
+
+$('youtube-form').addEventListener('submit', event => {
+    event.preventDefault();
+    runUpload(event.target, uploadFromYouTube);
+});
+
+// A session cookie from an earlier visit skips the login
+postJson('/api/auth', { action: 'verify' })
+    .then(result => (result.ok ? showApp() : showLogin()))
+    .catch(() => showLogin());
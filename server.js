@@ -0,0 +1,277 @@
+// server.js
+// Standalone Node server for self-hosting outside of Vercel, e.g. on a home server next to the Toniebox.
+// Mounts every handler in api/ under the same routes Vercel uses (api/jobs/[id].js answers /api/jobs/<id>),
+// adds Vercel's req.query, req.body, res.status(), res.json() and res.send() helpers and serves the frontend.
+//
+// Start it with `npm start`. Settings are read from a .env file next to this file, set variables win over it.
+
+import http from 'http';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { loadEnvFile } from './utils/env.js';
+
+const ROOT_DIR = path.dirname(fileURLToPath(import.meta.url));
+const API_DIR = path.join(ROOT_DIR, 'api');
+const DEFAULT_PORT = 3000;
+const MAX_BODY_SIZE = 1024 * 1024; // JSON and form bodies, file uploads are streamed by their handler
+
+// Only these files are served, everything else in the project directory (.env included) stays private
+const STATIC_FILES = {
+    '/': { file: 'index.html', contentType: 'text/html; charset=utf-8' },
+    '/index.html': { file: 'index.html', contentType: 'text/html; charset=utf-8' },
+    '/style.css': { file: 'style.css', contentType: 'text/css; charset=utf-8' },
+    '/script.js': { file: 'script.js', contentType: 'text/javascript; charset=utf-8' }
+};
+
+/**
+ * Find the handlers in api/ and build their routes
+ * @returns {Promise<Object[]>} Routes as { segments, handler }, static routes before dynamic ones
+ */
+export async function loadRoutes(apiDir = API_DIR) {
+    const files = fs.readdirSync(apiDir, { recursive: true })
+        .filter(file => file.endsWith('.js'))
+        .sort();
+
+    const routes = [];
+    for (const file of files) {
+        const { default: handler } = await import(pathToFileURL(path.join(apiDir, file)).href);
+        if (typeof handler !== 'function') {
+            continue;
+        }
+
+        const segments = ['api', ...file.slice(0, -'.js'.length).split(path.sep)];
+        routes.push({ segments, handler, dynamic: segments.some(segment => /^\[\w+\]$/.test(segment)) });
+    }
+
+    // Vercel prefers files over [param] files when both match
+    return routes.sort((a, b) => a.dynamic - b.dynamic);
+}
+
+/**
+ * Match a request path against the routes
+ * @returns {Object|null} { handler, params } with the values of [param] segments.
+ *   Parameters that are not validly percent-encoded are rejected with an error carrying status 400.
+ */
+function matchRoute(routes, pathname) {
+    const segments = pathname.split('/').filter(Boolean);
+
+    for (const route of routes) {
+        if (route.segments.length !== segments.length) {
+            continue;
+        }
+
+        const params = {};
+        const matches = route.segments.every((segment, index) => {
+            const param = segment.match(/^\[(\w+)\]$/);
+            if (param) {
+                try {
+                    params[param[1]] = decodeURIComponent(segments[index]);
+                } catch (error) {
+                    const invalid = new Error(`Invalid URL encoding in "${segments[index]}"`);
+                    invalid.status = 400;
+                    throw invalid;
+                }
+                return true;
+            }
+            return segment === segments[index];
+        });
+
+        if (matches) {
+            return { handler: route.handler, params };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Parse the query string like Vercel does: repeated parameters become arrays
+ */
+function parseQuery(searchParams) {
+    const query = {};
+
+    for (const [name, value] of searchParams) {
+        if (query[name] === undefined) {
+            query[name] = value;
+        } else {
+            query[name] = [].concat(query[name], value);
+        }
+    }
+
+    return query;
+}
+
+/**
+ * Read the whole request body
+ */
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_SIZE) {
+                const error = new Error(`Request body is larger than ${MAX_BODY_SIZE} bytes`);
+                error.status = 413;
+                reject(error);
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Parse JSON, form and text bodies into req.body. Multipart bodies are left unread for the upload handler.
+ * @returns {Promise<*>} The parsed body, {} without body
+ */
+async function parseBody(req) {
+    const contentType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+
+    if (contentType === 'multipart/form-data') {
+        return undefined;
+    }
+
+    const text = await readBody(req);
+    if (!text) {
+        return {};
+    }
+
+    if (contentType === 'application/json') {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            const parseError = new Error(`Invalid JSON body: ${error.message}`);
+            parseError.status = 400;
+            throw parseError;
+        }
+    }
+
+    if (contentType === 'application/x-www-form-urlencoded') {
+        return parseQuery(new URLSearchParams(text));
+    }
+
+    return text;
+}
+
+/**
+ * Add the response helpers of Vercel functions
+ */
+function addResponseHelpers(res) {
+    res.status = code => {
+        res.statusCode = code;
+        return res;
+    };
+
+    res.json = body => {
+        if (!res.getHeader('Content-Type')) {
+            res.setHeader('Content-Type', 'application/json; charset=utf-8');
+        }
+        res.end(JSON.stringify(body));
+        return res;
+    };
+
+    res.send = body => {
+        if (body !== null && typeof body === 'object' && !Buffer.isBuffer(body)) {
+            return res.json(body);
+        }
+        if (!res.getHeader('Content-Type')) {
+            res.setHeader('Content-Type', Buffer.isBuffer(body) ? 'application/octet-stream' : 'text/html; charset=utf-8');
+        }
+        res.end(body);
+        return res;
+    };
+}
+
+/**
+ * Serve one of the frontend files
+ */
+async function serveStaticFile(req, res, { file, contentType }) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        res.status(405).json({ error: 'Method not allowed' });
+        return;
+    }
+
+    const content = await fs.promises.readFile(path.join(ROOT_DIR, file));
+    res.writeHead(200, { 'Content-Type': contentType, 'Content-Length': content.length, 'Cache-Control': 'no-cache' });
+    res.end(req.method === 'HEAD' ? undefined : content);
+}
+
+/**
+ * Create the HTTP server
+ * @param {Object} [options]
+ * @param {Object[]} [options.routes] - Result of loadRoutes, loaded from api/ by default
+ * @returns {Promise<http.Server>} Server that is not listening yet
+ */
+export async function createServer({ routes } = {}) {
+    const apiRoutes = routes || await loadRoutes();
+
+    return http.createServer(async (req, res) => {
+        addResponseHelpers(res);
+
+        try {
+            const url = new URL(req.url, 'http://localhost');
+            const pathname = url.pathname.replace(/(.)\/+$/, '$1');
+
+            if (STATIC_FILES[pathname]) {
+                await serveStaticFile(req, res, STATIC_FILES[pathname]);
+                return;
+            }
+
+            const route = matchRoute(apiRoutes, pathname);
+            if (!route) {
+                res.status(404).json({ error: 'Not found' });
+                return;
+            }
+
+            req.query = { ...parseQuery(url.searchParams), ...route.params };
+            req.body = await parseBody(req);
+
+            await route.handler(req, res);
+        } catch (error) {
+            console.error(`Request ${req.method} ${req.url} failed:`, error);
+
+            if (res.headersSent) {
+                res.end();
+                return;
+            }
+
+            res.status(error.status || 500).json({
+                error: error.status ? 'Invalid request' : 'Internal server error',
+                details: error.message
+            });
+        }
+    });
+}
+
+// Started directly: load .env and listen until stopped
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    const loaded = loadEnvFile(path.join(ROOT_DIR, '.env'));
+    if (loaded.length > 0) {
+        console.log(`Loaded ${loaded.length} settings from .env`);
+    }
+
+    // This process keeps running after a response, so uploads may continue in the background (async mode)
+    process.env.BACKGROUND_JOBS ??= 'true';
+
+    const server = await createServer();
+    const port = Number(process.env.PORT) || DEFAULT_PORT;
+
+    server.listen(port, process.env.HOST, () => {
+        console.log(`Tonie uploader running on http://${process.env.HOST || 'localhost'}:${port}`);
+    });
+
+    // Upload progress streams stay open, so they are closed on shutdown
+    const shutdown = () => {
+        console.log('Shutting down...');
+        server.close(() => process.exit(0));
+        server.closeAllConnections();
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
@@ -0,0 +1,100 @@
+// test/audio-probe.test.js
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { probeAudioFile } from '../utils/audio-probe.js';
+import { createWav } from './helpers.js';
+
+describe('probeAudioFile', () => {
+    let directory;
+
+    const probe = async (name, content) => {
+        const filePath = path.join(directory, name);
+        await fs.promises.writeFile(filePath, content);
+        return probeAudioFile(filePath);
+    };
+
+    /**
+     * An Ogg page holding the start of an identification header
+     */
+    const createOggPage = packet => {
+        const header = Buffer.alloc(28);
+        header.write('OggS', 0, 'latin1');
+        header[26] = 1; // One segment
+        header[27] = packet.length;
+        return Buffer.concat([header, packet]);
+    };
+
+    /**
+     * An ISO BMFF box of the given type around its payload
+     */
+    const createBox = (type, ...payload) => {
+        const header = Buffer.alloc(8);
+        const content = Buffer.concat(payload);
+        header.writeUInt32BE(8 + content.length, 0);
+        header.write(type, 4, 'latin1');
+        return Buffer.concat([header, content]);
+    };
+
+    /**
+     * An M4A file whose movie header holds the given bytes after its version and flags
+     */
+    const createM4a = movieHeader => Buffer.concat([
+        createBox('ftyp', Buffer.from('M4A \0\0\0\0', 'latin1')),
+        createBox('moov', createBox('mvhd', Buffer.alloc(4), movieHeader))
+    ]);
+
+    before(async () => {
+        directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'tonie-uploader-probe-'));
+    });
+
+    after(() => fs.promises.rm(directory, { recursive: true, force: true }));
+
+    it('reads format and duration of a WAV file', async () => {
+        const info = await probe('ok.wav', createWav(2));
+
+        assert.equal(info.format, 'wav');
+        assert.equal(info.duration, 2);
+        assert.equal(info.supported, true);
+    });
+
+    it('treats WAV files with a cut off fmt chunk as unknown', async () => {
+        const info = await probe('cut.wav', createWav().subarray(0, 30));
+
+        assert.equal(info.format, null);
+        assert.equal(info.supported, false);
+    });
+
+    it('treats WAV files without byte rate as unknown', async () => {
+        const wav = createWav();
+        wav.writeUInt32LE(0, 28);
+
+        assert.equal((await probe('no-rate.wav', wav)).format, null);
+    });
+
+    it('treats Ogg files with a cut off first page as unknown', async () => {
+        assert.equal((await probe('cut.ogg', Buffer.from('OggS\0\0\0'))).format, null);
+        assert.equal((await probe('vorbis.ogg', createOggPage(Buffer.from('\x01vorbis\0\0\0\0', 'latin1')))).format, null);
+        assert.equal((await probe('opus.ogg', createOggPage(Buffer.from('OpusHead\x01\x02', 'latin1')))).format, null);
+    });
+
+    it('reads the duration of an M4A file', async () => {
+        const movieHeader = Buffer.alloc(96);
+        movieHeader.writeUInt32BE(1000, 8); // Timescale
+        movieHeader.writeUInt32BE(2500, 12); // Duration
+
+        const info = await probe('ok.m4a', createM4a(movieHeader));
+
+        assert.equal(info.format, 'mp4');
+        assert.equal(info.duration, 2.5);
+    });
+
+    it('treats MP4 files with a cut off mvhd as unknown', async () => {
+        const info = await probe('cut.m4a', createM4a(Buffer.alloc(8)));
+
+        assert.equal(info.format, 'mp4');
+        assert.equal(info.duration, null);
+    });
+});
@@ -0,0 +1,155 @@
+// test/auth.test.js
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import authHandler from '../api/auth.js';
+import householdsHandler from '../api/households.js';
+import { createApiKey } from '../utils/api-keys.js';
+import { APP_PASSWORD, startMockCloud, resetAppState, invoke } from './helpers.js';
+
+describe('POST /api/auth', () => {
+    let cloud;
+
+    before(async () => {
+        cloud = await startMockCloud();
+    });
+
+    after(() => cloud.stop());
+
+    beforeEach(resetAppState);
+
+    it('verifies the app password', async () => {
+        const res = await invoke(authHandler, { body: { appPassword: APP_PASSWORD, action: 'verify' } });
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.body.message, 'App password verified');
+        assert.equal(res.body.user, 'owner');
+    });
+
+    it('rejects a wrong password', async () => {
+        const res = await invoke(authHandler, { body: { appPassword: 'wrong', action: 'verify' } });
+
+        assert.equal(res.statusCode, 401);
+        assert.equal(res.body.error, 'Invalid app password');
+    });
+
+    it('rejects unknown actions', async () => {
+        const res = await invoke(authHandler, { body: { appPassword: APP_PASSWORD, action: 'tonie-login' } });
+
+        assert.equal(res.statusCode, 400);
+    });
+
+    it('starts a session that works as credential and ends on logout', async () => {
+        const login = await invoke(authHandler, { body: { appPassword: APP_PASSWORD, action: 'login' } });
+
+        assert.equal(login.statusCode, 200);
+        assert.match(login.body.sessionToken, /^tus\./);
+        assert.match(login.headers['set-cookie'], /HttpOnly/);
+        assert.ok(!JSON.stringify(login.body).includes('mock-access-'), 'the Tonie token must not leave the server');
+
+        const cookie = { cookie: `tonie_uploader_session=${encodeURIComponent(login.body.sessionToken)}` };
+        const households = await invoke(householdsHandler, { headers: cookie });
+        assert.equal(households.statusCode, 200);
+
+        const renewal = await invoke(authHandler, { body: { action: 'login' }, headers: cookie });
+        assert.equal(renewal.statusCode, 400);
+        assert.equal(renewal.headers['set-cookie'], undefined);
+
+        const logout = await invoke(authHandler, { body: { action: 'logout' }, headers: cookie });
+        assert.equal(logout.statusCode, 200);
+
+        const afterLogout = await invoke(householdsHandler, { headers: cookie });
+        assert.equal(afterLogout.statusCode, 401);
+    });
+
+    it('treats a malformed session cookie as missing', async () => {
+        const res = await invoke(householdsHandler, { headers: { cookie: 'tonie_uploader_session=tus.%E0' } });
+
+        assert.equal(res.statusCode, 401);
+    });
+
+    it('locks out clients after too many failed attempts', async () => {
+        process.env.AUTH_MAX_FAILURES = '2';
+        process.env.TRUST_PROXY = '1';
+        const headers = { 'x-forwarded-for': '203.0.113.7' };
+
+        try {
+            for (let attempt = 0; attempt < 2; attempt++) {
+                const res = await invoke(authHandler, { body: { appPassword: 'guess', action: 'verify' }, headers });
+                assert.equal(res.statusCode, 401);
+            }
+
+            const locked = await invoke(authHandler, { body: { appPassword: APP_PASSWORD, action: 'verify' }, headers });
+            assert.equal(locked.statusCode, 429);
+            assert.ok(Number(locked.headers['retry-after']) > 0);
+
+            const otherClient = await invoke(authHandler, {
+                body: { appPassword: APP_PASSWORD, action: 'verify' },
+                headers: { 'x-forwarded-for': '198.51.100.1' }
+            });
+            assert.equal(otherClient.statusCode, 200);
+        } finally {
+            process.env.AUTH_MAX_FAILURES = '1000';
+            delete process.env.TRUST_PROXY;
+        }
+    });
+
+    it('does not let clients pick their IP address with X-Forwarded-For', async () => {
+        process.env.AUTH_MAX_FAILURES = '2';
+        const verify = (appPassword, forwardedFor) => invoke(authHandler, {
+            body: { appPassword, action: 'verify' },
+            headers: { 'x-forwarded-for': forwardedFor }
+        });
+
+        try {
+            // Without a trusted proxy the header is ignored
+            await verify('guess', '192.0.2.1');
+            await verify('guess', '192.0.2.2');
+            assert.equal((await verify(APP_PASSWORD, '192.0.2.3')).statusCode, 429);
+
+            // Behind a trusted proxy only the address it appended counts
+            resetAppState();
+            process.env.TRUST_PROXY = '1';
+            await verify('guess', '192.0.2.1, 203.0.113.7');
+            await verify('guess', '192.0.2.2, 203.0.113.7');
+            assert.equal((await verify(APP_PASSWORD, '192.0.2.3, 203.0.113.7')).statusCode, 429);
+        } finally {
+            process.env.AUTH_MAX_FAILURES = '1000';
+            delete process.env.TRUST_PROXY;
+        }
+    });
+
+    it('only clears failed password attempts with the app password', async () => {
+        process.env.AUTH_MAX_FAILURES = '2';
+        const { key } = await createApiKey({ user: 'kid', scopes: ['read'] });
+        const verify = appPassword => invoke(authHandler, { body: { appPassword, action: 'verify' } });
+
+        try {
+            const login = await invoke(authHandler, { body: { appPassword: APP_PASSWORD, action: 'login' } });
+            const cookie = { cookie: `tonie_uploader_session=${encodeURIComponent(login.body.sessionToken)}` };
+
+            await verify('guess');
+            assert.equal((await verify(key)).statusCode, 200);
+            assert.equal((await invoke(authHandler, { body: { action: 'verify' }, headers: cookie })).statusCode, 200);
+            await verify('guess');
+
+            assert.equal((await verify(APP_PASSWORD)).statusCode, 429);
+            assert.equal((await verify(key)).statusCode, 200, 'API keys are counted apart from passwords');
+        } finally {
+            process.env.AUTH_MAX_FAILURES = '1000';
+        }
+    });
+
+    it('clears failed attempts of a client that logs in with the app password', async () => {
+        process.env.AUTH_MAX_FAILURES = '2';
+
+        try {
+            await invoke(authHandler, { body: { appPassword: 'guess', action: 'verify' } });
+            assert.equal((await invoke(authHandler, { body: { appPassword: APP_PASSWORD, action: 'verify' } })).statusCode, 200);
+            await invoke(authHandler, { body: { appPassword: 'guess', action: 'verify' } });
+
+            assert.equal((await invoke(authHandler, { body: { appPassword: APP_PASSWORD, action: 'verify' } })).statusCode, 200);
+        } finally {
+            process.env.AUTH_MAX_FAILURES = '1000';
+        }
+    });
+});
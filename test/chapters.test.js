@@ -0,0 +1,105 @@
+// test/chapters.test.js
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import chaptersHandler from '../api/chapters.js';
+import { APP_PASSWORD, TONIE_ID, startMockCloud, resetAppState, invoke } from './helpers.js';
+
+describe('POST /api/chapters', () => {
+    let cloud;
+
+    const chapters = (tonieId = TONIE_ID) => cloud.getTonie(...tonieId.split('/')).chapters;
+
+    before(async () => {
+        cloud = await startMockCloud({
+            accounts: [{
+                email: 'parent@example.com',
+                password: 'secret',
+                households: [{
+                    id: 'household-1',
+                    name: 'Home',
+                    creativeTonies: [{
+                        id: 'tonie-1',
+                        name: 'Yeti',
+                        chapters: [
+                            { id: 'a', title: 'First', file: 'file-a', seconds: 60 },
+                            { id: 'b', title: 'Second', file: 'file-b', seconds: 60 },
+                            { id: 'c', title: 'Third', file: 'file-c', seconds: 60 }
+                        ]
+                    }]
+                }]
+            }]
+        });
+    });
+
+    after(() => cloud.stop());
+
+    beforeEach(resetAppState);
+
+    it('lists the chapters of a Creative-Tonie', async () => {
+        const res = await invoke(chaptersHandler, { body: { appPassword: APP_PASSWORD, tonieId: TONIE_ID } });
+
+        assert.equal(res.statusCode, 200);
+        assert.deepEqual(res.body.tonie.chapters.map(chapter => chapter.title), ['First', 'Second', 'Third']);
+    });
+
+    it('renames a chapter', async () => {
+        const res = await invoke(chaptersHandler, {
+            body: { appPassword: APP_PASSWORD, tonieId: TONIE_ID, action: 'rename', chapterId: 'b', title: 'Renamed' }
+        });
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(chapters()[1].title, 'Renamed');
+    });
+
+    it('reorders chapters', async () => {
+        const res = await invoke(chaptersHandler, {
+            body: { appPassword: APP_PASSWORD, tonieId: TONIE_ID, action: 'reorder', chapterIds: ['c', 'a', 'b'] }
+        });
+
+        assert.equal(res.statusCode, 200);
+        assert.deepEqual(chapters().map(chapter => chapter.id), ['c', 'a', 'b']);
+    });
+
+    it('rejects a reorder that does not list every chapter', async () => {
+        const res = await invoke(chaptersHandler, {
+            body: { appPassword: APP_PASSWORD, tonieId: TONIE_ID, action: 'reorder', chapterIds: ['a'] }
+        });
+
+        assert.equal(res.statusCode, 400);
+        assert.equal(chapters().length, 3);
+    });
+
+    it('deletes chapters', async () => {
+        const res = await invoke(chaptersHandler, {
+            body: { appPassword: APP_PASSWORD, tonieId: TONIE_ID, action: 'delete', chapterId: 'a' }
+        });
+
+        assert.equal(res.statusCode, 200);
+        assert.deepEqual(chapters().map(chapter => chapter.id), ['c', 'b']);
+    });
+
+    it('reports failed updates without changing the chapters', async () => {
+        cloud.failNext('PATCH', '/v2/households/household-1/creativetonies/tonie-1', { status: 400, body: { error: 'Bad chapter' } });
+
+        const res = await invoke(chaptersHandler, {
+            body: { appPassword: APP_PASSWORD, tonieId: TONIE_ID, action: 'delete', chapterId: 'b' }
+        });
+
+        assert.equal(res.statusCode, 400);
+        assert.equal(res.body.error, 'Failed to update chapters on Creative-Tonie');
+        assert.equal(chapters().length, 2);
+    });
+
+    it('answers 404 for unknown Creative-Tonies', async () => {
+        const res = await invoke(chaptersHandler, { body: { appPassword: APP_PASSWORD, tonieId: 'household-1/unknown' } });
+
+        assert.equal(res.statusCode, 404);
+    });
+
+    it('rejects unknown Tonie accounts', async () => {
+        const res = await invoke(chaptersHandler, { body: { appPassword: APP_PASSWORD, tonieId: TONIE_ID, account: 'neighbours' } });
+
+        assert.equal(res.statusCode, 400);
+        assert.equal(res.body.error, 'Unknown Tonie account');
+    });
+});
@@ -0,0 +1,210 @@
+// test/duplicates.test.js
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import deviceHandler from '../api/upload-from-device.js';
+import urlHandler from '../api/upload-from-url.js';
+import youtubeHandler from '../api/upload-from-youtube.js';
+import chaptersHandler from '../api/chapters.js';
+import historyHandler from '../api/history.js';
+import { fingerprintYouTube, FileFingerprintStore } from '../utils/duplicates.js';
+import { APP_PASSWORD, startMockCloud, resetAppState, invoke, createWav } from './helpers.js';
+
+describe('duplicate detection', () => {
+    let cloud;
+
+    const chapters = () => cloud.getTonie('household-1', 'tonie-2').chapters;
+    const chapterTitles = () => chapters().map(chapter => chapter.title);
+    const uploadFiles = (files, fields = {}) => invoke(deviceHandler, {
+        multipart: {
+            fields: { appPassword: APP_PASSWORD, tonieId: 'household-1/tonie-2', ...fields },
+            files: files.map((content, index) => ({ filename: `song-${index}.wav`, content }))
+        }
+    });
+
+    before(async () => {
+        cloud = await startMockCloud();
+    });
+
+    after(() => cloud.stop());
+
+    beforeEach(resetAppState);
+
+    it('adds duplicates by default and reports them', async () => {
+        const wav = createWav();
+        await uploadFiles([wav], { title: 'Default' });
+
+        const res = await uploadFiles([wav], { title: 'Default' });
+
+        assert.equal(res.statusCode, 200, JSON.stringify(res.body));
+        assert.equal(res.body.duplicate.decision, 'allowed');
+        assert.equal(chapterTitles().filter(title => title === 'Default').length, 2);
+    });
+
+    it('refuses content that already is a chapter when asked to', async () => {
+        const wav = createWav();
+        const first = await uploadFiles([wav], { title: 'Original' });
+        assert.equal(first.statusCode, 200, JSON.stringify(first.body));
+        const count = chapters().length;
+
+        const res = await uploadFiles([wav], { title: 'Again', onDuplicate: 'refuse' });
+
+        assert.equal(res.statusCode, 409);
+        assert.equal(res.body.error, 'Duplicate chapter');
+        assert.equal(res.body.duplicate.decision, 'refused');
+        assert.equal(res.body.duplicate.title, 'Original');
+        assert.equal(chapters().length, count);
+    });
+
+    it('skips duplicates when asked to', async () => {
+        const wav = createWav();
+        await uploadFiles([wav], { title: 'Original' });
+        const count = chapters().length;
+
+        const res = await uploadFiles([wav], { title: 'Again', onDuplicate: 'skip' });
+
+        assert.equal(res.statusCode, 200, JSON.stringify(res.body));
+        assert.equal(res.body.skipped, true);
+        assert.equal(res.body.duplicate.decision, 'skipped');
+        assert.equal(chapters().length, count);
+
+        const [entry] = (await invoke(historyHandler, { method: 'GET', headers: { 'x-app-password': APP_PASSWORD } })).body.entries;
+        assert.equal(entry.outcome, 'skipped');
+        assert.equal(entry.duplicate.decision, 'skipped');
+    });
+
+    it('replaces the chapter in its position', async () => {
+        const wav = createWav();
+        await uploadFiles([wav], { title: 'To be replaced' });
+        await uploadFiles([createWav()], { title: 'Afterwards' });
+        const position = chapterTitles().indexOf('To be replaced');
+        const count = chapters().length;
+
+        const res = await uploadFiles([wav], { title: 'Replacement', onDuplicate: 'replace' });
+
+        assert.equal(res.statusCode, 200, JSON.stringify(res.body));
+        assert.equal(res.body.duplicate.decision, 'replaced');
+        assert.equal(chapters().length, count);
+        assert.equal(chapterTitles()[position], 'Replacement');
+        assert.ok(!chapterTitles().includes('To be replaced'));
+    });
+
+    it('adds the chapter again when duplicates are allowed', async () => {
+        const wav = createWav();
+        await uploadFiles([wav], { title: 'Twice' });
+
+        const res = await uploadFiles([wav], { title: 'Twice', onDuplicate: 'allow' });
+
+        assert.equal(res.statusCode, 200, JSON.stringify(res.body));
+        assert.equal(res.body.duplicate.decision, 'allowed');
+        assert.equal(chapterTitles().filter(title => title === 'Twice').length, 2);
+    });
+
+    it('catches the same file sent twice in one upload', async () => {
+        const wav = createWav();
+        const count = chapters().length;
+
+        const res = await uploadFiles([wav, wav], { onDuplicate: 'refuse' });
+
+        assert.equal(chapters().length, count + 1);
+        assert.equal(res.body.results[0].success, true);
+        assert.equal(res.body.results[1].duplicate.decision, 'refused');
+    });
+
+    it('lets only one of two concurrent uploads of the same content through', async () => {
+        const wav = createWav();
+        const count = chapters().length;
+
+        const responses = await Promise.all([
+            uploadFiles([wav], { title: 'Concurrent', onDuplicate: 'refuse' }),
+            uploadFiles([wav], { title: 'Concurrent', onDuplicate: 'refuse' })
+        ]);
+
+        assert.deepEqual(responses.map(res => res.statusCode).sort(), [200, 409]);
+        assert.equal(chapters().length, count + 1);
+    });
+
+    it('frees content again whose upload failed', async () => {
+        const wav = createWav();
+        cloud.failNext('POST', '/s3', { status: 403 });
+
+        const failed = await uploadFiles([wav], { title: 'Retried', onDuplicate: 'refuse' });
+        assert.equal(failed.statusCode, 500);
+
+        const retried = await uploadFiles([wav], { title: 'Retried', onDuplicate: 'refuse' });
+        assert.equal(retried.statusCode, 200, JSON.stringify(retried.body));
+    });
+
+    it('forgets chapters that were deleted', async () => {
+        const wav = createWav();
+        const first = await uploadFiles([wav], { title: 'Deleted' });
+        const chapter = chapters().find(existing => existing.file === first.body.fileId);
+        await invoke(chaptersHandler, {
+            body: { appPassword: APP_PASSWORD, tonieId: 'household-1/tonie-2', action: 'delete', chapterId: chapter.id }
+        });
+
+        const res = await uploadFiles([wav], { title: 'Deleted' });
+
+        assert.equal(res.statusCode, 200, JSON.stringify(res.body));
+        assert.equal(res.body.duplicate, undefined);
+    });
+
+    it('fingerprints downloads by their content', async () => {
+        const wav = createWav();
+        const firstUrl = cloud.serveFile('/files/first.wav', wav, 'audio/wav');
+        const secondUrl = cloud.serveFile('/files/second.wav', wav, 'audio/wav');
+        const upload = body => invoke(urlHandler, { body: { appPassword: APP_PASSWORD, tonieId: 'household-1/tonie-2', ...body } });
+
+        assert.equal((await upload({ url: firstUrl, title: 'Downloaded' })).statusCode, 200);
+        const res = await upload({ url: secondUrl, onDuplicate: 'refuse' });
+
+        assert.equal(res.statusCode, 409);
+        assert.equal(res.body.duplicate.title, 'Downloaded');
+    });
+
+    it('rejects invalid onDuplicate values', async () => {
+        const device = await uploadFiles([createWav()], { onDuplicate: 'overwrite' });
+        assert.equal(device.statusCode, 400);
+        assert.equal(device.body.error, 'Invalid onDuplicate field');
+
+        const youtube = await invoke(youtubeHandler, {
+            body: {
+                appPassword: APP_PASSWORD,
+                tonieId: 'household-1/tonie-2',
+                title: 'Video',
+                url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
+                onDuplicate: 'overwrite'
+            }
+        });
+        assert.equal(youtube.statusCode, 400);
+        assert.equal(youtube.body.error, 'Invalid onDuplicate field');
+    });
+});
+
+describe('fingerprintYouTube', () => {
+    it('tells videos and clips of them apart', () => {
+        assert.equal(fingerprintYouTube('dQw4w9WgXcQ'), 'youtube:dQw4w9WgXcQ');
+        assert.equal(fingerprintYouTube('dQw4w9WgXcQ', { start: 30, end: 90 }), 'youtube:dQw4w9WgXcQ@30-90');
+        assert.notEqual(fingerprintYouTube('dQw4w9WgXcQ', { start: 0, end: 60 }), fingerprintYouTube('dQw4w9WgXcQ', { start: 60, end: 120 }));
+    });
+});
+
+describe('FileFingerprintStore', () => {
+    it('hands out every reservation once until it is released', async () => {
+        const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'tonie-fingerprints-'));
+        const store = new FileFingerprintStore(directory);
+
+        try {
+            assert.equal(await store.reserve('household-1/tonie-2', 'sha256:abc'), true);
+            assert.equal(await store.reserve('household-1/tonie-2', 'sha256:abc'), false);
+            assert.equal(await store.reserve('household-1/tonie-1', 'sha256:abc'), true);
+
+            await store.release('household-1/tonie-2', 'sha256:abc');
+            assert.equal(await store.reserve('household-1/tonie-2', 'sha256:abc'), true);
+        } finally {
+            await fs.promises.rm(directory, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,208 @@
+// test/helpers.js
+// Shared setup of the test suite: a mock Tonie cloud and in-process handler calls with Vercel-like req/res
+
+import crypto from 'crypto';
+import { PassThrough, Readable } from 'stream';
+import { MockTonieCloud } from '../mock/tonie-cloud.js';
+import { clearTonieTokenCache } from '../utils/auth.js';
+import { MemoryAttemptStore, setAttemptStore } from '../utils/rate-limit.js';
+import { MemoryHistoryStore, setHistoryStore } from '../utils/history.js';
+import { MemoryFingerprintStore, setFingerprintStore } from '../utils/duplicates.js';
+
+export const APP_PASSWORD = 'test-app-password';
+export const TONIE_ID = 'household-1/tonie-1';
+
+/**
+ * Start a mock Tonie cloud and point the app at it. Every test file runs in its own process,
+ * so the environment and the in-memory stores belong to that file.
+ * @param {Object} [options] - Options of MockTonieCloud
+ * @returns {Promise<MockTonieCloud>} The running mock
+ */
+export async function startMockCloud(options) {
+    const cloud = new MockTonieCloud(options);
+    const { loginUrl, apiUrl } = await cloud.start();
+    const [account] = cloud.accounts;
+
+    Object.assign(process.env, {
+        TONIE_LOGIN_URL: loginUrl,
+        TONIE_API_URL: apiUrl,
+        TONIE_EMAIL: account.email,
+        TONIE_PASSWORD: account.password,
+        APP_PASSWORD,
+        SESSION_SECRET: 'test-session-secret-with-at-least-32-characters',
+        KEY_STORE: 'memory',
+        JOB_STORE: 'memory',
+        BACKGROUND_JOBS: 'true',
+        SESSION_STORE: 'memory',
+        HISTORY_STORE: 'memory',
+        FINGERPRINT_STORE: 'memory',
+        ALLOW_PRIVATE_URLS: 'true',
+        TRANSCODING_ENABLED: 'false',
+        AUTH_MAX_FAILURES: '1000',
+        TONIE_API_RETRIES: '2'
+    });
+    delete process.env.TONIE_ACCOUNTS;
+
+    return cloud;
+}
+
+/**
+ * Forget tokens, failed login attempts, the upload history and fingerprints between tests
+ */
+export function resetAppState() {
+    clearTonieTokenCache();
+    setAttemptStore(new MemoryAttemptStore());
+    setHistoryStore(new MemoryHistoryStore());
+    setFingerprintStore(new MemoryFingerprintStore());
+}
+
+/**
+ * Call a handler like Vercel does
+ * @param {Function} handler - Default export of an api/ module
+ * @param {Object} [request] - { method, body, headers, query }, or multipart: { fields, files } to send a form
+ * @returns {Promise<Object>} Response as { statusCode, headers, body, text }
+ */
+export async function invoke(handler, { method = 'POST', body = {}, headers = {}, query = {}, multipart = null } = {}) {
+    let req;
+
+    if (multipart) {
+        const form = createMultipartBody(multipart);
+        req = Readable.from([form.body]);
+        headers = { 'content-type': form.contentType, 'content-length': String(form.body.length), ...headers };
+    } else {
+        // A stream that stays open, like a connection waiting for the response
+        req = new PassThrough();
+        req.body = body;
+    }
+
+    Object.assign(req, { method, headers, query });
+
+    const res = createResponse();
+    await handler(req, res);
+    req.destroy();
+
+    return res;
+}
+
+function createResponse() {
+    const chunks = [];
+
+    return {
+        statusCode: 200,
+        headers: {},
+        body: undefined,
+        get text() {
+            return chunks.join('');
+        },
+        setHeader(name, value) {
+            this.headers[name.toLowerCase()] = value;
+        },
+        getHeader(name) {
+            return this.headers[name.toLowerCase()];
+        },
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.setHeader('Content-Type', 'application/json');
+            this.body = body;
+            return this;
+        },
+        send(body) {
+            this.body = body;
+            return this;
+        },
+        writeHead(code, headers = {}) {
+            this.statusCode = code;
+            Object.entries(headers).forEach(([name, value]) => this.setHeader(name, value));
+            return this;
+        },
+        write(chunk) {
+            chunks.push(String(chunk));
+            return true;
+        },
+        end(chunk) {
+            if (chunk) {
+                chunks.push(String(chunk));
+            }
+            return this;
+        }
+    };
+}
+
+/**
+ * Build a multipart/form-data body
+ * @param {Object} form - { fields: { name: value | value[] }, files: [{ name, filename, content }] }
+ */
+export function createMultipartBody({ fields = {}, files = [] }) {
+    const boundary = `----test-${Math.random().toString(36).slice(2)}`;
+    const parts = [];
+
+    for (const [name, values] of Object.entries(fields)) {
+        for (const value of [].concat(values)) {
+            parts.push(Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${name}"\r\n\r\n${value}\r\n`));
+        }
+    }
+
+    for (const { name = 'file', filename, content } of files) {
+        parts.push(
+            Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${name}"; filename="${filename}"\r\n`
+                + 'Content-Type: application/octet-stream\r\n\r\n'),
+            content,
+            Buffer.from('\r\n')
+        );
+    }
+
+    parts.push(Buffer.from(`--${boundary}--\r\n`));
+
+    return { body: Buffer.concat(parts), contentType: `multipart/form-data; boundary=${boundary}` };
+}
+
+/**
+ * Create a PCM WAV file of quiet noise. Every file is different, so uploads are no duplicates of each other.
+ * @param {number} [seconds] - Duration of the audio
+ */
+export function createWav(seconds = 1) {
+    const sampleRate = 8000;
+    const dataSize = sampleRate * 2 * seconds;
+    const header = Buffer.alloc(44);
+
+    header.write('RIFF', 0, 'latin1');
+    header.writeUInt32LE(36 + dataSize, 4);
+    header.write('WAVE', 8, 'latin1');
+    header.write('fmt ', 12, 'latin1');
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(1, 20); // PCM
+    header.writeUInt16LE(1, 22); // mono
+    header.writeUInt32LE(sampleRate, 24);
+    header.writeUInt32LE(sampleRate * 2, 28);
+    header.writeUInt16LE(2, 32);
+    header.writeUInt16LE(16, 34);
+    header.write('data', 36, 'latin1');
+    header.writeUInt32LE(dataSize, 40);
+
+    const samples = Buffer.alloc(dataSize);
+    for (let offset = 0; offset < dataSize; offset += 2) {
+        samples.writeInt16LE(crypto.randomInt(-64, 64), offset);
+    }
+
+    return Buffer.concat([header, samples]);
+}
+
+/**
+ * Wait until a condition holds, e.g. a background job finished
+ */
+export async function waitFor(condition, timeout = 5000) {
+    const startedAt = Date.now();
+
+    while (Date.now() - startedAt < timeout) {
+        const result = await condition();
+        if (result) {
+            return result;
+        }
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+
+    throw new Error(`Condition not met within ${timeout}ms`);
+}
@@ -0,0 +1,213 @@
+// test/history.test.js
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import historyHandler from '../api/history.js';
+import deviceHandler from '../api/upload-from-device.js';
+import urlHandler from '../api/upload-from-url.js';
+import chaptersHandler from '../api/chapters.js';
+import keysHandler from '../api/keys.js';
+import { FileHistoryStore, setHistoryStore } from '../utils/history.js';
+import { APP_PASSWORD, TONIE_ID, startMockCloud, resetAppState, invoke, createWav } from './helpers.js';
+
+describe('GET /api/history', () => {
+    let cloud;
+
+    const headers = { 'x-app-password': APP_PASSWORD };
+    const history = (query = {}, requestHeaders = headers) => invoke(historyHandler, { method: 'GET', query, headers: requestHeaders });
+    const uploadFile = () => invoke(deviceHandler, {
+        multipart: {
+            fields: { appPassword: APP_PASSWORD, tonieId: 'household-1/tonie-2', title: 'Dinosaur Song' },
+            files: [{ filename: 'dinosaur.wav', content: createWav(2) }]
+        }
+    });
+    const uploadMissingUrl = () => invoke(urlHandler, {
+        body: { appPassword: APP_PASSWORD, tonieId: TONIE_ID, title: 'Gone', url: `${cloud.url}/files/missing.mp3` }
+    });
+
+    before(async () => {
+        cloud = await startMockCloud();
+    });
+
+    after(() => cloud.stop());
+
+    beforeEach(resetAppState);
+
+    it('records uploads with their source, target and file', async () => {
+        const upload = await uploadFile();
+        assert.equal(upload.statusCode, 200, JSON.stringify(upload.body));
+
+        const res = await history();
+
+        assert.equal(res.statusCode, 200);
+        const [entry] = res.body.entries;
+        assert.equal(entry.action, 'upload');
+        assert.equal(entry.source, 'device');
+        assert.equal(entry.outcome, 'success');
+        assert.equal(entry.user, 'owner');
+        assert.equal(entry.tonieId, 'household-1/tonie-2');
+        assert.equal(entry.title, 'Dinosaur Song');
+        assert.equal(entry.filename, 'dinosaur.wav');
+        assert.equal(entry.fileId, upload.body.fileId);
+        assert.equal(entry.duration, 2);
+        assert.ok(entry.size > 0);
+    });
+
+    it('records failed uploads with the error', async () => {
+        await uploadMissingUrl();
+
+        const [entry] = (await history()).body.entries;
+
+        assert.equal(entry.source, 'url');
+        assert.equal(entry.outcome, 'failed');
+        assert.equal(entry.title, 'Gone');
+        assert.equal(entry.url, `${cloud.url}/files/missing.mp3`);
+        assert.equal(entry.error, 'Failed to download audio file');
+    });
+
+    it('records deleted chapters', async () => {
+        await invoke(chaptersHandler, { body: { appPassword: APP_PASSWORD, tonieId: TONIE_ID, action: 'delete', chapterId: 'chapter-1' } });
+
+        const [entry] = (await history()).body.entries;
+
+        assert.equal(entry.action, 'delete');
+        assert.equal(entry.source, 'chapters');
+        assert.equal(entry.outcome, 'success');
+        assert.equal(entry.chapterId, 'chapter-1');
+        assert.ok(entry.title);
+    });
+
+    it('filters by Creative-Tonie and date, newest first', async () => {
+        await uploadFile();
+        await uploadMissingUrl();
+
+        const all = await history();
+        assert.deepEqual(all.body.entries.map(entry => entry.source), ['url', 'device']);
+
+        const byTonie = await history({ tonieId: 'household-1/tonie-2' });
+        assert.deepEqual(byTonie.body.entries.map(entry => entry.source), ['device']);
+
+        const today = new Date().toISOString().slice(0, 10);
+        assert.equal((await history({ from: today, to: today })).body.total, 2);
+        assert.equal((await history({ to: '2020-01-01' })).body.total, 0);
+        assert.equal((await history({ limit: 1 })).body.entries.length, 1);
+    });
+
+    it('pages through the entries with offset and limit', async () => {
+        await uploadFile();
+        await uploadMissingUrl();
+        await uploadFile();
+
+        const all = (await history()).body.entries.map(entry => entry.id);
+        const pages = [];
+        for (let offset = 0; offset < all.length; offset += 2) {
+            const page = await history({ offset, limit: 2 });
+            assert.equal(page.body.total, all.length);
+            pages.push(...page.body.entries.map(entry => entry.id));
+        }
+
+        assert.deepEqual(pages, all);
+    });
+
+    it('records requests rejected before the upload started', async () => {
+        const res = await invoke(urlHandler, {
+            body: { appPassword: APP_PASSWORD, tonieId: TONIE_ID, title: 'Mirror', url: 'ftp://example.com/song.mp3' }
+        });
+        assert.equal(res.statusCode, 400);
+
+        const [entry] = (await history()).body.entries;
+
+        assert.equal(entry.source, 'url');
+        assert.equal(entry.outcome, 'failed');
+        assert.equal(entry.tonieId, TONIE_ID);
+        assert.equal(entry.error, 'Invalid URL');
+        assert.equal(entry.httpStatus, 400);
+    });
+
+    it('does not record requests without a valid credential', async () => {
+        await invoke(urlHandler, { body: { appPassword: 'guess', tonieId: TONIE_ID, url: 'https://example.com/song.mp3' } });
+
+        assert.equal((await history()).body.total, 0);
+    });
+
+    it('rejects invalid filters', async () => {
+        const res = await history({ from: 'yesterday' });
+
+        assert.equal(res.statusCode, 400);
+        assert.equal(res.body.error, 'Invalid history filter');
+    });
+
+    it('shows keys limited to some Creative-Tonies only their entries', async () => {
+        await uploadFile();
+        await uploadMissingUrl();
+        const created = await invoke(keysHandler, {
+            body: { appPassword: APP_PASSWORD, action: 'create', user: 'kid', scopes: ['read'], tonies: [TONIE_ID] }
+        });
+        const bearer = { authorization: `Bearer ${created.body.key}` };
+
+        const res = await history({}, bearer);
+        assert.deepEqual(res.body.entries.map(entry => entry.tonieId), [TONIE_ID]);
+
+        const otherTonie = await history({ tonieId: 'household-1/tonie-2' }, bearer);
+        assert.equal(otherTonie.statusCode, 403);
+    });
+});
+
+describe('FileHistoryStore', () => {
+    const readAll = async (store) => {
+        const entries = [];
+        for await (const entry of store.read()) {
+            entries.push(entry);
+        }
+        return entries;
+    };
+
+    it('appends entries as JSON lines and skips broken lines', async () => {
+        const filePath = path.join(os.tmpdir(), `tonie-uploader-history-${process.pid}`, 'history.jsonl');
+        const store = new FileHistoryStore(filePath);
+
+        try {
+            await store.append([{ id: 'a' }, { id: 'b' }]);
+            await fs.promises.appendFile(filePath, '{"id":"cut off\n');
+            await store.append([{ id: 'c' }]);
+
+            assert.deepEqual((await readAll(store)).map(entry => entry.id), ['a', 'b', 'c']);
+        } finally {
+            await fs.promises.rm(path.dirname(filePath), { recursive: true, force: true });
+        }
+    });
+
+    it('rotates the file once it would outgrow its limit', async () => {
+        const filePath = path.join(os.tmpdir(), `tonie-uploader-history-${process.pid}`, 'rotated.jsonl');
+        const store = new FileHistoryStore(filePath, { maxBytes: 30 });
+
+        try {
+            for (const id of ['a', 'b', 'c', 'd', 'e']) {
+                await store.append([{ id, padding: 'xxxx' }]);
+            }
+
+            // Every entry is 28 bytes, so each file holds one and only the last two are left
+            assert.deepEqual((await readAll(store)).map(entry => entry.id), ['d', 'e']);
+            assert.ok((await fs.promises.stat(filePath)).size <= 30);
+        } finally {
+            await fs.promises.rm(path.dirname(filePath), { recursive: true, force: true });
+        }
+    });
+
+    it('rotates appends that run at the same time one after another', async () => {
+        const filePath = path.join(os.tmpdir(), `tonie-uploader-history-${process.pid}`, 'concurrent.jsonl');
+        const store = new FileHistoryStore(filePath, { maxBytes: 60 });
+
+        try {
+            await Promise.all(['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h'].map(id => store.append([{ id, padding: 'xxxx' }])));
+
+            // Every file holds two entries of 28 bytes, so only the last four are left
+            assert.deepEqual((await readAll(store)).map(entry => entry.id), ['e', 'f', 'g', 'h']);
+            assert.ok((await fs.promises.stat(filePath)).size <= 60);
+        } finally {
+            await fs.promises.rm(path.dirname(filePath), { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,104 @@
+// test/households.test.js
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import householdsHandler from '../api/households.js';
+import { createDefaultAccounts } from '../mock/tonie-cloud.js';
+import { APP_PASSWORD, startMockCloud, resetAppState, invoke } from './helpers.js';
+
+describe('POST /api/households', () => {
+    let cloud;
+
+    before(async () => {
+        const [home] = createDefaultAccounts();
+        cloud = await startMockCloud({
+            accounts: [home, {
+                email: 'grandma@example.com',
+                password: 'knitting',
+                households: [{ id: 'household-2', name: 'Grandparents', creativeTonies: [{ id: 'tonie-3', name: 'Gudrun', chapters: [] }] }]
+            }]
+        });
+    });
+
+    after(() => cloud.stop());
+
+    beforeEach(() => {
+        resetAppState();
+        delete process.env.TONIE_ACCOUNTS;
+    });
+
+    it('lists households with their Creative-Tonies and capacity', async () => {
+        const res = await invoke(householdsHandler, { body: { appPassword: APP_PASSWORD, duration: 600 } });
+
+        assert.equal(res.statusCode, 200);
+        assert.deepEqual(res.body.accounts, ['default']);
+
+        const [household] = res.body.households;
+        assert.equal(household.id, 'household-1');
+        assert.equal(household.account, 'default');
+        assert.deepEqual(household.creativeTonies.map(tonie => tonie.name), ['Yeti', 'Rolfi']);
+        assert.equal(household.creativeTonies[0].secondsRemaining, 5400 - 120);
+        assert.equal(household.creativeTonies[0].fits, true);
+    });
+
+    it('requires a valid credential', async () => {
+        const res = await invoke(householdsHandler, { body: { appPassword: 'wrong' } });
+
+        assert.equal(res.statusCode, 401);
+    });
+
+    it('aggregates several Tonie accounts', async () => {
+        process.env.TONIE_ACCOUNTS = JSON.stringify([
+            { name: 'home', email: 'parent@example.com', password: 'secret' },
+            { name: 'grandparents', email: 'grandma@example.com', password: 'knitting' }
+        ]);
+
+        const res = await invoke(householdsHandler, { body: { appPassword: APP_PASSWORD } });
+
+        assert.equal(res.statusCode, 200);
+        assert.deepEqual(res.body.households.map(household => [household.id, household.account]), [
+            ['household-1', 'home'],
+            ['household-2', 'grandparents']
+        ]);
+    });
+
+    it('keeps the households of working accounts when another account fails', async () => {
+        process.env.TONIE_ACCOUNTS = JSON.stringify([
+            { name: 'home', email: 'parent@example.com', password: 'secret' },
+            { name: 'grandparents', email: 'grandma@example.com', password: 'wrong' }
+        ]);
+
+        const res = await invoke(householdsHandler, { body: { appPassword: APP_PASSWORD } });
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.body.households.length, 1);
+        assert.equal(res.body.accountErrors[0].account, 'grandparents');
+    });
+
+    it('fails when the Tonie cloud rejects the login', async () => {
+        cloud.failNext('POST', /openid-connect\/token$/, { status: 401, body: { error: 'invalid_grant' } });
+
+        const res = await invoke(householdsHandler, { body: { appPassword: APP_PASSWORD } });
+
+        assert.equal(res.statusCode, 401);
+        assert.equal(res.body.error, 'Failed to authenticate with Tonie API');
+    });
+
+    it('retries when the Tonie API is briefly unavailable', async () => {
+        cloud.failNext('GET', '/v2/households', { status: 503, headers: { 'Retry-After': '0' } });
+
+        const res = await invoke(householdsHandler, { body: { appPassword: APP_PASSWORD } });
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.body.households.length, 1);
+    });
+
+    it('reports Tonie API errors that outlast the retries', async () => {
+        cloud.failNext('GET', '/v2/households', { status: 503, headers: { 'Retry-After': '0' }, times: 3 });
+
+        const res = await invoke(householdsHandler, { body: { appPassword: APP_PASSWORD } });
+
+        assert.equal(res.statusCode, 503);
+        assert.equal(res.body.error, 'Failed to fetch households');
+        assert.equal(res.body.attempts.length, 3);
+    });
+});
@@ -0,0 +1,121 @@
+// test/keys.test.js
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import keysHandler from '../api/keys.js';
+import chaptersHandler from '../api/chapters.js';
+import householdsHandler from '../api/households.js';
+import { FileKeyStore } from '../utils/api-keys.js';
+import { APP_PASSWORD, TONIE_ID, startMockCloud, resetAppState, invoke } from './helpers.js';
+
+describe('POST /api/keys', () => {
+    let cloud;
+
+    const bearer = key => ({ authorization: `Bearer ${key}` });
+
+    before(async () => {
+        cloud = await startMockCloud();
+    });
+
+    after(() => cloud.stop());
+
+    beforeEach(resetAppState);
+
+    it('creates a key limited to scopes and Creative-Tonies', async () => {
+        const created = await invoke(keysHandler, {
+            body: { appPassword: APP_PASSWORD, action: 'create', user: 'kid', scopes: ['read'], tonies: [TONIE_ID] }
+        });
+
+        assert.equal(created.statusCode, 201);
+        assert.match(created.body.key, /^tuk_/);
+        assert.equal(created.body.apiKey.hash, undefined);
+
+        const households = await invoke(householdsHandler, { headers: bearer(created.body.key) });
+        assert.equal(households.statusCode, 200);
+        assert.deepEqual(households.body.households[0].creativeTonies.map(tonie => tonie.id), ['tonie-1']);
+
+        const otherTonie = await invoke(chaptersHandler, { body: { tonieId: 'household-1/tonie-2' }, headers: bearer(created.body.key) });
+        assert.equal(otherTonie.statusCode, 403);
+
+        const deletion = await invoke(chaptersHandler, {
+            body: { tonieId: TONIE_ID, action: 'delete', chapterId: 'chapter-1' },
+            headers: bearer(created.body.key)
+        });
+        assert.equal(deletion.statusCode, 403);
+        assert.equal(cloud.getTonie('household-1', 'tonie-1').chapters.length, 1);
+    });
+
+    it('rejects invalid key options', async () => {
+        const res = await invoke(keysHandler, { body: { appPassword: APP_PASSWORD, action: 'create', user: 'kid', scopes: ['everything'] } });
+
+        assert.equal(res.statusCode, 400);
+    });
+
+    it('only lets admins manage keys', async () => {
+        const created = await invoke(keysHandler, { body: { appPassword: APP_PASSWORD, action: 'create', user: 'kid', scopes: ['upload'] } });
+
+        const res = await invoke(keysHandler, { body: { action: 'list' }, headers: bearer(created.body.key) });
+
+        assert.equal(res.statusCode, 403);
+    });
+
+    it('keeps admin keys limited to Creative-Tonies within them', async () => {
+        const create = (body, headers = {}) => invoke(keysHandler, { body: { action: 'create', ...body }, headers });
+        const admin = await create({ appPassword: APP_PASSWORD, user: 'parent', scopes: ['admin'], tonies: [TONIE_ID] });
+        const outside = await create({ appPassword: APP_PASSWORD, user: 'grandma', scopes: ['read'], tonies: ['household-1/tonie-2'] });
+
+        const unlimited = await create({ user: 'kid', scopes: ['upload'] }, bearer(admin.body.key));
+        const otherTonie = await create({ user: 'kid', scopes: ['upload'], tonies: ['household-1/tonie-2'] }, bearer(admin.body.key));
+        const ownTonie = await create({ user: 'kid', scopes: ['upload'], tonies: [TONIE_ID] }, bearer(admin.body.key));
+
+        assert.equal(unlimited.statusCode, 403);
+        assert.equal(otherTonie.statusCode, 403);
+        assert.equal(ownTonie.statusCode, 201);
+
+        const listed = await invoke(keysHandler, { body: { action: 'list' }, headers: bearer(admin.body.key) });
+        assert.ok(listed.body.keys.some(key => key.id === ownTonie.body.apiKey.id));
+        assert.ok(!listed.body.keys.some(key => key.id === outside.body.apiKey.id));
+
+        const revoked = await invoke(keysHandler, { body: { action: 'revoke', keyId: outside.body.apiKey.id }, headers: bearer(admin.body.key) });
+        assert.equal(revoked.statusCode, 404);
+        assert.equal((await invoke(householdsHandler, { headers: bearer(outside.body.key) })).statusCode, 200);
+    });
+
+    it('revokes keys', async () => {
+        const created = await invoke(keysHandler, { body: { appPassword: APP_PASSWORD, action: 'create', user: 'kid', scopes: ['read'] } });
+
+        const revoked = await invoke(keysHandler, { body: { appPassword: APP_PASSWORD, action: 'revoke', keyId: created.body.apiKey.id } });
+        assert.equal(revoked.statusCode, 200);
+
+        const res = await invoke(householdsHandler, { headers: bearer(created.body.key) });
+        assert.equal(res.statusCode, 401);
+
+        const listed = await invoke(keysHandler, { body: { appPassword: APP_PASSWORD, action: 'list', user: 'kid' } });
+        assert.ok(listed.body.keys.find(key => key.id === created.body.apiKey.id).revokedAt);
+    });
+});
+
+describe('FileKeyStore', () => {
+    it('never overwrites a revocation when recording the use of a key', async () => {
+        const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'tonie-keys-'));
+        const store = new FileKeyStore(directory);
+
+        try {
+            const key = await store.save({ id: '0123456789abcdef', user: 'kid', lastUsedAt: null, revokedAt: null });
+            const usedAt = new Date().toISOString();
+
+            // A request using the key read it before the revocation and records its use afterwards
+            await store.save({ ...key, revokedAt: usedAt });
+            await store.recordUse(key.id, usedAt);
+
+            const stored = await store.get(key.id);
+            assert.equal(stored.revokedAt, usedAt);
+            assert.equal(stored.lastUsedAt, usedAt);
+            assert.equal((await store.list()).length, 1);
+        } finally {
+            await fs.promises.rm(directory, { recursive: true, force: true });
+        }
+    });
+});
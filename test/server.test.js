@@ -0,0 +1,133 @@
+// test/server.test.js
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createServer } from '../server.js';
+import { loadEnvFile } from '../utils/env.js';
+import { APP_PASSWORD, startMockCloud, resetAppState, createWav } from './helpers.js';
+
+describe('standalone server', () => {
+    let cloud;
+    let server;
+    let baseUrl;
+
+    const postJson = (pathname, body) => fetch(`${baseUrl}${pathname}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+
+    before(async () => {
+        cloud = await startMockCloud();
+        server = await createServer();
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(async () => {
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+        await cloud.stop();
+    });
+
+    beforeEach(resetAppState);
+
+    it('serves the frontend', async () => {
+        const res = await fetch(`${baseUrl}/`);
+
+        assert.equal(res.status, 200);
+        assert.match(res.headers.get('content-type'), /text\/html/);
+        assert.match(await res.text(), /<html/i);
+    });
+
+    it('does not serve other project files', async () => {
+        for (const pathname of ['/.env', '/package.json', '/utils/auth.js', '/api/../server.js']) {
+            const res = await fetch(`${baseUrl}${pathname}`);
+            assert.equal(res.status, 404, pathname);
+        }
+    });
+
+    it('passes JSON bodies to the handlers', async () => {
+        const res = await postJson('/api/auth', { appPassword: APP_PASSWORD, action: 'verify' });
+
+        assert.equal(res.status, 200);
+        assert.equal((await res.json()).message, 'App password verified');
+    });
+
+    it('rejects invalid JSON bodies', async () => {
+        const res = await fetch(`${baseUrl}/api/auth`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: '{"action":'
+        });
+
+        assert.equal(res.status, 400);
+    });
+
+    it('passes route parameters and the query string as req.query', async () => {
+        const res = await fetch(`${baseUrl}/api/jobs/00000000-0000-4000-8000-000000000000?appPassword=${APP_PASSWORD}`);
+
+        assert.equal(res.status, 404);
+        assert.match((await res.json()).details, /No job with ID "00000000-0000-4000-8000-000000000000"/);
+    });
+
+    it('rejects route parameters that are not validly encoded', async () => {
+        const res = await fetch(`${baseUrl}/api/jobs/%E0?appPassword=${APP_PASSWORD}`);
+
+        assert.equal(res.status, 400);
+    });
+
+    it('leaves multipart uploads to the handler', async () => {
+        const form = new FormData();
+        form.append('appPassword', APP_PASSWORD);
+        form.append('tonieId', 'household-1/tonie-2');
+        form.append('title', 'From the server');
+        form.append('files', new Blob([createWav()], { type: 'audio/wav' }), 'song.wav');
+
+        const res = await fetch(`${baseUrl}/api/upload-from-device`, { method: 'POST', body: form });
+
+        assert.equal(res.status, 200, await res.clone().text());
+        assert.ok(cloud.getTonie('household-1', 'tonie-2').chapters.some(chapter => chapter.title === 'From the server'));
+    });
+
+    it('answers 404 for unknown endpoints', async () => {
+        const res = await postJson('/api/unknown', {});
+
+        assert.equal(res.status, 404);
+    });
+});
+
+describe('loadEnvFile', () => {
+    it('loads unset variables and keeps those already set', () => {
+        const filePath = path.join(os.tmpdir(), `tonie-uploader-${process.pid}.env`);
+        fs.writeFileSync(filePath, [
+            '# Tonie account',
+            'TEST_ENV_EMAIL=parent@example.com',
+            'export TEST_ENV_QUOTED="with spaces # and hash"',
+            "TEST_ENV_SINGLE='single'",
+            'TEST_ENV_COMMENT=value # comment',
+            'TEST_ENV_SET=from-file'
+        ].join('\n'));
+        process.env.TEST_ENV_SET = 'from-environment';
+
+        try {
+            const loaded = loadEnvFile(filePath);
+
+            assert.deepEqual(loaded, ['TEST_ENV_EMAIL', 'TEST_ENV_QUOTED', 'TEST_ENV_SINGLE', 'TEST_ENV_COMMENT']);
+            assert.equal(process.env.TEST_ENV_EMAIL, 'parent@example.com');
+            assert.equal(process.env.TEST_ENV_QUOTED, 'with spaces # and hash');
+            assert.equal(process.env.TEST_ENV_SINGLE, 'single');
+            assert.equal(process.env.TEST_ENV_COMMENT, 'value');
+            assert.equal(process.env.TEST_ENV_SET, 'from-environment');
+        } finally {
+            fs.unlinkSync(filePath);
+            ['TEST_ENV_EMAIL', 'TEST_ENV_QUOTED', 'TEST_ENV_SINGLE', 'TEST_ENV_COMMENT', 'TEST_ENV_SET'].forEach(name => delete process.env[name]);
+        }
+    });
+
+    it('ignores missing files', () => {
+        assert.deepEqual(loadEnvFile(path.join(os.tmpdir(), 'does-not-exist.env')), []);
+    });
+});
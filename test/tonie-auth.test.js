@@ -0,0 +1,135 @@
+// test/tonie-auth.test.js
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { getTonieAccessToken, makeTonieApiRequest } from '../utils/auth.js';
+import { startMockCloud, resetAppState } from './helpers.js';
+
+describe('Tonie access tokens', () => {
+    let cloud;
+
+    const tokenRequests = () => cloud.tokenGrants.length;
+
+    beforeEach(resetAppState);
+
+    it('reuses tokens that live no longer than the renewal margin', async () => {
+        cloud = await startMockCloud({ tokenLifetime: 30 });
+
+        try {
+            const first = await getTonieAccessToken();
+            const second = await getTonieAccessToken();
+
+            assert.equal(first.cached, false);
+            assert.equal(second.cached, true);
+            assert.equal(second.sessionToken, first.sessionToken);
+            assert.equal(tokenRequests(), 1);
+        } finally {
+            await cloud.stop();
+        }
+    });
+
+    it('renews a rejected token with the refresh grant and repeats the request', async () => {
+        cloud = await startMockCloud();
+
+        try {
+            const first = await getTonieAccessToken();
+            cloud.failNext('GET', '/v2/households', { status: 401, body: { error: 'Unauthorized' } });
+
+            const res = await makeTonieApiRequest('/households', first.sessionToken);
+
+            assert.equal(res.success, true);
+            assert.notEqual(res.renewedToken, first.sessionToken);
+            assert.deepEqual(cloud.tokenGrants, ['password', 'refresh_token']);
+
+            const cached = await getTonieAccessToken();
+            assert.equal(cached.cached, true);
+            assert.equal(cached.sessionToken, res.renewedToken);
+        } finally {
+            await cloud.stop();
+        }
+    });
+
+    it('lets requests still holding a rejected token use the renewed one', async () => {
+        cloud = await startMockCloud();
+
+        try {
+            const { sessionToken } = await getTonieAccessToken();
+            const rejected = () => cloud.failNext('GET', '/v2/households', { status: 401, body: { error: 'Unauthorized' } });
+
+            rejected();
+            const first = await makeTonieApiRequest('/households', sessionToken);
+            rejected();
+            const second = await makeTonieApiRequest('/households', sessionToken);
+
+            assert.equal(first.success, true);
+            assert.equal(second.success, true);
+            assert.equal(second.renewedToken, first.renewedToken);
+            assert.deepEqual(cloud.tokenGrants, ['password', 'refresh_token']);
+        } finally {
+            await cloud.stop();
+        }
+    });
+
+    it('does not repeat a rejected POST', async () => {
+        cloud = await startMockCloud();
+
+        try {
+            const { sessionToken } = await getTonieAccessToken();
+            cloud.failNext('POST', '/v2/file', { status: 401, body: { error: 'Unauthorized' } });
+
+            const res = await makeTonieApiRequest('/file', sessionToken, { method: 'POST' });
+
+            assert.equal(res.status, 401);
+            assert.equal(cloud.requests.filter(request => request.method === 'POST' && request.path === '/v2/file').length, 1);
+
+            // The next request gets a renewed token all the same
+            assert.equal((await getTonieAccessToken()).cached, false);
+        } finally {
+            await cloud.stop();
+        }
+    });
+});
+
+describe('makeTonieApiRequest', () => {
+    let cloud;
+
+    const chaptersPath = '/households/household-1/creativetonies/tonie-2/chapters';
+    const requestCount = (method, path) => cloud.requests.filter(request => request.method === method && request.path === path).length;
+
+    beforeEach(resetAppState);
+
+    it('does not repeat a POST the server may have applied', async () => {
+        cloud = await startMockCloud();
+
+        try {
+            const { sessionToken } = await getTonieAccessToken();
+            cloud.failNext('POST', `/v2${chaptersPath}`, { status: 502, body: { error: 'Bad gateway' } });
+
+            const res = await makeTonieApiRequest(chaptersPath, sessionToken, {
+                method: 'POST',
+                body: JSON.stringify({ title: 'Once', file: 'file-1' })
+            });
+
+            assert.equal(res.status, 502);
+            assert.equal(requestCount('POST', `/v2${chaptersPath}`), 1);
+        } finally {
+            await cloud.stop();
+        }
+    });
+
+    it('repeats a POST the server did not handle', async () => {
+        cloud = await startMockCloud();
+
+        try {
+            const { sessionToken } = await getTonieAccessToken();
+            cloud.failNext('POST', '/v2/file', { status: 429, headers: { 'Retry-After': '0' } });
+            cloud.failNext('POST', '/v2/file', { status: 503, headers: { 'Retry-After': '0' } });
+
+            const res = await makeTonieApiRequest('/file', sessionToken, { method: 'POST' });
+
+            assert.equal(res.success, true);
+            assert.equal(requestCount('POST', '/v2/file'), 3);
+        } finally {
+            await cloud.stop();
+        }
+    });
+});
@@ -0,0 +1,200 @@
+// test/upload-from-device.test.js
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import deviceHandler from '../api/upload-from-device.js';
+import jobHandler from '../api/jobs/[id].js';
+import jobEventsHandler from '../api/jobs/[id]/events.js';
+import { createApiKey } from '../utils/api-keys.js';
+import { APP_PASSWORD, TONIE_ID, startMockCloud, resetAppState, invoke, createWav, waitFor } from './helpers.js';
+
+describe('POST /api/upload-from-device', () => {
+    let cloud;
+
+    const chapterTitles = () => cloud.getTonie('household-1', 'tonie-2').chapters.map(chapter => chapter.title);
+    const upload = (fields, files = [{ filename: 'song.wav', content: createWav() }], headers = {}) => invoke(deviceHandler, {
+        multipart: { fields: { appPassword: APP_PASSWORD, tonieId: 'household-1/tonie-2', ...fields }, files },
+        headers
+    });
+
+    before(async () => {
+        cloud = await startMockCloud();
+    });
+
+    after(() => cloud.stop());
+
+    beforeEach(resetAppState);
+
+    it('uploads a file as chapter', async () => {
+        const res = await upload({ title: 'Lullaby' });
+
+        assert.equal(res.statusCode, 200, JSON.stringify(res.body));
+        assert.equal(res.body.success, true);
+        assert.deepEqual(chapterTitles(), ['Lullaby']);
+    });
+
+    it('uploads several files in order', async () => {
+        const res = await upload({ title: ['One', 'Two'] }, [
+            { filename: 'one.wav', content: createWav() },
+            { filename: 'two.wav', content: createWav() }
+        ]);
+
+        assert.equal(res.statusCode, 200, JSON.stringify(res.body));
+        assert.deepEqual(chapterTitles().slice(-2), ['One', 'Two']);
+    });
+
+    it('rejects files that are no audio', async () => {
+        const res = await upload({}, [{ filename: 'notes.mp3', content: Buffer.from('not really audio') }]);
+
+        assert.equal(res.statusCode, 400);
+    });
+
+    it('rejects WAV files with a cut off header', async () => {
+        const res = await upload({}, [{ filename: 'cut.wav', content: createWav().subarray(0, 30) }]);
+
+        assert.equal(res.statusCode, 400, JSON.stringify(res.body));
+    });
+
+    it('rejects uploads to unknown Creative-Tonies before uploading', async () => {
+        const requestCount = cloud.requests.length;
+
+        const res = await upload({ tonieId: 'household-1/unknown' });
+
+        assert.equal(res.statusCode, 404);
+        assert.equal(res.body.error, 'Creative-Tonie not found');
+        assert.ok(!cloud.requests.slice(requestCount).some(request => request.path === '/v2/file'));
+    });
+
+    it('reports storage failures', async () => {
+        cloud.failNext('POST', '/s3', { status: 403 });
+        const before = chapterTitles().length;
+
+        const res = await upload({ title: 'Broken' });
+
+        assert.equal(res.statusCode, 500);
+        assert.equal(res.body.results[0].error, 'Failed to upload file to storage');
+        assert.equal(chapterTitles().length, before);
+    });
+
+    it('requires the upload scope', async () => {
+        const res = await upload({ appPassword: 'wrong' });
+
+        assert.equal(res.statusCode, 401);
+    });
+
+    it('checks the credential before storing any file', async () => {
+        const stored = [];
+        const watcher = fs.watch('/tmp', (event, filename) => {
+            if (filename?.endsWith('.unauthorized')) {
+                stored.push(filename);
+            }
+        });
+
+        try {
+            const res = await upload({ appPassword: 'wrong' }, [{ filename: 'song.unauthorized', content: createWav() }]);
+            await new Promise(resolve => setTimeout(resolve, 100));
+
+            assert.equal(res.statusCode, 401);
+            assert.deepEqual(stored, []);
+        } finally {
+            watcher.close();
+        }
+    });
+
+    it('follows uploads with an upload ID authorized by header', async () => {
+        const uploadId = crypto.randomUUID();
+
+        const res = await upload({ title: 'Followed' }, undefined, { 'x-upload-id': uploadId, 'x-app-password': APP_PASSWORD });
+
+        assert.equal(res.statusCode, 200, JSON.stringify(res.body));
+        const job = await invoke(jobHandler, { method: 'GET', query: { id: uploadId }, headers: { 'x-app-password': APP_PASSWORD } });
+        assert.equal(job.body.job.status, 'completed');
+    });
+
+    it('uploads without progress where jobs cannot be followed', async () => {
+        delete process.env.BACKGROUND_JOBS;
+        const uploadId = crypto.randomUUID();
+        const headers = { 'x-app-password': APP_PASSWORD };
+
+        try {
+            const res = await upload({ title: 'Unfollowable' }, undefined, { 'x-upload-id': uploadId, ...headers });
+            assert.equal(res.statusCode, 200, JSON.stringify(res.body));
+
+            const events = await invoke(jobEventsHandler, { method: 'GET', query: { id: uploadId }, headers });
+            assert.equal(events.statusCode, 503);
+            assert.equal(events.body.error, 'Job progress not available');
+            assert.equal((await invoke(jobHandler, { method: 'GET', query: { id: uploadId }, headers })).statusCode, 503);
+        } finally {
+            process.env.BACKGROUND_JOBS = 'true';
+        }
+
+        assert.equal((await invoke(jobHandler, { method: 'GET', query: { id: uploadId }, headers })).statusCode, 404);
+    });
+
+    it('creates no job for an upload ID before the credential is checked', async () => {
+        const uploadId = crypto.randomUUID();
+        const headers = { 'x-app-password': APP_PASSWORD };
+
+        const withoutHeader = await upload({ title: 'Unfollowed' }, undefined, { 'x-upload-id': uploadId });
+        const wrongHeader = await upload({ title: 'Unfollowed' }, undefined, { 'x-upload-id': uploadId, 'x-app-password': 'wrong' });
+
+        assert.equal(withoutHeader.statusCode, 401);
+        assert.equal(wrongHeader.statusCode, 401);
+        assert.equal((await invoke(jobHandler, { method: 'GET', query: { id: uploadId }, headers })).statusCode, 404);
+        assert.ok(!chapterTitles().includes('Unfollowed'));
+    });
+
+    it('runs asynchronous uploads as jobs with status and events', async () => {
+        const started = await upload({ title: 'Later', async: 'true' });
+
+        assert.equal(started.statusCode, 202);
+        const { jobId } = started.body;
+        const headers = { 'x-app-password': APP_PASSWORD };
+
+        const job = await waitFor(async () => {
+            const res = await invoke(jobHandler, { method: 'GET', query: { id: jobId }, headers });
+            return res.body.job.status === 'completed' && res.body.job;
+        });
+        assert.equal(job.httpStatus, 200);
+        assert.equal(job.details.user, 'owner');
+        assert.ok(chapterTitles().includes('Later'));
+
+        const events = await invoke(jobEventsHandler, { method: 'GET', query: { id: jobId }, headers });
+        assert.match(events.text, /event: success/);
+    });
+
+    it('shows jobs only to the principal that started them and admins of the Creative-Tonie', async () => {
+        const createKey = async (options) => (await createApiKey({ user: 'kid', ...options })).key;
+        const uploader = await createKey({ scopes: ['upload'] });
+        const otherKey = await createKey({ scopes: ['upload', 'read'] });
+        const otherAdmin = await createKey({ user: 'parent', scopes: ['admin'], tonies: [TONIE_ID] });
+        const getJobStatus = key => invoke(jobHandler, { method: 'GET', query: { id: jobId }, headers: { authorization: `Bearer ${key}` } });
+
+        const started = await upload({ title: 'Private', async: 'true' }, undefined, { authorization: `Bearer ${uploader}` });
+        assert.equal(started.statusCode, 202, JSON.stringify(started.body));
+        const { jobId } = started.body;
+
+        assert.equal((await getJobStatus(uploader)).statusCode, 200);
+        assert.equal((await getJobStatus(APP_PASSWORD)).statusCode, 200);
+        assert.equal((await getJobStatus(otherKey)).statusCode, 404);
+        assert.equal((await getJobStatus(otherAdmin)).statusCode, 404);
+
+        await waitFor(async () => (await getJobStatus(uploader)).body.job.status === 'completed');
+    });
+
+    it('rejects async mode where uploads cannot run in the background', async () => {
+        delete process.env.BACKGROUND_JOBS;
+        const before = chapterTitles().length;
+
+        try {
+            const res = await upload({ title: 'Never', async: 'true' });
+
+            assert.equal(res.statusCode, 400);
+            assert.equal(res.body.error, 'Async mode not available');
+            assert.equal(chapterTitles().length, before);
+        } finally {
+            process.env.BACKGROUND_JOBS = 'true';
+        }
+    });
+});
@@ -0,0 +1,85 @@
+// test/upload-from-podcast.test.js
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import podcastHandler from '../api/upload-from-podcast.js';
+import { APP_PASSWORD, startMockCloud, resetAppState, invoke, createWav } from './helpers.js';
+
+describe('POST /api/upload-from-podcast', () => {
+    let cloud;
+    let feedUrl;
+
+    const chapterTitles = () => cloud.getTonie('household-1', 'tonie-2').chapters.map(chapter => chapter.title);
+    const importEpisodes = body => invoke(podcastHandler, {
+        body: { appPassword: APP_PASSWORD, tonieId: 'household-1/tonie-2', feedUrl, ...body }
+    });
+
+    before(async () => {
+        cloud = await startMockCloud();
+
+        const episode = (number, date) => `
+            <item>
+                <title>Episode ${number}</title>
+                <guid>episode-${number}</guid>
+                <pubDate>${date}</pubDate>
+                <itunes:duration>0:01</itunes:duration>
+                <enclosure url="${cloud.serveFile(`/podcast/episode-${number}.wav`, createWav(), 'audio/wav')}" type="audio/wav" length="16044"/>
+            </item>`;
+
+        feedUrl = cloud.serveFile('/podcast/feed.xml', `<?xml version="1.0" encoding="UTF-8"?>
+            <rss version="2.0" xmlns:itunes="http://www.itunes.com/dtds/podcast-1.0.dtd">
+                <channel>
+                    <title>Bedtime Stories</title>
+                    ${episode(1, 'Mon, 05 Oct 2026 18:00:00 GMT')}
+                    ${episode(2, 'Mon, 12 Oct 2026 18:00:00 GMT')}
+                    ${episode(3, 'Mon, 19 Oct 2026 18:00:00 GMT')}
+                </channel>
+            </rss>`, 'application/rss+xml');
+    });
+
+    after(() => cloud.stop());
+
+    beforeEach(resetAppState);
+
+    it('lists the episodes of a feed', async () => {
+        const res = await importEpisodes({ tonieId: undefined, listOnly: true });
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.body.feed.title, 'Bedtime Stories');
+        assert.deepEqual(res.body.episodes.map(episode => episode.guid), ['episode-3', 'episode-2', 'episode-1']);
+    });
+
+    it('imports the latest episodes in the order they were published', async () => {
+        const res = await importEpisodes({ count: 2 });
+
+        assert.equal(res.statusCode, 200, JSON.stringify(res.body));
+        assert.equal(res.body.imported, 2);
+        assert.deepEqual(chapterTitles().slice(-2), ['Episode 2', 'Episode 3']);
+    });
+
+    it('imports episodes picked by GUID', async () => {
+        const res = await importEpisodes({ guids: ['episode-1'] });
+
+        assert.equal(res.statusCode, 200, JSON.stringify(res.body));
+        assert.deepEqual(chapterTitles().slice(-1), ['Episode 1']);
+    });
+
+    it('rejects unknown GUIDs', async () => {
+        const res = await importEpisodes({ guids: ['episode-9'] });
+
+        assert.equal(res.statusCode, 404);
+        assert.equal(res.body.error, 'Episodes not found in feed');
+    });
+
+    it('rejects invalid counts', async () => {
+        const res = await importEpisodes({ count: 0 });
+
+        assert.equal(res.statusCode, 400);
+        assert.equal(res.body.error, 'Invalid podcast request');
+    });
+
+    it('reports feeds that cannot be read', async () => {
+        const res = await importEpisodes({ feedUrl: `${cloud.url}/podcast/missing.xml` });
+
+        assert.equal(res.body.error, 'Failed to get podcast feed');
+    });
+});
@@ -0,0 +1,63 @@
+// test/upload-from-url.test.js
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import urlHandler from '../api/upload-from-url.js';
+import { APP_PASSWORD, startMockCloud, resetAppState, invoke, createWav } from './helpers.js';
+
+describe('POST /api/upload-from-url', () => {
+    let cloud;
+
+    const chapterTitles = () => cloud.getTonie('household-1', 'tonie-2').chapters.map(chapter => chapter.title);
+    const upload = body => invoke(urlHandler, {
+        body: { appPassword: APP_PASSWORD, tonieId: 'household-1/tonie-2', ...body }
+    });
+
+    before(async () => {
+        cloud = await startMockCloud();
+    });
+
+    after(() => cloud.stop());
+
+    beforeEach(resetAppState);
+
+    it('downloads the file and adds it as chapter', async () => {
+        const url = cloud.serveFile('/files/story.wav', createWav(), 'audio/wav');
+
+        const res = await upload({ url, title: 'Story' });
+
+        assert.equal(res.statusCode, 200, JSON.stringify(res.body));
+        assert.equal(res.body.success, true);
+        assert.deepEqual(chapterTitles().slice(-1), ['Story']);
+    });
+
+    it('requires a url', async () => {
+        const res = await upload({ title: 'Story' });
+
+        assert.equal(res.statusCode, 400);
+        assert.equal(res.body.error, 'Missing required fields');
+    });
+
+    it('rejects urls that are no http(s) urls', async () => {
+        const res = await upload({ url: 'file:///etc/passwd' });
+
+        assert.equal(res.statusCode, 400);
+        assert.equal(res.body.error, 'Invalid URL');
+    });
+
+    it('rejects downloads that are no audio', async () => {
+        const url = cloud.serveFile('/files/page.html', '<html></html>', 'text/html');
+        const before = chapterTitles().length;
+
+        const res = await upload({ url });
+
+        assert.notEqual(res.statusCode, 200);
+        assert.equal(res.body.error, 'Failed to download audio file');
+        assert.equal(chapterTitles().length, before);
+    });
+
+    it('reports missing files', async () => {
+        const res = await upload({ url: `${cloud.url}/files/missing.wav` });
+
+        assert.equal(res.body.error, 'Failed to download audio file');
+    });
+});
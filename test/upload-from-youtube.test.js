@@ -0,0 +1,96 @@
+// test/upload-from-youtube.test.js
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import youtubeHandler from '../api/upload-from-youtube.js';
+import { APP_PASSWORD, TONIE_ID, startMockCloud, resetAppState, invoke } from './helpers.js';
+
+// Only the request validation is covered, downloads need access to YouTube
+describe('POST /api/upload-from-youtube', () => {
+    let cloud;
+
+    const upload = body => invoke(youtubeHandler, {
+        body: { appPassword: APP_PASSWORD, tonieId: TONIE_ID, title: 'Song', url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ', ...body }
+    });
+
+    before(async () => {
+        cloud = await startMockCloud();
+    });
+
+    after(() => cloud.stop());
+
+    beforeEach(resetAppState);
+
+    it('requires a title for single videos', async () => {
+        const res = await upload({ title: '' });
+
+        assert.equal(res.statusCode, 400);
+        assert.equal(res.body.error, 'Missing required fields');
+    });
+
+    it('rejects urls that are not on YouTube', async () => {
+        const res = await upload({ url: 'https://example.com/watch?v=dQw4w9WgXcQ' });
+
+        assert.equal(res.statusCode, 400);
+        assert.equal(res.body.error, 'Invalid YouTube URL');
+    });
+
+    it('rejects invalid tonieIds', async () => {
+        const res = await upload({ tonieId: 'tonie-1' });
+
+        assert.equal(res.statusCode, 400);
+        assert.equal(res.body.error, 'Invalid tonieId');
+    });
+
+    it('rejects unknown Tonie accounts', async () => {
+        const res = await upload({ account: 'neighbours' });
+
+        assert.equal(res.statusCode, 400);
+        assert.equal(res.body.error, 'Unknown Tonie account');
+    });
+
+    it('rejects invalid clip ranges', async () => {
+        const res = await upload({ start: 'soon' });
+
+        assert.equal(res.statusCode, 400);
+        assert.equal(res.body.error, 'Invalid clip range');
+    });
+
+    it('rejects times with minutes or seconds of 60 or more', async () => {
+        for (const start of ['1:75', '1:60:00']) {
+            const res = await upload({ start });
+
+            assert.equal(res.statusCode, 400, start);
+            assert.equal(res.body.error, 'Invalid clip range');
+        }
+    });
+
+    it('accepts the playlist flag from form-encoded bodies', async () => {
+        const res = await upload({
+            url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ&list=PLFgquLnL59alCl_2TQvOiD5Vgm1hCaGSI',
+            playlist: 'true',
+            start: '0:10'
+        });
+
+        assert.equal(res.statusCode, 400);
+        assert.match(res.body.details, /not with playlists/);
+    });
+
+    it('rejects async mode where uploads cannot run in the background', async () => {
+        delete process.env.BACKGROUND_JOBS;
+
+        try {
+            const res = await upload({ async: true });
+
+            assert.equal(res.statusCode, 400);
+            assert.equal(res.body.error, 'Async mode not available');
+        } finally {
+            process.env.BACKGROUND_JOBS = 'true';
+        }
+    });
+
+    it('requires the upload scope', async () => {
+        const res = await upload({ appPassword: 'wrong' });
+
+        assert.equal(res.statusCode, 401);
+    });
+});
@@ -0,0 +1,313 @@
+// utils/api-keys.js
+// Named users with scoped API keys. Only a hash of every key is stored.
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+// read: list households, chapters and jobs; upload: add chapters; chapters:edit: rename and reorder;
+// chapters:delete: delete chapters; admin: everything, including managing API keys
+export const SCOPES = ['read', 'upload', 'chapters:edit', 'chapters:delete', 'admin'];
+
+const DEFAULT_KEYS_DIR = '/tmp/tonie-uploader-keys';
+const KEY_PREFIX = 'tuk';
+const KEY_PATTERN = /^tuk_([0-9a-f]{16})_([A-Za-z0-9_-]{43})$/;
+const KEY_ID_PATTERN = /^[0-9a-f]{16}$/;
+const LAST_USED_WRITE_INTERVAL = 60 * 1000; // lastUsedAt is written at most once a minute
+
+/**
+ * Hash the secret part of an API key
+ */
+function hashSecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+/**
+ * Remove the hash before a key record leaves this module
+ */
+function describeKey({ hash, ...key }) {
+    return key;
+}
+
+/**
+ * Keeps API keys as one JSON file per key, so every instance sharing the directory sees revocations.
+ * The time a key was last used is kept in a file of its own, so recording a use never overwrites a revocation.
+ */
+export class FileKeyStore {
+    constructor(directory = DEFAULT_KEYS_DIR) {
+        this.directory = directory;
+    }
+
+    keyPath(id) {
+        if (!KEY_ID_PATTERN.test(id)) {
+            throw new Error('Invalid key ID');
+        }
+
+        return path.join(this.directory, `${id}.json`);
+    }
+
+    async get(id) {
+        let key;
+        try {
+            key = JSON.parse(await fs.promises.readFile(this.keyPath(id), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT' || error.message === 'Invalid key ID') {
+                return null;
+            }
+            throw error;
+        }
+
+        try {
+            key.lastUsedAt = await fs.promises.readFile(this.lastUsedPath(id), 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+
+        return key;
+    }
+
+    lastUsedPath(id) {
+        return this.keyPath(id).replace(/\.json$/, '.last-used');
+    }
+
+    async list() {
+        let filenames;
+        try {
+            filenames = await fs.promises.readdir(this.directory);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+
+        const keys = await Promise.all(filenames
+            .filter(filename => filename.endsWith('.json'))
+            .map(filename => this.get(path.basename(filename, '.json'))));
+
+        return keys.filter(Boolean);
+    }
+
+    async save(key) {
+        // Write to a temporary file first so readers never see a half written key
+        await fs.promises.mkdir(this.directory, { recursive: true, mode: 0o700 });
+        const keyPath = this.keyPath(key.id);
+        const tempPath = `${keyPath}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+
+        await fs.promises.writeFile(tempPath, JSON.stringify(key), { mode: 0o600 });
+        await fs.promises.rename(tempPath, keyPath);
+        return key;
+    }
+
+    async recordUse(id, lastUsedAt) {
+        const lastUsedPath = this.lastUsedPath(id);
+        const tempPath = `${lastUsedPath}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+
+        await fs.promises.writeFile(tempPath, lastUsedAt, { mode: 0o600 });
+        await fs.promises.rename(tempPath, lastUsedPath);
+    }
+}
+
+/**
+ * Keeps API keys in memory, mostly for tests and single instance setups
+ */
+export class MemoryKeyStore {
+    constructor() {
+        this.keys = new Map();
+    }
+
+    async get(id) {
+        return this.keys.get(id) || null;
+    }
+
+    async list() {
+        return [...this.keys.values()];
+    }
+
+    async save(key) {
+        this.keys.set(key.id, key);
+        return key;
+    }
+
+    async recordUse(id, lastUsedAt) {
+        const key = this.keys.get(id);
+        if (key) {
+            this.keys.set(id, { ...key, lastUsedAt });
+        }
+    }
+}
+
+let keyStore = null;
+
+/**
+ * Get the key store selected by KEY_STORE ("file" by default, or "memory").
+ * The file store defaults to /tmp, which only works for a single long running instance: serverless instances
+ * each have their own /tmp and lose it on restart, so keys and revocations would not reach every instance.
+ */
+export function getKeyStore() {
+    if (!keyStore) {
+        if (process.env.KEY_STORE === 'memory') {
+            keyStore = new MemoryKeyStore();
+        } else {
+            if (!process.env.API_KEYS_DIR) {
+                console.warn(`API_KEYS_DIR is not set, API keys are kept in ${DEFAULT_KEYS_DIR}. `
+                    + 'Set it to a persistent directory shared by all instances, or use setKeyStore() with a shared store');
+            }
+            keyStore = new FileKeyStore(process.env.API_KEYS_DIR || DEFAULT_KEYS_DIR);
+        }
+    }
+
+    return keyStore;
+}
+
+/**
+ * Replace the key store, e.g. with one backed by a database.
+ * A store implements get(id), list(), save(key) and recordUse(id, lastUsedAt), which must not overwrite other fields.
+ */
+export function setKeyStore(store) {
+    keyStore = store;
+}
+
+/**
+ * Check scopes and tonie allowlist of a new key
+ * @returns {string[]} Validation errors, empty if valid
+ */
+function validateKeyOptions({ user, scopes, tonies }) {
+    const errors = [];
+
+    if (typeof user !== 'string' || !user.trim()) {
+        errors.push('user is required');
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+        errors.push(`scopes must be a non-empty array of: ${SCOPES.join(', ')}`);
+    } else {
+        const unknownScopes = scopes.filter(scope => !SCOPES.includes(scope));
+        if (unknownScopes.length > 0) {
+            errors.push(`Unknown scopes: ${unknownScopes.join(', ')}. Use: ${SCOPES.join(', ')}`);
+        }
+    }
+
+    if (tonies !== undefined && tonies !== null) {
+        if (!Array.isArray(tonies) || tonies.some(tonie => typeof tonie !== 'string' || !/^[^/]+\/[^/]+$/.test(tonie))) {
+            errors.push('tonies must be an array of "householdId/creativeTonieId" strings');
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Create an API key for a user. The plain key is only returned here, the store keeps its hash.
+ * @param {Object} options - { user, name, scopes, tonies } where tonies optionally limits the key
+ *   to a list of "householdId/creativeTonieId" identifiers
+ * @returns {Promise<Object>} { key, apiKey } with the plain key and its stored record (without hash).
+ *   Invalid options are rejected with an error carrying status 400.
+ */
+export async function createApiKey({ user, name = null, scopes, tonies = null }) {
+    const errors = validateKeyOptions({ user, scopes, tonies });
+    if (errors.length > 0) {
+        const error = new Error(errors.join('; '));
+        error.status = 400;
+        throw error;
+    }
+
+    const id = crypto.randomBytes(8).toString('hex');
+    const secret = crypto.randomBytes(32).toString('base64url');
+    const record = {
+        id,
+        user: user.trim(),
+        name: name || null,
+        scopes: [...new Set(scopes)],
+        tonies: tonies && tonies.length > 0 ? [...new Set(tonies)] : null,
+        hash: hashSecret(secret),
+        createdAt: new Date().toISOString(),
+        lastUsedAt: null,
+        revokedAt: null
+    };
+
+    await getKeyStore().save(record);
+    console.log(`Created API key ${id} for user "${record.user}" with scopes ${record.scopes.join(', ')}`);
+
+    return {
+        key: `${KEY_PREFIX}_${id}_${secret}`,
+        apiKey: describeKey(record)
+    };
+}
+
+/**
+ * List API keys, optionally of a single user
+ * @returns {Promise<Object[]>} Key records without hashes, oldest first
+ */
+export async function listApiKeys({ user } = {}) {
+    const keys = await getKeyStore().list();
+
+    return keys
+        .filter(key => !user || key.user === user)
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+        .map(describeKey);
+}
+
+/**
+ * Revoke an API key, it is rejected from the next request on
+ * @returns {Promise<Object|null>} Revoked key record or null if the key does not exist
+ */
+export async function revokeApiKey(id) {
+    const store = getKeyStore();
+    const key = await store.get(id);
+
+    if (!key) {
+        return null;
+    }
+
+    if (!key.revokedAt) {
+        key.revokedAt = new Date().toISOString();
+        await store.save(key);
+        console.log(`Revoked API key ${id} of user "${key.user}"`);
+    }
+
+    return describeKey(key);
+}
+
+/**
+ * Check whether a credential has the form of an API key rather than of a password or session
+ */
+export function isApiKey(credential) {
+    return typeof credential === 'string' && KEY_PATTERN.test(credential);
+}
+
+/**
+ * Verify an API key
+ * @returns {Promise<Object|null>} Key record without hash, or null if the key is unknown, malformed or revoked
+ */
+export async function verifyApiKey(credential) {
+    const match = typeof credential === 'string' && credential.match(KEY_PATTERN);
+    if (!match) {
+        return null;
+    }
+
+    const [, id, secret] = match;
+    const store = getKeyStore();
+    const key = await store.get(id);
+
+    if (!key || key.revokedAt) {
+        return null;
+    }
+
+    const expected = Buffer.from(key.hash, 'hex');
+    const actual = Buffer.from(hashSecret(secret), 'hex');
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return null;
+    }
+
+    // Usage is only informational, failing to record it must not fail the request
+    if (!key.lastUsedAt || Date.now() - new Date(key.lastUsedAt).getTime() > LAST_USED_WRITE_INTERVAL) {
+        key.lastUsedAt = new Date().toISOString();
+        await store.recordUse(id, key.lastUsedAt)
+            .catch(error => console.error(`Failed to record use of API key ${id}: ${error.message}`));
+    }
+
+    return describeKey(key);
+}
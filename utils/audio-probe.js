@@ -0,0 +1,676 @@
+// utils/audio-probe.js
+// Content-based audio format detection and duration probing
+
+import fs from 'fs';
+import path from 'path';
+
+// Audio formats accepted by the Tonie cloud, keyed by detected container
+export const AUDIO_FORMATS = {
+    mp3: { extensions: ['mp3'], label: 'MP3' },
+    aac: { extensions: ['aac'], label: 'AAC (ADTS)' },
+    mp4: { extensions: ['m4a', 'm4b'], label: 'MPEG-4 audio' },
+    wav: { extensions: ['wav'], label: 'WAV' },
+    aiff: { extensions: ['aiff', 'aif'], label: 'AIFF' },
+    flac: { extensions: ['flac'], label: 'FLAC' },
+    ogg: { extensions: ['ogg', 'oga', 'opus'], label: 'Ogg Vorbis/Opus' },
+    wma: { extensions: ['wma'], label: 'Windows Media Audio' }
+};
+
+// Containers we recognise but the Tonie cloud does not accept; they need transcoding
+export const TRANSCODABLE_FORMATS = {
+    webm: { extensions: ['webm'], label: 'WebM' },
+    matroska: { extensions: ['mkv', 'mka'], label: 'Matroska' },
+    amr: { extensions: ['amr'], label: 'AMR' },
+    video: { extensions: ['mp4', 'm4v', 'mov'], label: 'MPEG-4 video' }
+};
+
+const KNOWN_EXTENSIONS = [...Object.values(AUDIO_FORMATS), ...Object.values(TRANSCODABLE_FORMATS)]
+    .flatMap(format => format.extensions);
+
+const HEADER_READ_SIZE = 65536; // 64 KB
+const MAX_MOOV_SIZE = 16777216; // 16 MB
+
+const MP3_SAMPLE_RATES = {
+    3: [44100, 48000, 32000], // MPEG 1
+    2: [22050, 24000, 16000], // MPEG 2
+    0: [11025, 12000, 8000] // MPEG 2.5
+};
+const MP3_BITRATES_V1 = [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320];
+const MP3_BITRATES_V2 = [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160];
+const ADTS_SAMPLE_RATES = [96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350];
+
+const EBML_MAGIC = Buffer.from('1a45dfa3', 'hex');
+const MATROSKA_AUDIO_CODECS = {
+    'A_OPUS': 'opus',
+    'A_VORBIS': 'vorbis',
+    'A_AAC': 'aac',
+    'A_MPEG/L3': 'mp3',
+    'A_FLAC': 'flac'
+};
+
+const ASF_HEADER_GUID = Buffer.from('3026b2758e66cf11a6d900aa0062ce6c', 'hex');
+const ASF_FILE_PROPERTIES_GUID = Buffer.from('a1dcab8c47a9cf118ee400c00c205365', 'hex');
+
+/**
+ * Read a range of a file, returning fewer bytes at the end of the file
+ */
+async function readRange(handle, position, length) {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, position);
+
+    return buffer.subarray(0, bytesRead);
+}
+
+/**
+ * Round a duration to milliseconds
+ */
+function roundDuration(seconds) {
+    return Number.isFinite(seconds) && seconds > 0 ? Math.round(seconds * 1000) / 1000 : null;
+}
+
+/**
+ * Size of an ID3v2 tag at the start of the buffer, 0 if there is none
+ */
+function getId3Size(buffer) {
+    if (buffer.length < 10 || buffer.toString('latin1', 0, 3) !== 'ID3') {
+        return 0;
+    }
+
+    // Tag size is stored as a 28 bit syncsafe integer
+    const size = (buffer[6] << 21) | (buffer[7] << 14) | (buffer[8] << 7) | buffer[9];
+    const hasFooter = (buffer[5] & 0x10) !== 0;
+
+    return 10 + size + (hasFooter ? 10 : 0);
+}
+
+/**
+ * Parse an MPEG audio layer III frame header
+ */
+function parseMp3FrameHeader(buffer, offset) {
+    if (offset + 4 > buffer.length || buffer[offset] !== 0xff || (buffer[offset + 1] & 0xe0) !== 0xe0) {
+        return null;
+    }
+
+    const version = (buffer[offset + 1] >> 3) & 0x03;
+    const layer = (buffer[offset + 1] >> 1) & 0x03;
+    const bitrateIndex = buffer[offset + 2] >> 4;
+    const sampleRateIndex = (buffer[offset + 2] >> 2) & 0x03;
+    const padding = (buffer[offset + 2] >> 1) & 0x01;
+    const channelMode = buffer[offset + 3] >> 6;
+
+    // Reserved version, anything but layer III, free/bad bitrate and reserved sample rate
+    if (version === 1 || layer !== 1 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+        return null;
+    }
+
+    const isMpeg1 = version === 3;
+    const bitrate = (isMpeg1 ? MP3_BITRATES_V1 : MP3_BITRATES_V2)[bitrateIndex] * 1000;
+    const sampleRate = MP3_SAMPLE_RATES[version][sampleRateIndex];
+    const samplesPerFrame = isMpeg1 ? 1152 : 576;
+
+    return {
+        isMpeg1,
+        bitrate,
+        sampleRate,
+        samplesPerFrame,
+        channels: channelMode === 3 ? 1 : 2,
+        frameLength: Math.floor((samplesPerFrame / 8) * bitrate / sampleRate) + padding
+    };
+}
+
+/**
+ * Parse an AAC ADTS frame header
+ */
+function parseAdtsFrameHeader(buffer, offset) {
+    if (offset + 7 > buffer.length || buffer[offset] !== 0xff || (buffer[offset + 1] & 0xf6) !== 0xf0) {
+        return null;
+    }
+
+    const sampleRateIndex = (buffer[offset + 2] >> 2) & 0x0f;
+    const frameLength = ((buffer[offset + 3] & 0x03) << 11) | (buffer[offset + 4] << 3) | (buffer[offset + 5] >> 5);
+
+    if (sampleRateIndex >= ADTS_SAMPLE_RATES.length || frameLength < 7) {
+        return null;
+    }
+
+    return {
+        sampleRate: ADTS_SAMPLE_RATES[sampleRateIndex],
+        channels: ((buffer[offset + 2] & 0x01) << 2) | (buffer[offset + 3] >> 6),
+        frameLength
+    };
+}
+
+/**
+ * Probe MP3 or ADTS audio following an optional ID3v2 tag
+ */
+async function probeMpegAudio(handle, fileSize, header, audioStart) {
+    const buffer = audioStart === 0 ? header : await readRange(handle, audioStart, HEADER_READ_SIZE);
+
+    // Allow some junk between the tag and the first frame, but require two consecutive frames
+    for (let offset = 0; offset < Math.min(buffer.length, 4096); offset++) {
+        const mp3Frame = parseMp3FrameHeader(buffer, offset);
+        if (mp3Frame && parseMp3FrameHeader(buffer, offset + mp3Frame.frameLength)) {
+            return probeMp3(buffer, offset, mp3Frame, fileSize - audioStart);
+        }
+
+        const adtsFrame = parseAdtsFrameHeader(buffer, offset);
+        if (adtsFrame && parseAdtsFrameHeader(buffer, offset + adtsFrame.frameLength)) {
+            return probeAdts(buffer, offset, adtsFrame, fileSize - audioStart);
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Compute MP3 duration from a Xing/Info or VBRI header, falling back to the constant bitrate
+ */
+function probeMp3(buffer, offset, frame, audioSize) {
+    let frameCount = null;
+
+    // Xing/Info header follows the side information of the first frame
+    const sideInfoSize = frame.isMpeg1 ? (frame.channels === 1 ? 17 : 32) : (frame.channels === 1 ? 9 : 17);
+    const xingOffset = offset + 4 + sideInfoSize;
+    const xingTag = buffer.toString('latin1', xingOffset, xingOffset + 4);
+
+    if ((xingTag === 'Xing' || xingTag === 'Info') && xingOffset + 12 <= buffer.length) {
+        const flags = buffer.readUInt32BE(xingOffset + 4);
+        if (flags & 0x01) {
+            frameCount = buffer.readUInt32BE(xingOffset + 8);
+        }
+    } else if (buffer.toString('latin1', offset + 36, offset + 40) === 'VBRI' && offset + 54 <= buffer.length) {
+        frameCount = buffer.readUInt32BE(offset + 50);
+    }
+
+    const duration = frameCount
+        ? frameCount * frame.samplesPerFrame / frame.sampleRate
+        : (audioSize - offset) * 8 / frame.bitrate;
+
+    return {
+        format: 'mp3',
+        codec: 'mp3',
+        duration: roundDuration(duration),
+        sampleRate: frame.sampleRate,
+        channels: frame.channels
+    };
+}
+
+/**
+ * Estimate ADTS duration from the average frame size at the start of the stream
+ */
+function probeAdts(buffer, offset, frame, audioSize) {
+    let frames = 0;
+    let bytes = 0;
+    let position = offset;
+
+    while (frames < 100) {
+        const current = parseAdtsFrameHeader(buffer, position);
+        if (!current) {
+            break;
+        }
+        frames++;
+        bytes += current.frameLength;
+        position += current.frameLength;
+    }
+
+    // Every ADTS frame carries 1024 samples
+    const duration = ((audioSize - offset) / (bytes / frames)) * 1024 / frame.sampleRate;
+
+    return {
+        format: 'aac',
+        codec: 'aac',
+        duration: roundDuration(duration),
+        sampleRate: frame.sampleRate,
+        channels: frame.channels
+    };
+}
+
+/**
+ * Probe a RIFF/WAVE file
+ * @returns {Promise<Object|null>} Stream properties, null for a truncated or invalid fmt chunk
+ */
+async function probeWav(handle, fileSize) {
+    let position = 12;
+    let format = null;
+
+    while (position + 8 <= fileSize) {
+        const chunkHeader = await readRange(handle, position, 8);
+        const chunkId = chunkHeader.toString('latin1', 0, 4);
+        const chunkSize = chunkHeader.readUInt32LE(4);
+
+        if (chunkId === 'fmt ') {
+            const chunk = await readRange(handle, position + 8, 16);
+            if (chunkSize < 16 || chunk.length < 16) {
+                return null;
+            }
+
+            format = {
+                codecId: chunk.readUInt16LE(0),
+                channels: chunk.readUInt16LE(2),
+                sampleRate: chunk.readUInt32LE(4),
+                byteRate: chunk.readUInt32LE(8)
+            };
+
+            // Without these the data cannot be played, nor its duration computed
+            if (!format.channels || !format.sampleRate || !format.byteRate) {
+                return null;
+            }
+        } else if (chunkId === 'data' && format) {
+            // Streamed WAV files may not know their data size
+            const dataSize = chunkSize === 0xffffffff ? fileSize - position - 8 : Math.min(chunkSize, fileSize - position - 8);
+
+            return {
+                format: 'wav',
+                codec: format.codecId === 1 ? 'pcm' : `wav-${format.codecId}`,
+                duration: roundDuration(dataSize / format.byteRate),
+                sampleRate: format.sampleRate,
+                channels: format.channels
+            };
+        }
+
+        // Chunks are padded to an even size
+        position += 8 + chunkSize + (chunkSize % 2);
+    }
+
+    return format ? { format: 'wav', codec: 'pcm', duration: null, sampleRate: format.sampleRate, channels: format.channels } : null;
+}
+
+/**
+ * Convert an 80 bit IEEE 754 extended precision number (AIFF sample rate)
+ */
+function readExtendedFloat(buffer, offset) {
+    const exponent = (((buffer[offset] & 0x7f) << 8) | buffer[offset + 1]) - 16383;
+    const mantissaHigh = buffer.readUInt32BE(offset + 2);
+    const mantissaLow = buffer.readUInt32BE(offset + 6);
+
+    return mantissaHigh * Math.pow(2, exponent - 31) + mantissaLow * Math.pow(2, exponent - 63);
+}
+
+/**
+ * Probe an AIFF/AIFC file
+ */
+async function probeAiff(handle, fileSize) {
+    let position = 12;
+
+    while (position + 8 <= fileSize) {
+        const chunkHeader = await readRange(handle, position, 8);
+        const chunkId = chunkHeader.toString('latin1', 0, 4);
+        const chunkSize = chunkHeader.readUInt32BE(4);
+
+        if (chunkId === 'COMM') {
+            const chunk = await readRange(handle, position + 8, 18);
+            if (chunkSize < 18 || chunk.length < 18) {
+                return null;
+            }
+
+            const channels = chunk.readUInt16BE(0);
+            const frameCount = chunk.readUInt32BE(2);
+            const sampleRate = Math.round(readExtendedFloat(chunk, 8));
+
+            return {
+                format: 'aiff',
+                codec: 'pcm',
+                duration: roundDuration(frameCount / sampleRate),
+                sampleRate,
+                channels
+            };
+        }
+
+        position += 8 + chunkSize + (chunkSize % 2);
+    }
+
+    return null;
+}
+
+/**
+ * Probe a FLAC stream using its STREAMINFO block
+ */
+function probeFlac(buffer, offset) {
+    // METADATA_BLOCK_HEADER (4 bytes) followed by STREAMINFO
+    const streamInfo = offset + 8;
+    if ((buffer[offset + 4] & 0x7f) !== 0 || streamInfo + 18 > buffer.length) {
+        return { format: 'flac', codec: 'flac', duration: null, sampleRate: null, channels: null };
+    }
+
+    const sampleRate = (buffer[streamInfo + 10] << 12) | (buffer[streamInfo + 11] << 4) | (buffer[streamInfo + 12] >> 4);
+    const channels = ((buffer[streamInfo + 12] >> 1) & 0x07) + 1;
+    const totalSamples = (buffer[streamInfo + 13] & 0x0f) * 0x100000000 + buffer.readUInt32BE(streamInfo + 14);
+
+    return {
+        format: 'flac',
+        codec: 'flac',
+        duration: totalSamples && sampleRate ? roundDuration(totalSamples / sampleRate) : null,
+        sampleRate,
+        channels
+    };
+}
+
+/**
+ * Probe an Ogg Vorbis or Opus stream
+ * @returns {Promise<Object|null>} Stream properties, null if the first page is cut off
+ */
+async function probeOgg(handle, fileSize, header) {
+    if (header.length < 27) {
+        return null;
+    }
+
+    // The first packet starts right after the page header and its segment table
+    const packetStart = 27 + header[26];
+    const packet = header.subarray(packetStart);
+    let info;
+
+    // Both identification headers hold the sample rate at bytes 12 to 15
+    const isVorbis = packet.toString('latin1', 0, 7) === '\x01vorbis';
+    const isOpus = packet.toString('latin1', 0, 8) === 'OpusHead';
+    if ((isVorbis || isOpus) && packet.length < 16) {
+        return null;
+    }
+
+    if (isVorbis) {
+        info = { codec: 'vorbis', channels: packet[11], sampleRate: packet.readUInt32LE(12), granuleRate: packet.readUInt32LE(12), preSkip: 0 };
+    } else if (isOpus) {
+        // Opus granule positions always count 48 kHz samples
+        info = { codec: 'opus', channels: packet[9], sampleRate: packet.readUInt32LE(12) || 48000, granuleRate: 48000, preSkip: packet.readUInt16LE(10) };
+    } else {
+        return { format: 'ogg', codec: null, duration: null, sampleRate: null, channels: null };
+    }
+
+    // The granule position of the last page gives the total number of samples
+    const tailSize = Math.min(fileSize, HEADER_READ_SIZE);
+    const tail = await readRange(handle, fileSize - tailSize, tailSize);
+    const lastPage = tail.lastIndexOf('OggS');
+    let duration = null;
+
+    if (lastPage !== -1 && lastPage + 14 <= tail.length) {
+        const granule = Number(tail.readBigUInt64LE(lastPage + 6));
+        duration = roundDuration((granule - info.preSkip) / info.granuleRate);
+    }
+
+    return {
+        format: 'ogg',
+        codec: info.codec,
+        duration,
+        sampleRate: info.sampleRate,
+        channels: info.channels
+    };
+}
+
+/**
+ * Iterate over the ISO BMFF boxes contained in a buffer
+ */
+function* iterateBoxes(buffer, start = 0, end = buffer.length) {
+    let position = start;
+
+    while (position + 8 <= end) {
+        let size = buffer.readUInt32BE(position);
+        const type = buffer.toString('latin1', position + 4, position + 8);
+        let headerSize = 8;
+
+        if (size === 1 && position + 16 <= end) {
+            size = Number(buffer.readBigUInt64BE(position + 8));
+            headerSize = 16;
+        } else if (size === 0) {
+            size = end - position;
+        }
+
+        if (size < headerSize) {
+            return;
+        }
+
+        yield { type, start: position + headerSize, end: Math.min(position + size, end) };
+        position += size;
+    }
+}
+
+/**
+ * Find a nested box by path, e.g. ['mdia', 'minf', 'stbl']
+ */
+function findBox(buffer, box, boxPath) {
+    let current = box;
+
+    for (const type of boxPath) {
+        let next = null;
+        for (const child of iterateBoxes(buffer, current.start, current.end)) {
+            if (child.type === type) {
+                next = child;
+                break;
+            }
+        }
+        if (!next) {
+            return null;
+        }
+        current = next;
+    }
+
+    return current;
+}
+
+/**
+ * Read duration and timescale from an mvhd or mdhd box
+ * @returns {Object|null} { timescale, duration }, or null if the box is too short for its version
+ */
+function readMediaHeader(buffer, box) {
+    const version = buffer[box.start];
+    // Version 1 headers carry 64-bit times and duration
+    const headerLength = version === 1 ? 32 : 20;
+
+    if (box.end - box.start < headerLength) {
+        return null;
+    }
+
+    if (version === 1) {
+        return {
+            timescale: buffer.readUInt32BE(box.start + 20),
+            duration: Number(buffer.readBigUInt64BE(box.start + 24))
+        };
+    }
+
+    return {
+        timescale: buffer.readUInt32BE(box.start + 12),
+        duration: buffer.readUInt32BE(box.start + 16)
+    };
+}
+
+/**
+ * Probe an MPEG-4 (M4A/M4B/MP4) file by walking its box structure
+ */
+async function probeMp4(handle, fileSize) {
+    // Walk the top-level boxes to find moov, which may sit at the end of the file
+    let position = 0;
+    let moov = null;
+
+    while (position + 8 <= fileSize) {
+        const boxHeader = await readRange(handle, position, 16);
+        let size = boxHeader.readUInt32BE(0);
+        const type = boxHeader.toString('latin1', 4, 8);
+        let headerSize = 8;
+
+        if (size === 1) {
+            size = Number(boxHeader.readBigUInt64BE(8));
+            headerSize = 16;
+        } else if (size === 0) {
+            size = fileSize - position;
+        }
+
+        if (size < headerSize) {
+            break;
+        }
+
+        if (type === 'moov') {
+            if (size > MAX_MOOV_SIZE) {
+                break;
+            }
+            moov = await readRange(handle, position, size);
+            break;
+        }
+
+        position += size;
+    }
+
+    const result = { format: 'mp4', codec: null, duration: null, sampleRate: null, channels: null, hasVideo: false, hasAudio: false };
+
+    if (!moov) {
+        return result;
+    }
+
+    const moovBox = { start: 8, end: moov.length };
+    const mvhd = findBox(moov, moovBox, ['mvhd']);
+    const movieHeader = mvhd ? readMediaHeader(moov, mvhd) : null;
+    if (movieHeader?.timescale) {
+        result.duration = roundDuration(movieHeader.duration / movieHeader.timescale);
+    }
+
+    for (const trak of iterateBoxes(moov, moovBox.start, moovBox.end)) {
+        if (trak.type !== 'trak') {
+            continue;
+        }
+
+        const hdlr = findBox(moov, trak, ['mdia', 'hdlr']);
+        const handlerType = hdlr ? moov.toString('latin1', hdlr.start + 8, hdlr.start + 12) : null;
+
+        if (handlerType === 'vide') {
+            result.hasVideo = true;
+            continue;
+        }
+
+        if (handlerType !== 'soun' || result.hasAudio) {
+            continue;
+        }
+
+        result.hasAudio = true;
+
+        const stsd = findBox(moov, trak, ['mdia', 'minf', 'stbl', 'stsd']);
+        // Full box header (4) and entry count (4) precede the first sample entry
+        const entry = stsd ? stsd.start + 8 : null;
+        if (entry && entry + 36 <= stsd.end) {
+            result.codec = moov.toString('latin1', entry + 4, entry + 8).trim();
+            result.channels = moov.readUInt16BE(entry + 24);
+            result.sampleRate = moov.readUInt32BE(entry + 32) >>> 16;
+        }
+
+        // Fragmented files carry no duration in mvhd, but the track header may
+        if (!result.duration) {
+            const mdhd = findBox(moov, trak, ['mdia', 'mdhd']);
+            const mediaHeader = mdhd ? readMediaHeader(moov, mdhd) : null;
+            if (mediaHeader?.timescale) {
+                result.duration = roundDuration(mediaHeader.duration / mediaHeader.timescale);
+            }
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Probe an ASF (Windows Media Audio) file
+ */
+function probeAsf(buffer) {
+    const filePropertiesIndex = buffer.indexOf(ASF_FILE_PROPERTIES_GUID);
+    let duration = null;
+
+    if (filePropertiesIndex !== -1 && filePropertiesIndex + 88 <= buffer.length) {
+        // Play duration in 100 ns units, preroll in milliseconds
+        const playDuration = Number(buffer.readBigUInt64LE(filePropertiesIndex + 64));
+        const preroll = Number(buffer.readBigUInt64LE(filePropertiesIndex + 80));
+        duration = roundDuration(playDuration / 1e7 - preroll / 1000);
+    }
+
+    return { format: 'wma', codec: 'wma', duration, sampleRate: null, channels: null };
+}
+
+/**
+ * Probe a WebM/Matroska file. Only the container, codec and presence of video are detected;
+ * the stream properties are read again after transcoding.
+ */
+function probeMatroska(header) {
+    // The DocType element sits within the first bytes of the EBML header
+    const isWebm = header.subarray(0, 64).includes('webm');
+    const codecId = Object.keys(MATROSKA_AUDIO_CODECS).find(id => header.includes(id));
+
+    return {
+        format: isWebm ? 'webm' : 'matroska',
+        codec: codecId ? MATROSKA_AUDIO_CODECS[codecId] : null,
+        duration: null,
+        sampleRate: null,
+        channels: null,
+        hasVideo: /V_(VP8|VP9|AV1|MPEG4|MPEGH|THEORA)/.test(header.toString('latin1'))
+    };
+}
+
+/**
+ * Detect the audio format of a file from its content and read basic stream properties
+ * @param {string} filePath - Path of the file to probe
+ * @returns {Promise<Object>} { format, codec, duration, sampleRate, channels, supported }, format is null if unknown
+ *   and supported is false for recognised containers the Tonie cloud does not accept
+ */
+export async function probeAudioFile(filePath) {
+    const handle = await fs.promises.open(filePath, 'r');
+
+    try {
+        const { size: fileSize } = await handle.stat();
+        const header = await readRange(handle, 0, HEADER_READ_SIZE);
+        const magic = header.toString('latin1', 0, 4);
+        let info = null;
+
+        if (magic === 'RIFF' && header.toString('latin1', 8, 12) === 'WAVE') {
+            info = await probeWav(handle, fileSize);
+        } else if (magic === 'FORM' && ['AIFF', 'AIFC'].includes(header.toString('latin1', 8, 12))) {
+            info = await probeAiff(handle, fileSize);
+        } else if (magic === 'OggS') {
+            info = await probeOgg(handle, fileSize, header);
+        } else if (header.toString('latin1', 4, 8) === 'ftyp') {
+            info = await probeMp4(handle, fileSize);
+        } else if (header.subarray(0, 16).equals(ASF_HEADER_GUID)) {
+            info = probeAsf(header);
+        } else if (header.subarray(0, 4).equals(EBML_MAGIC)) {
+            info = probeMatroska(header);
+        } else if (header.toString('latin1', 0, 6) === '#!AMR\n' || header.toString('latin1', 0, 9) === '#!AMR-WB\n') {
+            info = { format: 'amr', codec: header[5] === 0x0a ? 'amr-nb' : 'amr-wb', duration: null, sampleRate: null, channels: 1 };
+        } else {
+            // FLAC, MP3 and ADTS streams may all start with an ID3v2 tag
+            const id3Size = getId3Size(header);
+            const afterTag = id3Size > 0 ? await readRange(handle, id3Size, 4) : header;
+
+            if (afterTag.toString('latin1', 0, 4) === 'fLaC') {
+                info = probeFlac(id3Size > 0 ? await readRange(handle, id3Size, 64) : header, 0);
+            } else {
+                info = await probeMpegAudio(handle, fileSize, header, id3Size);
+            }
+        }
+
+        if (!info) {
+            return { format: null, codec: null, duration: null, sampleRate: null, channels: null, supported: false };
+        }
+
+        // MPEG-4 files with a video track are videos, not M4A audio
+        if (info.format === 'mp4' && info.hasVideo) {
+            info.format = 'video';
+        }
+
+        return { ...info, supported: Boolean(AUDIO_FORMATS[info.format]) };
+    } finally {
+        await handle.close();
+    }
+}
+
+/**
+ * Make a filename's extension match the detected audio format
+ * @param {string} filename - Original filename
+ * @param {Object} audioInfo - Result of probeAudioFile
+ * @returns {string} Filename with an extension accepted for the detected format
+ */
+export function correctExtension(filename, audioInfo) {
+    const format = AUDIO_FORMATS[audioInfo.format];
+    const extension = path.extname(filename).slice(1).toLowerCase();
+
+    if (!format || format.extensions.includes(extension)) {
+        return filename;
+    }
+
+    // Replace a wrong media extension, append to anything else
+    const basename = KNOWN_EXTENSIONS.includes(extension)
+        ? filename.slice(0, -(extension.length + 1))
+        : filename;
+
+    return `${basename}.${format.extensions[0]}`;
+}
@@ -1,27 +1,109 @@
 // utils/auth.js
 // Shared authentication utilities for Tonie API
 
+import crypto from 'crypto';
+import { SCOPES, isApiKey, verifyApiKey } from './api-keys.js';
+import { isSessionToken, verifySession, getSessionCookie } from './sessions.js';
+import { getLockout, recordAuthFailure, recordAuthSuccess } from './rate-limit.js';
+
+// Base URLs of the Tonie cloud, configurable to run against a local stand-in (see mock/tonie-cloud.js)
+const DEFAULT_LOGIN_URL = 'https://login.tonies.com';
+const DEFAULT_API_URL = 'https://api.tonie.cloud/v2';
+const TOKEN_PATH = '/auth/realms/tonies/protocol/openid-connect/token';
+
+// Renew access tokens this long before they actually expire, short-lived tokens at half their lifetime
+const TOKEN_EXPIRY_MARGIN = 60 * 1000; // 60 seconds
+// Lifetime assumed for access tokens issued without expires_in
+const DEFAULT_TOKEN_LIFETIME = 300; // 5 minutes
+
+// Retries of failed Tonie API requests
+const DEFAULT_RETRIES = 3;
+const DEFAULT_TIMEOUT = 30000; // 30 seconds per attempt
+const RETRY_BASE_DELAY = 500;
+const RETRY_MAX_DELAY = 30000; // Longer Retry-After values are not waited for
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+// Name of the account configured with TONIE_EMAIL and TONIE_PASSWORD
+export const DEFAULT_ACCOUNT = 'default';
+const ACCOUNT_NAME_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Access tokens shared by all handlers running in this instance, per account name
+const tokenCaches = new Map();
+const pendingTokenRequests = new Map();
+
 /**
- * Authenticate with the Tonie API using OAuth2 password flow
- * @returns {Object} Authentication result with success status and tokens
+ * Get the configured Tonie cloud accounts.
+ * TONIE_ACCOUNTS holds a JSON array of { name, email, password }; without it TONIE_EMAIL and TONIE_PASSWORD
+ * form the single account "default". The first account is used when a request names none.
+ * @returns {Object[]} Accounts as { name, email, password }
  */
-export async function authenticateWithTonie() {
+export function getTonieAccounts() {
+    if (!process.env.TONIE_ACCOUNTS) {
+        return process.env.TONIE_EMAIL
+            ? [{ name: DEFAULT_ACCOUNT, email: process.env.TONIE_EMAIL, password: process.env.TONIE_PASSWORD }]
+            : [];
+    }
+
+    let accounts;
     try {
-        // Use OpenID Connect endpoint for authentication
-        const tokenUrl = 'https://login.tonies.com/auth/realms/tonies/protocol/openid-connect/token';
+        accounts = JSON.parse(process.env.TONIE_ACCOUNTS);
+    } catch (error) {
+        throw new Error(`TONIE_ACCOUNTS is not valid JSON: ${error.message}`);
+    }
+
+    if (!Array.isArray(accounts)) {
+        throw new Error('TONIE_ACCOUNTS must be a JSON array of { name, email, password }');
+    }
 
-        const response = await fetch(tokenUrl, {
+    const names = new Set();
+    for (const account of accounts) {
+        if (!ACCOUNT_NAME_PATTERN.test(account?.name) || !account.email || !account.password) {
+            throw new Error('Every entry of TONIE_ACCOUNTS needs a name (letters, digits, "-" and "_"), email and password');
+        }
+        if (names.has(account.name)) {
+            throw new Error(`TONIE_ACCOUNTS contains the account "${account.name}" twice`);
+        }
+        names.add(account.name);
+    }
+
+    return accounts.map(({ name, email, password }) => ({ name, email, password }));
+}
+
+/**
+ * Find a configured Tonie account by name
+ * @param {string} [name] - Account name, the first account if omitted
+ * @returns {Object|null} { name, email, password } or null if there is no such account
+ */
+function findTonieAccount(name) {
+    const accounts = getTonieAccounts();
+    return name ? accounts.find(account => account.name === name) || null : accounts[0] || null;
+}
+
+/**
+ * Check whether a request may use an account. Requests naming no account use the first one.
+ * @param {string} [name] - Account name from the request
+ */
+export function hasTonieAccount(name) {
+    return !name || getTonieAccounts().some(account => account.name === name);
+}
+
+/**
+ * Request a token from the Tonie OpenID Connect endpoint
+ * @param {Object} grant - Grant specific form parameters
+ * @returns {Object} Authentication result with success status and tokens
+ */
+async function requestTonieToken(grant) {
+    try {
+        const response = await fetch(`${getBaseUrl('TONIE_LOGIN_URL', DEFAULT_LOGIN_URL)}${TOKEN_PATH}`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/x-www-form-urlencoded',
                 'User-Agent': 'tonie-uploader/1.0',
             },
             body: new URLSearchParams({
-                'grant_type': 'password',
                 'client_id': 'my-tonies',
                 'scope': 'openid',
-                'username': process.env.TONIE_EMAIL,
-                'password': process.env.TONIE_PASSWORD
+                ...grant
             })
         });
 
@@ -53,6 +135,7 @@ export async function authenticateWithTonie() {
             tokenType: responseData.token_type || 'Bearer',
             expiresIn: responseData.expires_in,
             refreshToken: responseData.refresh_token,
+            refreshExpiresIn: responseData.refresh_expires_in,
             userData: responseData
         };
     } catch (error) {
@@ -65,24 +148,405 @@ export async function authenticateWithTonie() {
 }
 
 /**
- * Verify app password
+ * Authenticate with the Tonie API using OAuth2 password flow
+ * @param {Object} [account] - { email, password } of the account, the first configured account by default
+ * @returns {Object} Authentication result with success status and tokens
+ */
+export async function authenticateWithTonie(account = findTonieAccount()) {
+    return requestTonieToken({
+        'grant_type': 'password',
+        'username': account?.email,
+        'password': account?.password
+    });
+}
+
+/**
+ * Renew an access token using the OAuth2 refresh_token grant
+ * @param {string} refreshToken - Refresh token from a previous authentication
+ * @returns {Object} Authentication result with success status and tokens
+ */
+export async function refreshTonieToken(refreshToken) {
+    return requestTonieToken({
+        'grant_type': 'refresh_token',
+        'refresh_token': refreshToken
+    });
+}
+
+/**
+ * Store a successful authentication result in the token cache of an account.
+ * expiresAt already includes the renewal margin.
+ */
+function cacheToken(accountName, auth) {
+    const now = Date.now();
+    const lifetime = (auth.expiresIn > 0 ? auth.expiresIn : DEFAULT_TOKEN_LIFETIME) * 1000;
+
+    const previous = tokenCaches.get(accountName);
+
+    tokenCaches.set(accountName, {
+        sessionToken: auth.sessionToken,
+        // Requests that started with the replaced token can still tell which account it belongs to
+        previousToken: previous?.sessionToken || previous?.previousToken || null,
+        tokenType: auth.tokenType,
+        refreshToken: auth.refreshToken,
+        // Tokens living no longer than the margin are still reused for half their lifetime
+        expiresAt: now + Math.max(lifetime - TOKEN_EXPIRY_MARGIN, lifetime / 2),
+        refreshExpiresAt: auth.refreshExpiresIn ? now + auth.refreshExpiresIn * 1000 : null
+    });
+}
+
+/**
+ * Obtain a fresh token, preferring the refresh_token grant over a new password login
+ */
+async function renewToken(account) {
+    const cached = tokenCaches.get(account.name);
+    const canRefresh = cached?.refreshToken
+        && (!cached.refreshExpiresAt || cached.refreshExpiresAt - TOKEN_EXPIRY_MARGIN > Date.now());
+
+    if (canRefresh) {
+        console.log(`Refreshing Tonie access token of account "${account.name}"...`);
+        const refreshed = await refreshTonieToken(cached.refreshToken);
+
+        if (refreshed.success) {
+            return refreshed;
+        }
+
+        console.warn(`Token refresh failed, falling back to password login: ${refreshed.error}`);
+    }
+
+    console.log(`Logging in to Tonie API with account "${account.name}"...`);
+    return authenticateWithTonie(account);
+}
+
+/**
+ * Get a valid Tonie access token, logging in or refreshing only when needed.
+ * Every account has its own token cache.
+ * @param {Object} options - Token options
+ * @param {string} [options.account] - Name of the Tonie account, the first configured account by default
+ * @returns {Promise<Object>} Authentication result with success status, sessionToken and account name
+ */
+export async function getTonieAccessToken({ account: accountName } = {}) {
+    let account;
+    try {
+        account = findTonieAccount(accountName);
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+
+    if (!account) {
+        return {
+            success: false,
+            error: accountName ? `Unknown Tonie account "${accountName}"` : 'No Tonie account configured'
+        };
+    }
+
+    const tokenCache = tokenCaches.get(account.name);
+    if (tokenCache?.sessionToken && tokenCache.expiresAt > Date.now()) {
+        return {
+            success: true,
+            sessionToken: tokenCache.sessionToken,
+            tokenType: tokenCache.tokenType,
+            expiresIn: Math.floor((tokenCache.expiresAt - Date.now()) / 1000),
+            account: account.name,
+            cached: true
+        };
+    }
+
+    // Share one in-flight login per account between concurrent requests
+    if (!pendingTokenRequests.has(account.name)) {
+        pendingTokenRequests.set(account.name, renewToken(account)
+            .then(auth => {
+                if (auth.success) {
+                    cacheToken(account.name, auth);
+                } else {
+                    tokenCaches.delete(account.name);
+                }
+
+                return auth;
+            })
+            .finally(() => {
+                pendingTokenRequests.delete(account.name);
+            }));
+    }
+
+    const auth = await pendingTokenRequests.get(account.name);
+
+    if (!auth.success) {
+        return auth;
+    }
+
+    return {
+        success: true,
+        sessionToken: auth.sessionToken,
+        tokenType: auth.tokenType,
+        expiresIn: auth.expiresIn,
+        account: account.name,
+        cached: false
+    };
+}
+
+/**
+ * Drop cached access tokens so the next request authenticates again
+ * @param {string} [accessToken] - Only drop this rejected access token; the refresh token of its account is kept,
+ *   so the next request tries the refresh grant before logging in with the password again
+ */
+export function clearTonieTokenCache(accessToken) {
+    for (const [accountName, tokenCache] of tokenCaches) {
+        if (!accessToken) {
+            tokenCaches.delete(accountName);
+        } else if (tokenCache.sessionToken === accessToken) {
+            tokenCaches.set(accountName, { ...tokenCache, sessionToken: null, previousToken: accessToken, expiresAt: 0 });
+        }
+    }
+}
+
+/**
+ * Find the account an access token was issued for, also when it was replaced by a renewed token in the meantime
+ * @returns {string|null} Account name, or null if the token is not known
+ */
+function findTokenAccount(accessToken) {
+    for (const [accountName, tokenCache] of tokenCaches) {
+        if (tokenCache.sessionToken === accessToken || tokenCache.previousToken === accessToken) {
+            return accountName;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Verify app password in constant time
  * @param {string} providedPassword - Password provided by user
  * @returns {boolean} True if password is valid
  */
 export function verifyAppPassword(providedPassword) {
-    return providedPassword && providedPassword === process.env.APP_PASSWORD;
+    const appPassword = process.env.APP_PASSWORD;
+    if (!providedPassword || typeof providedPassword !== 'string' || !appPassword) {
+        return false;
+    }
+
+    // Hashing first gives both sides the same length, so the comparison does not reveal the password length either
+    const expected = crypto.createHash('sha256').update(appPassword).digest();
+    const actual = crypto.createHash('sha256').update(providedPassword).digest();
+    return crypto.timingSafeEqual(expected, actual);
 }
 
 /**
- * Make authenticated request to Tonie API
+ * Get the IP address of the client.
+ * Clients can send any X-Forwarded-For header, so it is only read when TRUST_PROXY gives the number of proxies in front
+ * of the app (1 on Vercel or behind a single reverse proxy). Every proxy appends the address it received the request from,
+ * so the client is the entry that many places from the end; entries further left may be made up by the client.
+ */
+export function getClientIp(req) {
+    const trustedProxies = parseInt(process.env.TRUST_PROXY, 10);
+    const forwardedFor = req.headers['x-forwarded-for'];
+
+    if (trustedProxies > 0 && forwardedFor) {
+        const addresses = forwardedFor.split(',').map(address => address.trim()).filter(Boolean);
+        if (addresses.length > 0) {
+            return addresses[Math.max(0, addresses.length - trustedProxies)];
+        }
+    }
+
+    return req.socket?.remoteAddress || 'unknown';
+}
+
+/**
+ * Read the credential of a request: a session or API key as bearer token; an API key or the app password
+ * in the appPassword field of the body (or multipart fields), the X-App-Password header or the appPassword query parameter;
+ * or the session cookie set by POST /api/auth
+ * @param {Object} [fields] - Parsed body fields, the JSON body by default
+ */
+export function getRequestCredential(req, fields = req.body) {
+    const bearer = (req.headers.authorization || '').match(/^Bearer\s+(\S+)$/i);
+
+    return bearer?.[1] || fields?.appPassword || getRequestAppPassword(req) || getSessionCookie(req) || null;
+}
+
+/**
+ * Check whether a principal may access a Creative-Tonie
+ * @param {Object} principal - Result of authorizeRequest
+ * @param {string} tonieId - "householdId/creativeTonieId"
+ */
+export function canAccessTonie(principal, tonieId) {
+    return !principal.tonies || principal.tonies.includes(tonieId);
+}
+
+/**
+ * Authorize a request credential for a scope.
+ * The app password is the credential of the owner and holds every scope; API keys hold the scopes they were created with,
+ * the admin scope implies all others. Sessions hold the scopes of the credential they were opened with.
+ * @param {string} credential - Result of getRequestCredential
+ * @param {string|string[]} scope - Required scope, or a list of which any one is enough
+ * @param {Object} [options] - Authorization options
+ * @param {string} [options.tonieId] - Creative-Tonie the request targets, checked against the tonie allowlist of the key
+ * @param {string} [options.ip] - Client IP from getClientIp. Clients failing too often are locked out with status 429.
+ * @returns {Promise<Object>} { success, principal: { user, keyId, scopes, tonies, sessionId? } }
+ *   or { success: false, status, error, details, retryAfter? }
+ */
+export async function authorizeRequest(credential, scope, { tonieId, ip = 'unknown' } = {}) {
+    let principal = null;
+    // Password and API key guesses are counted apart, so holding a valid key never clears failed password attempts
+    const kind = isApiKey(credential) ? 'key' : 'password';
+
+    if (isSessionToken(credential)) {
+        // Signed sessions cannot be guessed, so they keep working while password attempts are locked out
+        principal = await verifySession(credential);
+    } else {
+        const lockout = credential ? await getLockout(ip, kind) : null;
+        if (lockout) {
+            return {
+                success: false,
+                status: 429,
+                error: 'Too many failed attempts',
+                details: `Try again in ${lockout.retryAfter} seconds`,
+                retryAfter: lockout.retryAfter
+            };
+        }
+
+        if (verifyAppPassword(credential)) {
+            principal = { user: 'owner', keyId: null, scopes: [...SCOPES], tonies: null };
+        } else {
+            const apiKey = await verifyApiKey(credential);
+            if (apiKey) {
+                principal = { user: apiKey.user, keyId: apiKey.id, scopes: apiKey.scopes, tonies: apiKey.tonies };
+            }
+        }
+    }
+
+    if (!principal) {
+        // Expired sessions are no guesses, browsers keep sending them until they log in again
+        if (credential && !isSessionToken(credential)) {
+            await recordAuthFailure(ip, kind);
+        }
+        return { success: false, status: 401, error: 'Invalid app password' };
+    }
+
+    // Session checks are no guesses, so they leave the counters alone
+    if (!principal.sessionId) {
+        await recordAuthSuccess(ip, kind);
+    }
+
+    const requiredScopes = Array.isArray(scope) ? scope : [scope];
+    if (!principal.scopes.includes('admin') && !requiredScopes.some(required => principal.scopes.includes(required))) {
+        return {
+            success: false,
+            status: 403,
+            error: 'Insufficient permissions',
+            details: `This API key needs the "${requiredScopes.join('" or "')}" scope`
+        };
+    }
+
+    return tonieId ? authorizeTonie(principal, tonieId) : { success: true, principal };
+}
+
+/**
+ * Authorize an authorized principal for a Creative-Tonie, for requests that only learn the tonieId after authorizeRequest
+ * @param {Object} principal - Principal returned by authorizeRequest
+ * @param {string} tonieId - "householdId/creativeTonieId"
+ * @returns {Object} { success, principal } or { success: false, status, error, details } like authorizeRequest
+ */
+export function authorizeTonie(principal, tonieId) {
+    if (!canAccessTonie(principal, tonieId)) {
+        return {
+            success: false,
+            status: 403,
+            error: 'Insufficient permissions',
+            details: `This API key is not allowed to access Creative-Tonie "${tonieId}"`
+        };
+    }
+
+    return { success: true, principal };
+}
+
+/**
+ * Send the failure of authorizeRequest, with a Retry-After header for lockouts
+ */
+export function sendAuthFailure(res, auth) {
+    const { success, status, ...body } = auth;
+
+    if (auth.retryAfter) {
+        res.setHeader('Retry-After', String(auth.retryAfter));
+    }
+    res.status(status).json(body);
+}
+
+/**
+ * Read the app password of a GET request, which has no JSON body.
+ * The X-App-Password header is preferred, the query parameter is for clients like EventSource that cannot set headers.
+ */
+export function getRequestAppPassword(req) {
+    return req.headers['x-app-password'] || req.query?.appPassword;
+}
+
+/**
+ * Parse a Retry-After header, which holds either seconds or an HTTP date
+ * @returns {number|null} Delay in milliseconds
+ */
+function parseRetryAfter(value) {
+    if (!value) {
+        return null;
+    }
+
+    if (/^\d+$/.test(value.trim())) {
+        return Number(value) * 1000;
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Delay before the next attempt: the server's Retry-After if given,
+ * exponential backoff with jitter otherwise
+ */
+function getRetryDelay(attempt, retryAfter) {
+    if (retryAfter !== null) {
+        return retryAfter;
+    }
+
+    const backoff = Math.min(RETRY_MAX_DELAY, RETRY_BASE_DELAY * 2 ** (attempt - 1));
+    return Math.round(backoff / 2 + Math.random() * backoff / 2);
+}
+
+/**
+ * Read a base URL setting from the environment, without trailing slash
+ */
+function getBaseUrl(name, defaultValue) {
+    return (process.env[name] || defaultValue).replace(/\/+$/, '');
+}
+
+/**
+ * Read a non-negative integer setting from the environment
+ */
+function getNumberSetting(name, defaultValue) {
+    const value = parseInt(process.env[name], 10);
+    return Number.isInteger(value) && value >= 0 ? value : defaultValue;
+}
+
+/**
+ * Make authenticated request to Tonie API.
+ * Rate limited (429) and server error (5xx) responses are retried with exponential backoff.
+ * Requests that are not idempotent may already have been applied when the server failed, so they are only retried
+ * when the server says it did not handle them: 429, or 503 with Retry-After. Network errors and timeouts are not retried for them.
+ * A rejected access token (401) is renewed once and repeatable requests are sent again with the new token, which the
+ * response carries as renewedToken so the caller can use it for its next requests.
  * @param {string} endpoint - API endpoint (e.g., '/households')
  * @param {string} accessToken - JWT access token
  * @param {Object} options - Additional fetch options
- * @returns {Promise<Object>} API response
+ * @param {number} [options.retries] - Retries after the first attempt (TONIE_API_RETRIES, 3 by default)
+ * @param {number} [options.timeout] - Timeout per attempt in milliseconds (TONIE_API_TIMEOUT, 30 seconds by default)
+ * @param {boolean} [options.idempotent] - Whether the request may be repeated after any failure, by default true for GET, HEAD, PUT and DELETE
+ * @returns {Promise<Object>} API response; responses after retries list every attempt in attempts
  */
 export async function makeTonieApiRequest(endpoint, accessToken, options = {}) {
-    const baseUrl = 'https://api.tonie.cloud/v2';
-    const url = `${baseUrl}${endpoint}`;
+    const url = `${getBaseUrl('TONIE_API_URL', DEFAULT_API_URL)}${endpoint}`;
+
+    const {
+        retries = getNumberSetting('TONIE_API_RETRIES', DEFAULT_RETRIES),
+        timeout = getNumberSetting('TONIE_API_TIMEOUT', DEFAULT_TIMEOUT),
+        idempotent,
+        ...fetchOptions
+    } = options;
 
     const defaultOptions = {
         method: 'GET',
@@ -91,34 +555,101 @@ export async function makeTonieApiRequest(endpoint, accessToken, options = {}) {
             'Content-Type': 'application/json',
             'User-Agent': 'tonie-uploader/1.0',
         },
-        ...options
+        ...fetchOptions
     };
 
-    try {
-        const response = await fetch(url, defaultOptions);
+    const method = defaultOptions.method.toUpperCase();
+    const repeatable = idempotent ?? IDEMPOTENT_METHODS.includes(method);
+    const attempts = [];
+    let renewedToken = null;
+
+    for (let attempt = 1; ; attempt++) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeout);
+        let responseReceived = false;
+        let failure;
+
+        try {
+            const headers = renewedToken ? { ...defaultOptions.headers, 'Authorization': `Bearer ${renewedToken}` } : defaultOptions.headers;
+            const response = await fetch(url, { ...defaultOptions, headers, signal: controller.signal });
+            responseReceived = true;
+
+            if (response.ok) {
+                const data = await response.json();
+
+                return {
+                    success: true,
+                    data: data,
+                    ...(attempts.length > 0 && { attempts }),
+                    ...(renewedToken && { renewedToken })
+                };
+            }
 
-        if (!response.ok) {
             const errorText = await response.text();
 
-            return {
-                success: false,
+            const retryAfter = parseRetryAfter(response.headers.get('retry-after'));
+            const notHandled = response.status === 429 || (response.status === 503 && retryAfter !== null);
+
+            failure = {
                 error: `HTTP ${response.status}: ${errorText || 'API request failed'}`,
-                status: response.status
+                status: response.status,
+                retryable: notHandled || (repeatable && response.status >= 500 && response.status !== 501),
+                retryAfter
             };
+        } catch (error) {
+            const timedOut = controller.signal.aborted;
+
+            failure = {
+                error: timedOut ? `Timeout: no response within ${timeout}ms` : `Network error: ${error.message}`,
+                // An unreadable success response is not fixed by asking again
+                retryable: repeatable && (timedOut || !responseReceived),
+                retryAfter: null
+            };
+        } finally {
+            clearTimeout(timer);
         }
 
-        const data = await response.json();
+        // A rejected token must not be handed out from the cache again. Repeatable requests are sent once more with a
+        // renewed token, or with the one another request already renewed it with.
+        if (failure.status === 401) {
+            const rejectedToken = renewedToken || accessToken;
+            const accountName = findTokenAccount(rejectedToken);
+            clearTonieTokenCache(rejectedToken);
 
-        return {
-            success: true,
-            data: data
-        };
-    } catch (error) {
+            if (repeatable && !renewedToken && accountName) {
+                const tonieAuth = await getTonieAccessToken({ account: accountName });
+                if (tonieAuth.success) {
+                    renewedToken = tonieAuth.sessionToken;
+                    attempts.push({ attempt, status: failure.status, error: failure.error, retryIn: 0 });
+                    console.warn(`Tonie API ${method} ${endpoint} rejected the access token, retrying with a renewed one`);
+                    continue;
+                }
+            }
+        }
 
-        return {
-            success: false,
-            error: `Network error: ${error.message}`
-        };
+        const delay = failure.retryable && attempt <= retries ? getRetryDelay(attempt, failure.retryAfter) : null;
+        // Waiting longer than a request may take is pointless, the caller gets the error instead
+        const willRetry = delay !== null && delay <= RETRY_MAX_DELAY;
+
+        attempts.push({
+            attempt,
+            status: failure.status ?? null,
+            error: failure.error,
+            ...(willRetry && { retryIn: delay })
+        });
+
+        if (!willRetry) {
+            return {
+                success: false,
+                error: attempts.length > 1 ? `${failure.error} (after ${attempts.length} attempts)` : failure.error,
+                status: failure.status,
+                ...(attempts.length > 1 && { attempts }),
+                ...(renewedToken && { renewedToken })
+            };
+        }
+
+        console.warn(`Tonie API ${method} ${endpoint} failed (${failure.error}), retrying in ${delay}ms (${attempt}/${retries})`);
+        await new Promise(resolve => setTimeout(resolve, delay));
     }
 }
 
@@ -129,5 +660,6 @@ export async function makeTonieApiRequest(endpoint, accessToken, options = {}) {
 export function setCorsHeaders(res) {
     res.setHeader('Access-Control-Allow-Origin', '*');
     res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-App-Password, X-Upload-Id');
+    res.setHeader('Access-Control-Expose-Headers', 'Retry-After');
 }
@@ -0,0 +1,71 @@
+// utils/capacity.js
+// Remaining playtime and chapter checks for Creative-Tonies
+
+// Limits of a Creative-Tonie, used when the API does not report remaining capacity
+const MAX_TONIE_SECONDS = 5400; // 90 minutes
+const MAX_TONIE_CHAPTERS = 99;
+
+/**
+ * Format seconds as whole minutes for error messages
+ */
+function formatMinutes(seconds, round) {
+    return `${round(seconds / 60)} min`;
+}
+
+/**
+ * Read the remaining capacity of a Creative-Tonie
+ * @param {Object} tonie - Creative-Tonie as returned by the Tonie API
+ * @returns {Object} { secondsRemaining, chaptersRemaining }
+ */
+export function getCapacity(tonie) {
+    const chapters = tonie.chapters || [];
+    const secondsPresent = tonie.secondsPresent
+        ?? chapters.reduce((total, chapter) => total + (chapter.seconds || 0), 0);
+    const chaptersPresent = tonie.chaptersPresent ?? chapters.length;
+
+    return {
+        secondsRemaining: Math.max(0, tonie.secondsRemaining ?? MAX_TONIE_SECONDS - secondsPresent),
+        chaptersRemaining: Math.max(0, tonie.chaptersRemaining ?? MAX_TONIE_CHAPTERS - chaptersPresent)
+    };
+}
+
+/**
+ * Check whether new content fits into the remaining capacity
+ * @param {Object} capacity - Result of getCapacity
+ * @param {Object} content - Incoming content
+ * @param {number} content.seconds - Total duration in seconds (0 if unknown)
+ * @param {number} content.chapters - Number of chapters to add
+ * @returns {Object} { fits, secondsNeeded, secondsRemaining, chaptersNeeded, chaptersRemaining, error }
+ */
+export function checkCapacity(capacity, { seconds = 0, chapters = 1 } = {}) {
+    const result = {
+        fits: true,
+        secondsNeeded: Math.ceil(seconds),
+        secondsRemaining: capacity.secondsRemaining,
+        chaptersNeeded: chapters,
+        chaptersRemaining: capacity.chaptersRemaining
+    };
+
+    if (chapters > capacity.chaptersRemaining) {
+        result.fits = false;
+        result.error = `Content needs ${chapters} chapter${chapters === 1 ? '' : 's'}, `
+            + `${capacity.chaptersRemaining} chapter${capacity.chaptersRemaining === 1 ? '' : 's'} free`;
+    } else if (seconds > capacity.secondsRemaining) {
+        result.fits = false;
+        result.error = `Content needs ${formatMinutes(seconds, Math.ceil)}, `
+            + `${formatMinutes(capacity.secondsRemaining, Math.floor)} free`;
+    }
+
+    return result;
+}
+
+/**
+ * Subtract content that is about to be added from the remaining capacity
+ * @returns {Object} New capacity object
+ */
+export function reserveCapacity(capacity, { seconds = 0, chapters = 1 } = {}) {
+    return {
+        secondsRemaining: Math.max(0, capacity.secondsRemaining - seconds),
+        chaptersRemaining: Math.max(0, capacity.chaptersRemaining - chapters)
+    };
+}
@@ -0,0 +1,258 @@
+// utils/download.js
+// Download of remote files to disk with size, timeout, redirect and address checks
+
+import fs from 'fs';
+import http from 'http';
+import https from 'https';
+import dns from 'dns';
+import net from 'net';
+import path from 'path';
+
+const DEFAULT_TIMEOUT = 60000; // 60 seconds
+const DEFAULT_MAX_REDIRECTS = 5;
+
+// Loopback, private, link-local and other non-public address ranges
+const PRIVATE_RANGES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+    ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Create an error carrying the HTTP status the handlers should answer with
+ */
+function downloadError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * Check whether private network downloads are allowed (ALLOW_PRIVATE_URLS=true, e.g. for a local NAS)
+ */
+function privateAddressesAllowed() {
+    return process.env.ALLOW_PRIVATE_URLS === 'true';
+}
+
+/**
+ * Check whether an IP address belongs to a loopback, private or otherwise non-public range
+ * @param {string} address - IPv4 or IPv6 address
+ */
+export function isPrivateAddress(address) {
+    const family = net.isIP(address);
+
+    if (family === 4) {
+        return PRIVATE_RANGES.check(address, 'ipv4');
+    }
+
+    if (family === 6) {
+        // IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked as IPv4
+        const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+        return mapped ? PRIVATE_RANGES.check(mapped[1], 'ipv4') : PRIVATE_RANGES.check(address, 'ipv6');
+    }
+
+    return true;
+}
+
+/**
+ * DNS lookup that refuses hostnames resolving to private addresses.
+ * Used as the lookup of every request, so the checked address is the one connected to.
+ */
+function publicOnlyLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) {
+            callback(error);
+            return;
+        }
+
+        const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+        if (blocked && !privateAddressesAllowed()) {
+            callback(downloadError(`Downloads from private or local addresses are not allowed (${hostname} resolves to ${blocked.address})`, 400));
+            return;
+        }
+
+        if (options.all) {
+            callback(null, addresses);
+        } else {
+            callback(null, addresses[0].address, addresses[0].family);
+        }
+    });
+}
+
+/**
+ * Validate a download URL before requesting it
+ * @returns {URL} Parsed URL
+ */
+export function validateDownloadUrl(url) {
+    let parsedUrl;
+    try {
+        parsedUrl = new URL(url);
+    } catch (error) {
+        throw downloadError('Invalid URL format', 400);
+    }
+
+    if (parsedUrl.protocol !== 'http:' && parsedUrl.protocol !== 'https:') {
+        throw downloadError(`Unsupported protocol "${parsedUrl.protocol}". Only http and https URLs are allowed`, 400);
+    }
+
+    // IP literals are connected to directly without a DNS lookup
+    const hostname = parsedUrl.hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(hostname) && isPrivateAddress(hostname) && !privateAddressesAllowed()) {
+        throw downloadError(`Downloads from private or local addresses are not allowed (${hostname})`, 400);
+    }
+
+    return parsedUrl;
+}
+
+/**
+ * Read the filename from a Content-Disposition header or the URL path
+ */
+function getResponseFilename(response, url) {
+    const disposition = response.headers['content-disposition'] || '';
+    const encodedMatch = disposition.match(/\bfilename\*=(?:UTF-8'')?([^;]+)/i);
+    const plainMatch = disposition.match(/\bfilename="?([^";]+)"?/i);
+
+    let filename = null;
+    try {
+        if (encodedMatch) {
+            filename = decodeURIComponent(encodedMatch[1].trim());
+        } else if (plainMatch) {
+            filename = plainMatch[1].trim();
+        } else {
+            filename = decodeURIComponent(path.posix.basename(url.pathname));
+        }
+    } catch (error) {
+        filename = path.posix.basename(url.pathname);
+    }
+
+    return path.basename(filename || '') || 'download';
+}
+
+/**
+ * Send a single GET request and resolve with the response
+ */
+function requestOnce(url, signal) {
+    const transport = url.protocol === 'http:' ? http : https;
+
+    return new Promise((resolve, reject) => {
+        const request = transport.get(url, {
+            lookup: publicOnlyLookup,
+            signal,
+            headers: {
+                'User-Agent': 'tonie-uploader',
+                'Accept': 'audio/*, application/octet-stream;q=0.9, */*;q=0.5'
+            }
+        }, resolve);
+
+        request.on('error', reject);
+    });
+}
+
+/**
+ * Download a remote file to disk, following redirects.
+ * Every hop is checked against private addresses and the file is streamed, never buffered.
+ * @param {string} url - http or https URL
+ * @param {string} filePath - Destination path
+ * @param {Object} options - Download options
+ * @param {number} options.maxFileSize - Maximum size in bytes
+ * @param {number} options.timeout - Timeout for the whole download in milliseconds
+ * @param {number} options.maxRedirects - Maximum number of redirects to follow
+ * @param {Function} options.acceptContentType - Called with the Content-Type, returning false aborts the download
+ * @returns {Promise<Object>} { size, contentType, filename, url } where url is the final URL after redirects.
+ *   Errors carry the HTTP status to answer with in error.status.
+ */
+export async function downloadFile(url, filePath, {
+    maxFileSize = Infinity,
+    timeout = DEFAULT_TIMEOUT,
+    maxRedirects = DEFAULT_MAX_REDIRECTS,
+    acceptContentType = () => true
+} = {}) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+
+    try {
+        let currentUrl = validateDownloadUrl(url);
+        let response;
+
+        for (let redirects = 0; ; redirects++) {
+            response = await requestOnce(currentUrl, controller.signal);
+
+            if (response.statusCode < 300 || response.statusCode >= 400 || !response.headers.location) {
+                break;
+            }
+
+            response.resume();
+
+            if (redirects >= maxRedirects) {
+                throw downloadError(`Too many redirects (more than ${maxRedirects})`, 400);
+            }
+
+            currentUrl = validateDownloadUrl(new URL(response.headers.location, currentUrl).href);
+            console.log(`Following redirect to: ${currentUrl.origin}${currentUrl.pathname}`);
+        }
+
+        if (response.statusCode < 200 || response.statusCode >= 300) {
+            response.resume();
+            throw downloadError(`Remote server answered with HTTP ${response.statusCode}`, response.statusCode === 404 ? 404 : 502);
+        }
+
+        const contentType = (response.headers['content-type'] || 'application/octet-stream').split(';')[0].trim().toLowerCase();
+        if (!acceptContentType(contentType)) {
+            response.resume();
+            throw downloadError(`URL does not point to an audio file (Content-Type: ${contentType})`, 415);
+        }
+
+        const contentLength = parseInt(response.headers['content-length'], 10);
+        if (contentLength > maxFileSize) {
+            response.resume();
+            throw downloadError(`File size (${Math.round(contentLength / 1024 / 1024)}MB) exceeds maximum allowed size of ${Math.round(maxFileSize / 1024 / 1024)}MB`, 413);
+        }
+
+        const size = await new Promise((resolve, reject) => {
+            const writeStream = fs.createWriteStream(filePath);
+            let downloadedBytes = 0;
+
+            response.on('data', (chunk) => {
+                downloadedBytes += chunk.length;
+
+                if (downloadedBytes > maxFileSize) {
+                    response.destroy();
+                    writeStream.destroy();
+                    reject(downloadError(`Download aborted: File size exceeds ${Math.round(maxFileSize / 1024 / 1024)}MB limit`, 413));
+                }
+            });
+
+            response.on('error', (error) => {
+                writeStream.destroy();
+                reject(error);
+            });
+
+            writeStream.on('error', (error) => {
+                response.destroy();
+                reject(new Error(`File write error: ${error.message}`));
+            });
+
+            writeStream.on('finish', () => resolve(downloadedBytes));
+
+            response.pipe(writeStream);
+        });
+
+        return {
+            size,
+            contentType,
+            filename: getResponseFilename(response, currentUrl),
+            url: currentUrl.href
+        };
+    } catch (error) {
+        if (controller.signal.aborted) {
+            throw downloadError(`Download timeout after ${Math.round(timeout / 1000)} seconds`, 504);
+        }
+        throw error;
+    } finally {
+        clearTimeout(timer);
+    }
+}
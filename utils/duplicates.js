@@ -0,0 +1,345 @@
+// utils/duplicates.js
+// Duplicate detection: fingerprints of uploaded content, kept per Creative-Tonie in a pluggable store
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { toChapterPayload } from './tonie-client.js';
+
+const DEFAULT_FINGERPRINTS_DIR = '/tmp/tonie-uploader-fingerprints';
+const RESERVATION_MAX_AGE = 60 * 60 * 1000; // Reservations of crashed uploads are given up after an hour
+
+// What to do when the content is already a chapter of the Creative-Tonie, and what is reported as decision
+const DUPLICATE_DECISIONS = {
+    refuse: 'refused',
+    skip: 'skipped',
+    replace: 'replaced',
+    allow: 'allowed'
+};
+
+export const DUPLICATE_ACTIONS = Object.keys(DUPLICATE_DECISIONS);
+
+/**
+ * Parse the onDuplicate option of a request. Duplicates are allowed by default, as before duplicate detection existed.
+ * @returns {string} One of DUPLICATE_ACTIONS
+ */
+export function parseDuplicateAction(value) {
+    if (value === undefined || value === null || value === '') {
+        return 'allow';
+    }
+
+    if (!DUPLICATE_ACTIONS.includes(value)) {
+        throw new Error(`onDuplicate must be one of: ${DUPLICATE_ACTIONS.join(', ')}`);
+    }
+
+    return value;
+}
+
+/**
+ * Fingerprint a file by its content
+ * @returns {Promise<string>} "sha256:<hex>"
+ */
+export function fingerprintFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+
+        fs.createReadStream(filePath)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(`sha256:${hash.digest('hex')}`))
+            .on('error', reject);
+    });
+}
+
+/**
+ * Fingerprint a YouTube video, or the part of it between start and end (in seconds)
+ * @returns {string} "youtube:<videoId>" or "youtube:<videoId>@<start>-<end>"
+ */
+export function fingerprintYouTube(videoId, { start = null, end = null } = {}) {
+    if (start === null && end === null) {
+        return `youtube:${videoId}`;
+    }
+
+    return `youtube:${videoId}@${start ?? 0}-${end ?? ''}`;
+}
+
+/**
+ * Keeps the fingerprint index of every Creative-Tonie as one JSON file.
+ * Reservations are files created exclusively, so only one instance sharing the directory gets each.
+ */
+export class FileFingerprintStore {
+    constructor(directory = DEFAULT_FINGERPRINTS_DIR) {
+        this.directory = directory;
+    }
+
+    indexPath(tonieId) {
+        // tonieIds contain a slash, so the file is named after their hash
+        return path.join(this.directory, `${crypto.createHash('sha256').update(tonieId).digest('hex')}.json`);
+    }
+
+    reservationPath(tonieId, fingerprint) {
+        return path.join(this.directory, `${crypto.createHash('sha256').update(`${tonieId}\n${fingerprint}`).digest('hex')}.reserved`);
+    }
+
+    async reserve(tonieId, fingerprint) {
+        const reservationPath = this.reservationPath(tonieId, fingerprint);
+        await fs.promises.mkdir(this.directory, { recursive: true });
+
+        try {
+            await fs.promises.writeFile(reservationPath, new Date().toISOString(), { flag: 'wx' });
+            return true;
+        } catch (error) {
+            if (error.code !== 'EEXIST') {
+                throw error;
+            }
+        }
+
+        // Left behind by an upload that crashed: take it over
+        try {
+            const { mtimeMs } = await fs.promises.stat(reservationPath);
+            if (Date.now() - mtimeMs <= RESERVATION_MAX_AGE) {
+                return false;
+            }
+            await fs.promises.unlink(reservationPath);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+
+        return this.reserve(tonieId, fingerprint);
+    }
+
+    async release(tonieId, fingerprint) {
+        await fs.promises.unlink(this.reservationPath(tonieId, fingerprint)).catch(error => {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        });
+    }
+
+    async get(tonieId) {
+        try {
+            return JSON.parse(await fs.promises.readFile(this.indexPath(tonieId), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return {};
+            }
+            throw error;
+        }
+    }
+
+    async set(tonieId, index) {
+        // Write to a temporary file first so readers never see a half written index
+        const indexPath = this.indexPath(tonieId);
+        const tempPath = `${indexPath}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+
+        await fs.promises.mkdir(this.directory, { recursive: true });
+        await fs.promises.writeFile(tempPath, JSON.stringify(index));
+        await fs.promises.rename(tempPath, indexPath);
+    }
+}
+
+/**
+ * Keeps the fingerprint indexes in memory, for single instance setups where /tmp is not writable
+ */
+export class MemoryFingerprintStore {
+    constructor() {
+        this.indexes = new Map();
+        this.reservations = new Set();
+    }
+
+    async get(tonieId) {
+        return { ...this.indexes.get(tonieId) };
+    }
+
+    async set(tonieId, index) {
+        this.indexes.set(tonieId, { ...index });
+    }
+
+    async reserve(tonieId, fingerprint) {
+        const key = `${tonieId}\n${fingerprint}`;
+        if (this.reservations.has(key)) {
+            return false;
+        }
+
+        this.reservations.add(key);
+        return true;
+    }
+
+    async release(tonieId, fingerprint) {
+        this.reservations.delete(`${tonieId}\n${fingerprint}`);
+    }
+}
+
+let fingerprintStore = null;
+
+/**
+ * Get the fingerprint store selected by FINGERPRINT_STORE ("file" by default, or "memory")
+ */
+export function getFingerprintStore() {
+    if (!fingerprintStore) {
+        fingerprintStore = process.env.FINGERPRINT_STORE === 'memory'
+            ? new MemoryFingerprintStore()
+            : new FileFingerprintStore(process.env.FINGERPRINTS_DIR || DEFAULT_FINGERPRINTS_DIR);
+    }
+
+    return fingerprintStore;
+}
+
+/**
+ * Replace the fingerprint store, e.g. with one backed by a database.
+ * A store implements get(tonieId), returning { [fingerprint]: { fileId, title, createdAt } }, set(tonieId, index),
+ * and reserve(tonieId, fingerprint), which atomically returns true for only one caller until release(tonieId, fingerprint).
+ */
+export function setFingerprintStore(store) {
+    fingerprintStore = store;
+}
+
+/**
+ * Create the duplicate check for the uploads of one request to a Creative-Tonie.
+ * It follows the chapter list from upload to upload, so a file sent twice in one batch is caught as well.
+ * Unless duplicates are allowed, content that passes the check is reserved until its upload is finished,
+ * so a concurrent request with the same content is refused instead of passing the check too.
+ * @param {Object} options
+ * @param {TonieClient} options.client - Client of the Tonie account the Creative-Tonie belongs to
+ * @param {Object[]} options.chapters - Current chapters of the Creative-Tonie
+ * @param {string} options.onDuplicate - One of DUPLICATE_ACTIONS
+ * @returns {Object} { check(fingerprint), finish(fingerprint, duplicate, upload), release() }.
+ *   release() gives up the reservations of content that was checked but not uploaded, call it once the request is done.
+ */
+export function createDuplicateCheck({ client, householdId, creativeTonieId, chapters = [], onDuplicate = 'allow' }) {
+    const tonieId = `${householdId}/${creativeTonieId}`;
+    const store = getFingerprintStore();
+    const reserved = new Set();
+    let currentChapters = chapters;
+
+    const releaseFingerprint = async (fingerprint) => {
+        if (!reserved.delete(fingerprint)) {
+            return;
+        }
+
+        try {
+            await store.release(tonieId, fingerprint);
+        } catch (error) {
+            console.error(`Failed to release fingerprint for ${tonieId}: ${error.message}`);
+        }
+    };
+
+    /**
+     * Look for a chapter with the same content, and reserve the content if it is going to be uploaded
+     * @returns {Promise<Object|null>} { decision, chapterId, title } of the chapter already there,
+     *   { decision: "refused", inProgress: true } while another request uploads the same content, or null
+     */
+    const check = async (fingerprint) => {
+        if (onDuplicate !== 'allow' && !reserved.has(fingerprint)) {
+            if (!(await store.reserve(tonieId, fingerprint))) {
+                console.log(`Content ${fingerprint} is being uploaded to Creative-Tonie ${tonieId} by another request, decision: refused`);
+                return { decision: 'refused', chapterId: null, title: null, inProgress: true };
+            }
+            reserved.add(fingerprint);
+        }
+
+        const entry = (await store.get(tonieId))[fingerprint];
+        const chapter = entry && currentChapters.find(existing => existing.file === entry.fileId);
+
+        if (!chapter) {
+            return null;
+        }
+
+        // Refused and skipped content is not uploaded
+        if (onDuplicate === 'refuse' || onDuplicate === 'skip') {
+            await releaseFingerprint(fingerprint);
+        }
+
+        console.log(`"${chapter.title}" is already on Creative-Tonie ${tonieId} (${fingerprint}), decision: ${DUPLICATE_DECISIONS[onDuplicate]}`);
+        return { decision: DUPLICATE_DECISIONS[onDuplicate], chapterId: chapter.id, title: chapter.title };
+    };
+
+    /**
+     * Remember the fingerprint of a successful upload and give up its reservation;
+     * replacing uploads take the place of the chapter they replace
+     * @param {Object|null} duplicate - Result of check
+     * @param {Object} upload - Result of TonieClient.uploadChapter
+     * @returns {Promise<Object>} The upload with the duplicate decision and the latest chapter data
+     */
+    const finish = async (fingerprint, duplicate, upload) => {
+        try {
+            return await recordUpload(fingerprint, duplicate, upload);
+        } finally {
+            await releaseFingerprint(fingerprint);
+        }
+    };
+
+    const recordUpload = async (fingerprint, duplicate, upload) => {
+        if (!upload.success) {
+            return duplicate ? { ...upload, duplicate } : upload;
+        }
+
+        let result = { ...upload, ...(duplicate && { duplicate }) };
+        currentChapters = upload.chapterData?.chapters || currentChapters;
+
+        if (duplicate?.decision === 'replaced') {
+            const newChapter = currentChapters.find(chapter => chapter.file === upload.fileId);
+            const chapters = currentChapters
+                .filter(chapter => chapter !== newChapter)
+                .map(chapter => (chapter.id === duplicate.chapterId ? newChapter : chapter))
+                .filter(Boolean);
+
+            console.log(`Replacing chapter "${duplicate.title}" on Creative-Tonie ${tonieId}`);
+            const patchResult = await client.updateChapters(householdId, creativeTonieId, chapters.map(toChapterPayload));
+
+            if (patchResult.success) {
+                currentChapters = patchResult.data?.chapters || chapters;
+                result.chapterData = patchResult.data || { ...upload.chapterData, chapters };
+            } else {
+                // The new chapter was added anyway, only the old one is still there
+                console.error(`Failed to replace chapter "${duplicate.title}": ${patchResult.error}`);
+                result = { ...result, duplicate: { ...duplicate, decision: 'allowed', error: `Failed to remove the replaced chapter: ${patchResult.error}` } };
+            }
+        }
+
+        try {
+            // Fingerprints of chapters that are gone are dropped, so the index never outgrows the Creative-Tonie
+            const fileIds = new Set(currentChapters.map(chapter => chapter.file));
+            const index = Object.fromEntries(Object.entries(await store.get(tonieId)).filter(([, entry]) => fileIds.has(entry.fileId)));
+            const title = currentChapters.find(chapter => chapter.file === upload.fileId)?.title || null;
+            index[fingerprint] = { fileId: upload.fileId, title, createdAt: new Date().toISOString() };
+            await store.set(tonieId, index);
+        } catch (error) {
+            console.error(`Failed to store fingerprint for ${tonieId}: ${error.message}`);
+        }
+
+        return result;
+    };
+
+    const release = async () => {
+        await Promise.all([...reserved].map(releaseFingerprint));
+    };
+
+    return { check, finish, release };
+}
+
+/**
+ * Result of an upload that does not go ahead because its content is already on the Creative-Tonie
+ * @param {Object|null} duplicate - Result of check
+ * @returns {Object|null} Refused or skipped result, null if the upload goes ahead
+ */
+export function getDuplicateOutcome(duplicate) {
+    if (duplicate?.decision === 'refused') {
+        return {
+            success: false,
+            status: 409,
+            error: 'Duplicate chapter',
+            details: duplicate.inProgress
+                ? 'The same content is being uploaded to the Creative-Tonie by another request right now. Try again once it is done'
+                : `The same content is already chapter "${duplicate.title}" of the Creative-Tonie. Use onDuplicate "skip", "replace" or "allow" to upload anyway`,
+            duplicate
+        };
+    }
+
+    if (duplicate?.decision === 'skipped') {
+        return { success: true, skipped: true, duplicate };
+    }
+
+    return null;
+}
@@ -0,0 +1,62 @@
+// utils/env.js
+// Reads settings from a .env file when running outside of Vercel
+
+import fs from 'fs';
+
+/**
+ * Parse the value of a .env line, removing quotes and trailing comments
+ */
+function parseValue(rawValue) {
+    const value = rawValue.trim();
+    const quote = value[0];
+
+    if ((quote === '"' || quote === "'") && value.indexOf(quote, 1) > 0) {
+        const quoted = value.slice(1, value.indexOf(quote, 1));
+        return quote === '"' ? quoted.replace(/\\n/g, '\n') : quoted;
+    }
+
+    return value.replace(/\s+#.*$/, '');
+}
+
+/**
+ * Parse the content of a .env file
+ * @returns {Object} Settings by name
+ */
+export function parseEnv(content) {
+    const settings = {};
+
+    for (const line of content.split(/\r?\n/)) {
+        const match = line.match(/^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=(.*)$/);
+        if (match) {
+            settings[match[1]] = parseValue(match[2]);
+        }
+    }
+
+    return settings;
+}
+
+/**
+ * Load a .env file into process.env. Variables that are already set win over the file.
+ * @returns {string[]} Names of the variables taken from the file, empty if the file does not exist
+ */
+export function loadEnvFile(filePath) {
+    let content;
+    try {
+        content = fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return [];
+        }
+        throw error;
+    }
+
+    const loaded = [];
+    for (const [name, value] of Object.entries(parseEnv(content))) {
+        if (process.env[name] === undefined) {
+            process.env[name] = value;
+            loaded.push(name);
+        }
+    }
+
+    return loaded;
+}
@@ -0,0 +1,174 @@
+// utils/feed.js
+// Minimal RSS 2.0 / Atom parser for podcast feeds
+
+const XML_ENTITIES = {
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: '\''
+};
+
+/**
+ * Decode XML entities and CDATA sections of a text node
+ */
+function decodeText(text) {
+    if (!text) {
+        return '';
+    }
+
+    return text
+        .replace(/<!\[CDATA\[([\s\S]*?)\]\]>|&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, cdata, entity) => {
+            if (cdata !== undefined) {
+                return cdata;
+            }
+            if (entity[0] === '#') {
+                const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+                return String.fromCodePoint(code);
+            }
+            return XML_ENTITIES[entity.toLowerCase()] ?? match;
+        })
+        .trim();
+}
+
+/**
+ * Escape a tag name for use in a regular expression (tags may contain a namespace prefix)
+ */
+function escapeTag(tag) {
+    return tag.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Get the text content of the first matching child element
+ */
+function getElementText(xml, tag) {
+    const match = xml.match(new RegExp(`<${escapeTag(tag)}(?:\\s[^>]*)?>([\\s\\S]*?)</${escapeTag(tag)}>`, 'i'));
+    return match ? decodeText(match[1]) : '';
+}
+
+/**
+ * Get the attributes of every matching (usually self-closing) element
+ */
+function getElementAttributes(xml, tag) {
+    const elements = xml.match(new RegExp(`<${escapeTag(tag)}(?:\\s[^>]*)?/?>`, 'gi')) || [];
+
+    return elements.map(element => {
+        const attributes = {};
+        for (const [, name, doubleQuoted, singleQuoted] of element.matchAll(/([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+            attributes[name.toLowerCase()] = decodeText(doubleQuoted ?? singleQuoted);
+        }
+        return attributes;
+    });
+}
+
+/**
+ * Get every element with the given tag, without the surrounding feed
+ */
+function getElements(xml, tag) {
+    return xml.match(new RegExp(`<${escapeTag(tag)}(?:\\s[^>]*)?>[\\s\\S]*?</${escapeTag(tag)}>`, 'gi')) || [];
+}
+
+/**
+ * Parse an itunes:duration value (seconds, mm:ss or hh:mm:ss)
+ * @returns {number|null} Duration in seconds
+ */
+function parseDuration(text) {
+    if (!text) {
+        return null;
+    }
+
+    if (/^\d+(\.\d+)?$/.test(text)) {
+        return Math.round(Number(text));
+    }
+
+    if (/^\d+(:\d{1,2}){1,2}$/.test(text)) {
+        return text.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+    }
+
+    return null;
+}
+
+/**
+ * Parse a feed date (RFC 822 in RSS, ISO 8601 in Atom)
+ * @returns {string|null} ISO date string
+ */
+function parseDate(text) {
+    const date = new Date(text);
+    return text && !Number.isNaN(date.getTime()) ? date.toISOString() : null;
+}
+
+/**
+ * Parse an RSS <item> into an episode
+ */
+function parseRssItem(item) {
+    const enclosure = getElementAttributes(item, 'enclosure').find(attributes => attributes.url) || {};
+    const url = enclosure.url || null;
+
+    return {
+        guid: getElementText(item, 'guid') || url,
+        title: getElementText(item, 'title') || getElementText(item, 'itunes:title'),
+        published: parseDate(getElementText(item, 'pubDate')),
+        duration: parseDuration(getElementText(item, 'itunes:duration')),
+        url,
+        type: enclosure.type || null,
+        size: parseInt(enclosure.length, 10) || null
+    };
+}
+
+/**
+ * Parse an Atom <entry> into an episode
+ */
+function parseAtomEntry(entry) {
+    const enclosure = getElementAttributes(entry, 'link').find(attributes => attributes.rel === 'enclosure' && attributes.href) || {};
+    const url = enclosure.href || null;
+
+    return {
+        guid: getElementText(entry, 'id') || url,
+        title: getElementText(entry, 'title'),
+        published: parseDate(getElementText(entry, 'published') || getElementText(entry, 'updated')),
+        duration: parseDuration(getElementText(entry, 'itunes:duration')),
+        url,
+        type: enclosure.type || null,
+        size: parseInt(enclosure.length, 10) || null
+    };
+}
+
+/**
+ * Parse a podcast feed
+ * @param {string} xml - RSS 2.0 or Atom document
+ * @returns {Object} { format, title, author, episodes } where episodes are
+ *   { guid, title, published, duration, url, type, size } sorted newest first
+ */
+export function parseFeed(xml) {
+    const isAtom = /<feed[\s>]/i.test(xml) && !/<rss[\s>]/i.test(xml);
+
+    if (!isAtom && !/<rss[\s>]|<channel[\s>]/i.test(xml)) {
+        throw new Error('Document is neither an RSS nor an Atom feed');
+    }
+
+    // Feed level fields are read from the part before the first episode
+    const firstEpisode = xml.search(isAtom ? /<entry[\s>]/i : /<item[\s>]/i);
+    const header = firstEpisode === -1 ? xml : xml.slice(0, firstEpisode);
+
+    const episodes = isAtom
+        ? getElements(xml, 'entry').map(parseAtomEntry)
+        : getElements(xml, 'item').map(parseRssItem);
+
+    // Keep the feed order for episodes without a date, but put dated episodes newest first
+    const sortedEpisodes = episodes
+        .map((episode, index) => ({ episode, index }))
+        .sort((a, b) => {
+            if (a.episode.published && b.episode.published && a.episode.published !== b.episode.published) {
+                return a.episode.published < b.episode.published ? 1 : -1;
+            }
+            return a.index - b.index;
+        })
+        .map(({ episode }) => episode);
+
+    return {
+        format: isAtom ? 'atom' : 'rss',
+        title: getElementText(header, 'title'),
+        author: getElementText(header, 'itunes:author') || getElementText(getElementText(header, 'author'), 'name') || getElementText(header, 'author'),
+        episodes: sortedEpisodes
+    };
+}
@@ -0,0 +1,356 @@
+// utils/history.js
+// Upload history and audit log: every upload attempt and chapter change, kept in a pluggable store
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import readline from 'readline';
+
+const DEFAULT_HISTORY_FILE = '/tmp/tonie-uploader-history.jsonl';
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024; // The history file is rotated at 10 MB
+const MAX_MEMORY_ENTRIES = 10000;
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+const MAX_OFFSET = 10000;
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Keeps the history as a JSON-lines file, one entry per line, appended to and never rewritten.
+ * Once the file would outgrow maxBytes it is moved aside to "<file>.1", replacing the previous one,
+ * so the history holds between maxBytes and twice as much. Appends run one after another, so two of them
+ * never both rotate a full file; the file therefore belongs to a single process.
+ */
+export class FileHistoryStore {
+    constructor(filePath = DEFAULT_HISTORY_FILE, { maxBytes = DEFAULT_MAX_BYTES } = {}) {
+        this.filePath = filePath;
+        this.rotatedPath = `${filePath}.1`;
+        this.maxBytes = maxBytes;
+        this.pending = Promise.resolve();
+    }
+
+    append(entries) {
+        const lines = entries.map(entry => `${JSON.stringify(entry)}\n`).join('');
+
+        const appended = this.pending.then(() => this.write(lines));
+        // A failed append must not hold up the ones queued after it
+        this.pending = appended.catch(() => {});
+        return appended;
+    }
+
+    async write(lines) {
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        await this.rotate(Buffer.byteLength(lines));
+        await fs.promises.appendFile(this.filePath, lines);
+    }
+
+    async rotate(bytesToAppend) {
+        let size;
+        try {
+            ({ size } = await fs.promises.stat(this.filePath));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return;
+            }
+            throw error;
+        }
+
+        if (size === 0 || size + bytesToAppend <= this.maxBytes) {
+            return;
+        }
+
+        await fs.promises.rename(this.filePath, this.rotatedPath);
+    }
+
+    /**
+     * Read the entries oldest first, line by line, so the files are never loaded as a whole
+     */
+    async *read() {
+        for (const filePath of [this.rotatedPath, this.filePath]) {
+            let input;
+            try {
+                input = (await fs.promises.open(filePath)).createReadStream({ encoding: 'utf8' });
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    continue;
+                }
+                throw error;
+            }
+
+            try {
+                for await (const line of readline.createInterface({ input, crlfDelay: Infinity })) {
+                    if (!line.trim()) {
+                        continue;
+                    }
+
+                    let entry;
+                    try {
+                        entry = JSON.parse(line);
+                    } catch (error) {
+                        // A line cut off by a crash while appending, the entries around it are still fine
+                        continue;
+                    }
+
+                    yield entry;
+                }
+            } finally {
+                input.destroy();
+            }
+        }
+    }
+}
+
+/**
+ * Keeps the latest history entries in memory, for single instance setups and tests
+ */
+export class MemoryHistoryStore {
+    constructor({ maxEntries = MAX_MEMORY_ENTRIES } = {}) {
+        this.entries = [];
+        this.maxEntries = maxEntries;
+    }
+
+    async append(entries) {
+        this.entries.push(...entries);
+        this.entries.splice(0, this.entries.length - this.maxEntries);
+    }
+
+    async *read() {
+        yield* [...this.entries];
+    }
+}
+
+let historyStore = null;
+
+/**
+ * Get the history store selected by HISTORY_STORE ("file" by default, or "memory").
+ * The file store defaults to /tmp, which only works for a single long running instance: serverless instances
+ * each have their own /tmp and lose it on restart, so every instance would only see its own part of the history.
+ */
+export function getHistoryStore() {
+    if (!historyStore) {
+        if (process.env.HISTORY_STORE === 'memory') {
+            historyStore = new MemoryHistoryStore();
+        } else {
+            if (!process.env.HISTORY_FILE) {
+                console.warn(`HISTORY_FILE is not set, the upload history is kept in ${DEFAULT_HISTORY_FILE}. `
+                    + 'Set it to a file on persistent storage, or use setHistoryStore() with a shared store');
+            }
+            const maxBytes = parseInt(process.env.HISTORY_MAX_BYTES, 10);
+            historyStore = new FileHistoryStore(process.env.HISTORY_FILE || DEFAULT_HISTORY_FILE, maxBytes > 0 ? { maxBytes } : {});
+        }
+    }
+
+    return historyStore;
+}
+
+/**
+ * Replace the history store, e.g. with one backed by a database.
+ * A store implements append(entries) and read(), an async iterable of the entries oldest first.
+ */
+export function setHistoryStore(store) {
+    historyStore = store;
+}
+
+/**
+ * Store history entries. Failing to write the history never fails the request that is recorded.
+ * @param {Object} context - Shared by all entries: { action, source, principal, account, tonieId, jobId }
+ * @param {Object[]} items - { outcome ("success", "failed" or "skipped"), title, filename, url, size, duration, fileId, chapterId, error, details, ... }
+ */
+export async function recordHistory({ action = 'upload', source = null, principal = null, account = null, tonieId = null, jobId = null }, items) {
+    if (items.length === 0) {
+        return;
+    }
+
+    const timestamp = new Date().toISOString();
+    const entries = items.map(item => ({
+        id: crypto.randomUUID(),
+        timestamp,
+        action,
+        source,
+        user: principal?.user || null,
+        keyId: principal?.keyId || null,
+        account: account || null,
+        tonieId: tonieId || null,
+        jobId: jobId || null,
+        ...item
+    }));
+
+    try {
+        await getHistoryStore().append(entries);
+    } catch (error) {
+        console.error(`Failed to record history: ${error.message}`);
+    }
+}
+
+/**
+ * Map a per-item result of an upload response to a history item.
+ * Device uploads mark results with success (and skipped), imports with status "imported", "skipped" or "failed".
+ */
+function toHistoryItem(result, request) {
+    let outcome = 'failed';
+    if (result.skipped || result.status === 'skipped') {
+        outcome = 'skipped';
+    } else if (result.success === true || result.status === 'imported') {
+        outcome = 'success';
+    }
+
+    return {
+        outcome,
+        title: result.title || null,
+        filename: result.originalFilename || result.filename || null,
+        url: result.url || request.url || null,
+        size: result.fileSize ?? null,
+        duration: result.duration ?? result.audioInfo?.duration ?? null,
+        fileId: result.fileId || null,
+        error: outcome === 'success' ? null : (result.error || result.reason || null),
+        details: result.details ?? null,
+        duplicate: result.duplicate || null
+    };
+}
+
+/**
+ * Record the outcome of an upload request, one entry per file, video or episode it lists.
+ * Outcomes without a result list (e.g. a Creative-Tonie that was not found) are recorded as one entry.
+ * @param {Object} context - See recordHistory, plus request: { url, title } as sent by the client
+ * @param {Object} outcome - { status, body } of the response
+ * @returns {Promise<Object>} The outcome, to pass it on
+ */
+export async function recordUploadOutcome({ request = {}, ...context }, outcome) {
+    const { status, body } = outcome;
+
+    // Debug requests only parse the upload
+    if (body.debug === true) {
+        return outcome;
+    }
+
+    const results = body.results || body.chapters;
+    let items;
+
+    if (Array.isArray(results)) {
+        items = results.map(result => toHistoryItem(result, request));
+    } else {
+        const succeeded = status < 300;
+        let itemOutcome = succeeded ? 'success' : 'failed';
+        if (body.skipped) {
+            itemOutcome = 'skipped';
+        }
+
+        items = [{
+            outcome: itemOutcome,
+            title: request.title || body.videoInfo?.title || null,
+            filename: body.filename || null,
+            url: request.url || null,
+            size: body.fileSize ?? null,
+            duration: body.audioInfo?.duration ?? null,
+            fileId: body.fileId || null,
+            error: succeeded ? null : (body.error || 'Upload failed'),
+            details: succeeded ? null : (body.details ?? null),
+            duplicate: body.duplicate || null
+        }];
+    }
+
+    await recordHistory(context, items.map(item => ({ ...item, httpStatus: status })));
+    return outcome;
+}
+
+/**
+ * Record an upload request that failed before or instead of the upload, then send its response.
+ * Requests rejected before authentication have no history context and are only answered.
+ * @param {Object} res - Response
+ * @param {Object|null} context - See recordUploadOutcome
+ * @param {number} status - HTTP status of the response
+ * @param {Object} body - Response body
+ */
+export async function sendUploadFailure(res, context, status, body) {
+    if (context) {
+        await recordUploadOutcome(context, { status, body });
+    }
+
+    res.status(status).json(body);
+}
+
+/**
+ * Parse a from/to filter. Plain dates cover the whole day (UTC).
+ * @returns {number|null} Milliseconds since the epoch
+ */
+function parseDateFilter(value, name, endOfDay) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+
+    const time = Date.parse(value);
+    if (typeof value !== 'string' || Number.isNaN(time)) {
+        throw new Error(`${name} must be a date like "2026-10-19" or "2026-10-19T18:00:00Z"`);
+    }
+
+    return endOfDay && DATE_ONLY_PATTERN.test(value) ? time + 24 * 60 * 60 * 1000 - 1 : time;
+}
+
+/**
+ * Parse the history filters of a request. Invalid filters throw an error.
+ * @returns {Object} { tonieId, from, to, limit, offset }
+ */
+export function parseHistoryFilter({ tonieId, from, to, limit, offset } = {}) {
+    const filter = {
+        tonieId: tonieId || null,
+        from: parseDateFilter(from, 'from', false),
+        to: parseDateFilter(to, 'to', true),
+        limit: DEFAULT_LIMIT,
+        offset: 0
+    };
+
+    if (filter.from !== null && filter.to !== null && filter.to < filter.from) {
+        throw new Error('to must not be before from');
+    }
+
+    if (limit !== undefined && limit !== null && limit !== '') {
+        const parsedLimit = Number(limit);
+        if (!Number.isInteger(parsedLimit) || parsedLimit < 1 || parsedLimit > MAX_LIMIT) {
+            throw new Error(`limit must be a whole number between 1 and ${MAX_LIMIT}`);
+        }
+        filter.limit = parsedLimit;
+    }
+
+    if (offset !== undefined && offset !== null && offset !== '') {
+        const parsedOffset = Number(offset);
+        if (!Number.isInteger(parsedOffset) || parsedOffset < 0 || parsedOffset > MAX_OFFSET) {
+            throw new Error(`offset must be a whole number between 0 and ${MAX_OFFSET}`);
+        }
+        filter.offset = parsedOffset;
+    }
+
+    return filter;
+}
+
+/**
+ * List history entries, newest first.
+ * The store is read oldest first and only the newest offset + limit matches are kept while reading.
+ * @param {Object} filter - Result of parseHistoryFilter
+ * @param {Function} [canSee] - Called with an entry, hides the entry when it returns false
+ * @returns {Promise<Object>} { entries, total } with total counting every match before offset and limit
+ */
+export async function listHistory({ tonieId = null, from = null, to = null, limit = DEFAULT_LIMIT, offset = 0 } = {}, canSee = () => true) {
+    const kept = offset + limit;
+    let newest = [];
+    let total = 0;
+
+    for await (const entry of getHistoryStore().read()) {
+        const time = Date.parse(entry.timestamp);
+
+        if ((!tonieId || entry.tonieId === tonieId)
+            && (from === null || time >= from)
+            && (to === null || time <= to)
+            && canSee(entry)) {
+            total++;
+            newest.push(entry);
+
+            // Dropping older matches in batches keeps this linear
+            if (newest.length >= kept * 2) {
+                newest = newest.slice(-kept);
+            }
+        }
+    }
+
+    newest = newest.slice(-kept).reverse();
+
+    return { entries: newest.slice(offset, offset + limit), total };
+}
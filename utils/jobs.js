@@ -0,0 +1,374 @@
+// utils/jobs.js
+// Background upload jobs and the pluggable stores that keep their state
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { canAccessTonie } from './auth.js';
+
+const DEFAULT_JOBS_DIR = '/tmp/tonie-uploader-jobs';
+const JOB_MAX_AGE = 24 * 60 * 60 * 1000; // Finished jobs are kept for 24 hours
+const PROGRESS_WRITE_INTERVAL = 500; // Byte progress is written at most twice a second
+const JOB_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Check whether a value is a valid job ID (a UUID)
+ */
+export function isValidJobId(id) {
+    return typeof id === 'string' && JOB_ID_PATTERN.test(id);
+}
+
+/**
+ * Check whether jobs may keep running after the response was sent, which async mode needs.
+ * Serverless platforms like Vercel freeze a function once it answered and give every instance its own /tmp,
+ * so a job started there stops and its status cannot be polled from other instances.
+ * The standalone server (server.js) enables background jobs; BACKGROUND_JOBS=true does so on other long running hosts.
+ */
+export function supportsBackgroundJobs() {
+    return process.env.BACKGROUND_JOBS === 'true';
+}
+
+/**
+ * Check whether jobs can be followed from other requests (GET /api/jobs/{id} and its events).
+ * The default job stores keep jobs in the memory or /tmp of one instance, so this only works within a single long running
+ * process (see supportsBackgroundJobs), or with a shared store plugged in with setJobStore.
+ * Elsewhere the status request usually reaches another instance than the upload and never finds its job.
+ */
+export function canFollowJobs() {
+    return supportsBackgroundJobs() || sharedJobStore;
+}
+
+/**
+ * Answer a job status request on a host where jobs cannot be followed
+ */
+export function sendJobsUnavailable(res) {
+    res.status(503).json({
+        error: 'Job progress not available',
+        details: 'Jobs can only be followed on a single long running server (server.js or BACKGROUND_JOBS=true) '
+            + 'or with a shared job store plugged in with setJobStore()'
+    });
+}
+
+/**
+ * Answer an async request on a host that cannot run jobs in the background
+ */
+export function sendBackgroundJobsUnavailable(res) {
+    res.status(400).json({
+        error: 'Async mode not available',
+        details: 'Uploads cannot run in the background on this deployment. '
+            + 'Leave out async and send an X-Upload-Id header to follow the upload while the request runs'
+    });
+}
+
+/**
+ * Check whether a principal may see a job: the principal that started it or an admin,
+ * and only if the principal may access the Creative-Tonie of the job
+ * @param {Object} principal - Principal returned by authorizeRequest
+ * @param {Object} job - Job whose details hold the user, keyId and tonieId of the request that started it
+ */
+export function canAccessJob(principal, job) {
+    const { user, keyId = null, tonieId } = job.details;
+    const startedIt = user === principal.user && keyId === principal.keyId;
+
+    if (!startedIt && !principal.scopes.includes('admin')) {
+        return false;
+    }
+
+    // Device uploads followed by upload ID only learn their Creative-Tonie once the form is parsed
+    return !tonieId || canAccessTonie(principal, tonieId);
+}
+
+/**
+ * Read the upload ID a client chose to follow its upload before the response arrives
+ * @returns {string|null} Value of the X-Upload-Id header or uploadId query parameter
+ */
+export function getUploadId(req) {
+    return req.headers['x-upload-id'] || req.query?.uploadId || null;
+}
+
+/**
+ * Keeps jobs as one JSON file per job, so every instance sharing the directory sees them
+ */
+export class FileJobStore {
+    constructor(directory = DEFAULT_JOBS_DIR) {
+        this.directory = directory;
+    }
+
+    jobPath(id) {
+        // Job IDs are UUIDs, anything else must not be turned into a path
+        if (!isValidJobId(id)) {
+            throw new Error('Invalid job ID');
+        }
+
+        return path.join(this.directory, `${id}.json`);
+    }
+
+    async create(job) {
+        await fs.promises.mkdir(this.directory, { recursive: true });
+        await this.write(job);
+        return job;
+    }
+
+    async get(id) {
+        try {
+            return JSON.parse(await fs.promises.readFile(this.jobPath(id), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT' || error.message === 'Invalid job ID') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    async update(id, changes) {
+        const job = await this.get(id);
+        if (!job) {
+            return null;
+        }
+
+        const updatedJob = { ...job, ...changes, updatedAt: new Date().toISOString() };
+        await this.write(updatedJob);
+        return updatedJob;
+    }
+
+    async write(job) {
+        // Write to a temporary file first so readers never see a half written job
+        const jobPath = this.jobPath(job.id);
+        const tempPath = `${jobPath}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+
+        await fs.promises.writeFile(tempPath, JSON.stringify(job));
+        await fs.promises.rename(tempPath, jobPath);
+    }
+
+    async removeExpired(maxAge = JOB_MAX_AGE) {
+        let filenames;
+        try {
+            filenames = await fs.promises.readdir(this.directory);
+        } catch (error) {
+            return;
+        }
+
+        const now = Date.now();
+        await Promise.all(filenames.map(async (filename) => {
+            const filePath = path.join(this.directory, filename);
+            try {
+                const { mtimeMs } = await fs.promises.stat(filePath);
+                if (now - mtimeMs > maxAge) {
+                    await fs.promises.unlink(filePath);
+                }
+            } catch (error) {
+                // Removed by another instance in the meantime
+            }
+        }));
+    }
+}
+
+/**
+ * Keeps jobs in memory, for single instance setups where /tmp is not writable
+ */
+export class MemoryJobStore {
+    constructor() {
+        this.jobs = new Map();
+    }
+
+    async create(job) {
+        this.jobs.set(job.id, job);
+        return job;
+    }
+
+    async get(id) {
+        return this.jobs.get(id) || null;
+    }
+
+    async update(id, changes) {
+        const job = this.jobs.get(id);
+        if (!job) {
+            return null;
+        }
+
+        const updatedJob = { ...job, ...changes, updatedAt: new Date().toISOString() };
+        this.jobs.set(id, updatedJob);
+        return updatedJob;
+    }
+
+    async removeExpired(maxAge = JOB_MAX_AGE) {
+        const now = Date.now();
+        for (const [id, job] of this.jobs) {
+            if (now - new Date(job.updatedAt).getTime() > maxAge) {
+                this.jobs.delete(id);
+            }
+        }
+    }
+}
+
+let jobStore = null;
+let sharedJobStore = false;
+
+/**
+ * Get the job store selected by JOB_STORE ("file" by default, or "memory")
+ */
+export function getJobStore() {
+    if (!jobStore) {
+        jobStore = process.env.JOB_STORE === 'memory'
+            ? new MemoryJobStore()
+            : new FileJobStore(process.env.JOBS_DIR || DEFAULT_JOBS_DIR);
+    }
+
+    return jobStore;
+}
+
+/**
+ * Replace the job store, e.g. with one backed by a database.
+ * A store implements create(job), get(id), update(id, changes) and removeExpired(maxAge).
+ * Such a store is taken to be shared by every instance, so jobs can be followed on any host (see canFollowJobs).
+ */
+export function setJobStore(store) {
+    jobStore = store;
+    sharedJobStore = Boolean(store);
+}
+
+/**
+ * Create a queued job
+ * @param {string} type - Kind of upload, e.g. "youtube" or "device"
+ * @param {Object} details - Request details shown with the job status, with the user and keyId of the principal
+ *   that started it and the targeted tonieId (see canAccessJob)
+ * @param {string} [id] - ID chosen by the client (see getUploadId), a random one is used otherwise.
+ *   Invalid or already used IDs are rejected with an error carrying the HTTP status in error.status.
+ */
+export async function createJob(type, details = {}, id = null) {
+    const store = getJobStore();
+    const now = new Date().toISOString();
+
+    if (id !== null && !isValidJobId(id)) {
+        const error = new Error('Upload ID must be a UUID');
+        error.status = 400;
+        throw error;
+    }
+
+    await store.removeExpired();
+
+    if (id !== null && await store.get(id)) {
+        const error = new Error(`Upload ID "${id}" is already in use`);
+        error.status = 409;
+        throw error;
+    }
+
+    return store.create({
+        id: id || crypto.randomUUID(),
+        type,
+        status: 'queued',
+        phase: 'queued',
+        progress: { bytesDone: 0, bytesTotal: null },
+        details,
+        httpStatus: null,
+        result: null,
+        error: null,
+        createdAt: now,
+        updatedAt: now
+    });
+}
+
+/**
+ * Get a job by ID
+ * @returns {Promise<Object|null>} Job or null if it does not exist (anymore)
+ */
+export async function getJob(id) {
+    return getJobStore().get(id);
+}
+
+/**
+ * Change fields of a job, e.g. the details once the request is parsed
+ */
+export async function updateJob(id, changes) {
+    return getJobStore().update(id, changes);
+}
+
+/**
+ * Store the final outcome of a job
+ * @param {Object} outcome - { status, body } of the response
+ */
+export async function finishJob(id, outcome) {
+    // Partial imports (207) complete the job, their results list the failed items
+    const succeeded = outcome.status < 300;
+
+    await getJobStore().update(id, {
+        status: succeeded ? 'completed' : 'failed',
+        phase: succeeded ? 'completed' : 'failed',
+        httpStatus: outcome.status,
+        result: outcome.body,
+        error: succeeded ? null : (outcome.body.error || 'Upload failed')
+    });
+
+    console.log(`Job ${id} ${succeeded ? 'completed' : 'failed'} with status ${outcome.status}`);
+}
+
+/**
+ * Create a progress callback for a job. Phase changes are stored right away,
+ * byte progress within a phase is throttled.
+ * Phases are receiving, downloading, cutting, transcoding, uploading and adding-chapter.
+ * @returns {Function} onProgress({ phase, bytesDone, bytesTotal, ... }) with a flush() method
+ */
+export function createProgressReporter(jobId) {
+    const store = getJobStore();
+    let phase = null;
+    let progress = {};
+    let lastWrite = 0;
+    let writing = Promise.resolve();
+
+    const onProgress = (update) => {
+        const phaseChanged = update.phase && update.phase !== phase;
+        if (phaseChanged) {
+            phase = update.phase;
+            progress = { ...progress, bytesDone: 0, bytesTotal: null };
+        }
+
+        progress = { ...progress, ...update };
+        delete progress.phase;
+
+        const now = Date.now();
+        if (!phaseChanged && now - lastWrite < PROGRESS_WRITE_INTERVAL) {
+            return;
+        }
+
+        lastWrite = now;
+        const changes = { status: 'running', phase, progress };
+        writing = writing
+            .then(() => store.update(jobId, changes))
+            .catch(error => console.error(`Failed to store progress of job ${jobId}: ${error.message}`));
+    };
+
+    onProgress.flush = () => writing;
+
+    return onProgress;
+}
+
+/**
+ * Run a job. The task receives a progress callback and resolves with { status, body },
+ * the response the synchronous request would have sent.
+ * Asynchronous requests do not wait for the job, which keeps running after the HTTP response.
+ * That needs a long running server, handlers only do so if supportsBackgroundJobs() allows it.
+ * @param {Function} [onProgress] - Progress callback of the job if one was already created
+ * @returns {Promise<Object>} Resolves with the outcome once the job is done
+ */
+export function startJob(job, task, onProgress = createProgressReporter(job.id)) {
+    const run = async () => {
+        let outcome;
+        try {
+            outcome = await task(onProgress);
+        } catch (error) {
+            console.error(`Job ${job.id} failed:`, error);
+            outcome = { status: 500, body: { error: 'Internal server error', details: error.message } };
+        }
+
+        try {
+            await onProgress.flush();
+            await finishJob(job.id, outcome);
+        } catch (error) {
+            console.error(`Failed to finish job ${job.id}: ${error.message}`);
+        }
+
+        return outcome;
+    };
+
+    return run();
+}
@@ -0,0 +1,276 @@
+// utils/multipart.js
+// Streaming multipart/form-data parser that writes file parts straight to temporary files
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { once } from 'events';
+
+const CRLF = Buffer.from('\r\n');
+const HEADER_END = Buffer.from('\r\n\r\n');
+const MAX_HEADER_SIZE = 16384; // 16 KB per part header block
+const MAX_FIELD_SIZE = 1048576; // 1 MB per text field
+
+/**
+ * Extract the multipart boundary from a Content-Type header
+ * @param {string} contentType - Content-Type request header
+ * @returns {string} Boundary without quotes
+ */
+export function getBoundary(contentType) {
+    const boundaryMatch = (contentType || '').match(/boundary=(?:"([^"]+)"|([^;]+))/i);
+    if (!boundaryMatch) {
+        throw new Error('Invalid multipart data: no boundary found in content-type');
+    }
+
+    return (boundaryMatch[1] || boundaryMatch[2]).trim();
+}
+
+/**
+ * Parse the header block of a single part
+ */
+function parsePartHeaders(headerText) {
+    const headers = {};
+
+    headerText.split('\r\n').forEach(line => {
+        const separatorIndex = line.indexOf(':');
+        if (separatorIndex > 0) {
+            headers[line.slice(0, separatorIndex).trim().toLowerCase()] = line.slice(separatorIndex + 1).trim();
+        }
+    });
+
+    const disposition = headers['content-disposition'] || '';
+    const nameMatch = disposition.match(/\bname="([^"]*)"/i);
+    const encodedFilenameMatch = disposition.match(/\bfilename\*=(?:UTF-8'')?([^;]+)/i);
+    const filenameMatch = disposition.match(/\bfilename="([^"]*)"/i);
+
+    let filename = null;
+    if (encodedFilenameMatch) {
+        filename = decodeURIComponent(encodedFilenameMatch[1].trim());
+    } else if (filenameMatch) {
+        filename = filenameMatch[1];
+    }
+
+    return {
+        name: nameMatch ? nameMatch[1] : null,
+        filename,
+        contentType: headers['content-type'] || 'application/octet-stream'
+    };
+}
+
+/**
+ * Remove temporary files created by parseMultipartStream
+ * @param {Array<Object>} files - Files returned by parseMultipartStream
+ */
+export async function removeUploadedFiles(files = []) {
+    await Promise.all(files.map(async (file) => {
+        try {
+            await fs.promises.unlink(file.path);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`Failed to cleanup temporary file: ${error.message}`);
+            }
+        }
+    }));
+}
+
+/**
+ * Parse a multipart/form-data stream without buffering file contents in memory.
+ * File parts are written to temporary files, text fields are collected as strings.
+ * @param {Readable} stream - Request stream
+ * @param {string} contentType - Content-Type request header
+ * @param {Object} options - Parser options
+ * @param {string} options.tmpDir - Directory for temporary files
+ * @param {number} options.maxFileSize - Maximum size of a single file part in bytes
+ * @param {Function} options.onProgress - Called with the number of bytes received so far
+ * @param {Function} options.beforeFile - Awaited with the fields received so far before the first file part is written,
+ *   an error thrown by it aborts parsing before anything is stored
+ * @returns {Promise<Object>} { fields, fieldValues, files } where fields holds the last value per name,
+ *   fieldValues every value per name in order, and files { fieldName, filename, contentType, path, size }
+ */
+export async function parseMultipartStream(stream, contentType, { tmpDir = '/tmp', maxFileSize = Infinity, onProgress = null, beforeFile = null } = {}) {
+    const boundary = getBoundary(contentType);
+    const delimiter = Buffer.from(`\r\n--${boundary}`);
+
+    const fields = {};
+    const fieldValues = {};
+    const files = [];
+
+    // Every delimiter is preceded by CRLF except the very first one
+    let buffer = CRLF;
+    let state = 'preamble';
+    let part = null;
+    let bytesReceived = 0;
+
+    const startPart = async (headerText) => {
+        const headers = parsePartHeaders(headerText);
+
+        if (!headers.name) {
+            return { skip: true };
+        }
+
+        // Browsers send an empty filename for file inputs without a selection
+        if (headers.filename !== null) {
+            if (!headers.filename) {
+                return { skip: true };
+            }
+
+            if (beforeFile && files.length === 0) {
+                await beforeFile(fields);
+            }
+
+            const extension = path.extname(headers.filename).toLowerCase();
+            const file = {
+                fieldName: headers.name,
+                filename: path.basename(headers.filename),
+                contentType: headers.contentType,
+                path: path.join(tmpDir, `upload_${Date.now()}_${crypto.randomBytes(6).toString('hex')}${extension}`),
+                size: 0
+            };
+
+            files.push(file);
+
+            return { file, writeStream: fs.createWriteStream(file.path) };
+        }
+
+        return { name: headers.name, chunks: [], size: 0 };
+    };
+
+    const writePart = async (data) => {
+        if (part.skip || data.length === 0) {
+            return;
+        }
+
+        if (part.file) {
+            part.file.size += data.length;
+
+            if (part.file.size > maxFileSize) {
+                const error = new Error(`File "${part.file.filename}" exceeds maximum allowed size of ${Math.round(maxFileSize / 1024 / 1024)}MB`);
+                error.status = 413;
+                throw error;
+            }
+
+            if (!part.writeStream.write(data)) {
+                await once(part.writeStream, 'drain');
+            }
+            return;
+        }
+
+        part.size += data.length;
+        if (part.size > MAX_FIELD_SIZE) {
+            throw new Error(`Field "${part.name}" exceeds maximum allowed size`);
+        }
+
+        // Copy, since data may be a view into a chunk that is reused later
+        part.chunks.push(Buffer.from(data));
+    };
+
+    const finishPart = async () => {
+        if (part.file) {
+            part.writeStream.end();
+            await once(part.writeStream, 'finish');
+        } else if (!part.skip) {
+            const value = Buffer.concat(part.chunks).toString('utf8');
+            fields[part.name] = value;
+            (fieldValues[part.name] ||= []).push(value);
+        }
+
+        part = null;
+    };
+
+    const processBuffer = async () => {
+        while (state !== 'epilogue') {
+            if (state === 'preamble' || state === 'body') {
+                const index = buffer.indexOf(delimiter);
+
+                if (index === -1) {
+                    // Keep enough bytes to recognise a delimiter split across chunks
+                    const safeLength = buffer.length - (delimiter.length - 1);
+                    if (safeLength > 0) {
+                        if (state === 'body') {
+                            await writePart(buffer.subarray(0, safeLength));
+                        }
+                        buffer = buffer.subarray(safeLength);
+                    }
+                    return;
+                }
+
+                if (state === 'body') {
+                    await writePart(buffer.subarray(0, index));
+                    await finishPart();
+                }
+
+                buffer = buffer.subarray(index + delimiter.length);
+                state = 'boundary';
+            }
+
+            if (state === 'boundary') {
+                if (buffer.length < 2) {
+                    return;
+                }
+
+                // "--" after the delimiter marks the end of the multipart body
+                if (buffer[0] === 0x2d && buffer[1] === 0x2d) {
+                    state = 'epilogue';
+                    return;
+                }
+
+                const lineEnd = buffer.indexOf(CRLF);
+                if (lineEnd === -1) {
+                    if (buffer.length > MAX_HEADER_SIZE) {
+                        throw new Error('Invalid multipart data: malformed boundary line');
+                    }
+                    return;
+                }
+
+                buffer = buffer.subarray(lineEnd + CRLF.length);
+                state = 'headers';
+            }
+
+            if (state === 'headers') {
+                // A part without any headers starts directly with an empty line
+                const headerEnd = buffer.subarray(0, 2).equals(CRLF) ? -2 : buffer.indexOf(HEADER_END);
+
+                if (headerEnd === -1) {
+                    if (buffer.length > MAX_HEADER_SIZE) {
+                        throw new Error('Invalid multipart data: part headers too large');
+                    }
+                    return;
+                }
+
+                const headerText = headerEnd < 0 ? '' : buffer.subarray(0, headerEnd).toString('utf8');
+                buffer = buffer.subarray(headerEnd + HEADER_END.length);
+                part = await startPart(headerText);
+                state = 'body';
+            }
+        }
+    };
+
+    try {
+        for await (const chunk of stream) {
+            const data = typeof chunk === 'string' ? Buffer.from(chunk, 'binary') : chunk;
+            buffer = Buffer.concat([buffer, data]);
+            await processBuffer();
+
+            bytesReceived += data.length;
+            if (onProgress) {
+                onProgress(bytesReceived);
+            }
+
+            if (state === 'epilogue') {
+                buffer = Buffer.alloc(0);
+            }
+        }
+
+        if (state !== 'epilogue') {
+            throw new Error('Invalid multipart data: unexpected end of request body');
+        }
+    } catch (error) {
+        if (part?.writeStream) {
+            part.writeStream.destroy();
+        }
+        await removeUploadedFiles(files);
+        throw error;
+    }
+
+    return { fields, fieldValues, files };
+}
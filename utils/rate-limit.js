@@ -0,0 +1,146 @@
+// utils/rate-limit.js
+// Counts failed authentication attempts and locks out clients that keep guessing
+
+const DEFAULT_MAX_FAILURES = 5; // Failed attempts per IP before it is locked out
+const DEFAULT_GLOBAL_MAX_FAILURES = 100; // Failed attempts of all clients together before everyone is locked out
+const DEFAULT_LOCKOUT = 30; // First lockout in seconds, doubled with every further failure
+const MAX_LOCKOUT = 60 * 60; // Lockouts never last longer than an hour
+const FAILURE_WINDOW = 15 * 60 * 1000; // Counters start over after 15 minutes without failures
+
+export const GLOBAL_KEY = 'global';
+
+/**
+ * Read a positive integer setting from the environment
+ */
+function getLimitSetting(name, defaultValue) {
+    const value = parseInt(process.env[name], 10);
+    return Number.isInteger(value) && value > 0 ? value : defaultValue;
+}
+
+/**
+ * Keeps attempt counters in memory. Every instance counts on its own, which still slows down guessing a lot;
+ * deployments with many instances can share counters with setAttemptStore.
+ */
+export class MemoryAttemptStore {
+    constructor() {
+        this.entries = new Map();
+    }
+
+    async get(key) {
+        return this.entries.get(key) || null;
+    }
+
+    async set(key, entry) {
+        this.entries.set(key, entry);
+    }
+
+    async delete(key) {
+        this.entries.delete(key);
+    }
+
+    async removeExpired(now = Date.now()) {
+        for (const [key, entry] of this.entries) {
+            if (entry.lockedUntil <= now && now - entry.lastFailureAt > FAILURE_WINDOW) {
+                this.entries.delete(key);
+            }
+        }
+    }
+}
+
+let attemptStore = null;
+
+/**
+ * Get the attempt counter store, in memory by default
+ */
+export function getAttemptStore() {
+    if (!attemptStore) {
+        attemptStore = new MemoryAttemptStore();
+    }
+
+    return attemptStore;
+}
+
+/**
+ * Replace the attempt counter store, e.g. with one backed by Redis.
+ * A store implements get(key), set(key, entry), delete(key) and removeExpired(now),
+ * where entries look like { failures, lastFailureAt, lockedUntil }.
+ */
+export function setAttemptStore(store) {
+    attemptStore = store;
+}
+
+/**
+ * Get the counter key of a client for one kind of credential
+ */
+function getClientKey(ip, kind) {
+    return `ip:${ip}:${kind}`;
+}
+
+/**
+ * Check whether a client is locked out, either on its own or because of too many failures overall
+ * @param {string} ip - Client IP address
+ * @param {string} kind - Kind of credential the client tries, 'password' or 'key'
+ * @returns {Promise<Object|null>} { scope: 'ip' | 'global', retryAfter } with retryAfter in seconds, or null
+ */
+export async function getLockout(ip, kind) {
+    const store = getAttemptStore();
+    const now = Date.now();
+
+    for (const [scope, key] of [['ip', getClientKey(ip, kind)], ['global', GLOBAL_KEY]]) {
+        const entry = await store.get(key);
+        if (entry && entry.lockedUntil > now) {
+            return { scope, retryAfter: Math.ceil((entry.lockedUntil - now) / 1000) };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Count a failed attempt. Once a counter reaches its limit every further failure locks out for twice as long.
+ */
+async function countFailure(store, key, maxFailures, now) {
+    const previous = await store.get(key);
+    const failures = previous && now - previous.lastFailureAt <= FAILURE_WINDOW ? previous.failures + 1 : 1;
+
+    let lockedUntil = previous?.lockedUntil || 0;
+    if (failures >= maxFailures) {
+        const lockout = Math.min(MAX_LOCKOUT, getLimitSetting('AUTH_LOCKOUT', DEFAULT_LOCKOUT) * 2 ** (failures - maxFailures));
+        lockedUntil = Math.max(lockedUntil, now + lockout * 1000);
+    }
+
+    await store.set(key, { failures, lastFailureAt: now, lockedUntil });
+    return { failures, lockedUntil };
+}
+
+/**
+ * Record a failed authentication attempt of a client
+ * @param {string} ip - Client IP address
+ * @param {string} kind - Kind of credential that failed, 'password' or 'key'
+ */
+export async function recordAuthFailure(ip, kind) {
+    const store = getAttemptStore();
+    const now = Date.now();
+
+    await store.removeExpired(now);
+
+    const client = await countFailure(store, getClientKey(ip, kind), getLimitSetting('AUTH_MAX_FAILURES', DEFAULT_MAX_FAILURES), now);
+    const global = await countFailure(store, GLOBAL_KEY, getLimitSetting('AUTH_GLOBAL_MAX_FAILURES', DEFAULT_GLOBAL_MAX_FAILURES), now);
+
+    if (client.lockedUntil > now) {
+        console.warn(`Authentication of ${ip} with ${kind === 'key' ? 'API keys' : 'the app password'} locked for ${Math.ceil((client.lockedUntil - now) / 1000)}s after ${client.failures} failed attempts`);
+    }
+    if (global.lockedUntil > now) {
+        console.warn(`Authentication locked for everyone for ${Math.ceil((global.lockedUntil - now) / 1000)}s after ${global.failures} failed attempts`);
+    }
+}
+
+/**
+ * Reset the counter of a client after it authenticated with the kind of credential it was guessing, so a valid
+ * API key never clears failed password attempts. The global counter only runs out over time.
+ * @param {string} ip - Client IP address
+ * @param {string} kind - Kind of credential that succeeded, 'password' or 'key'
+ */
+export async function recordAuthSuccess(ip, kind) {
+    await getAttemptStore().delete(getClientKey(ip, kind));
+}
@@ -0,0 +1,89 @@
+// utils/s3.js
+// Streaming form-post upload to the Amazon S3 target handed out by the Tonie API
+
+import fs from 'fs';
+import http from 'http';
+import https from 'https';
+
+/**
+ * Upload a file to Amazon S3 using the provided upload request.
+ * The file is streamed from disk, so it is never held in memory as a whole.
+ * @param {Object} uploadRequest - Response of POST /file ({ fileId, request: { url, fields } })
+ * @param {string} filePath - Path of the file to upload
+ * @param {string} filename - Filename reported to S3
+ * @param {Function} [onProgress] - Called with { bytesDone, bytesTotal } while the file is sent
+ * @returns {Promise<string>} The fileId of the uploaded file
+ */
+export async function uploadToS3(uploadRequest, filePath, filename, onProgress = null) {
+    const { size } = await fs.promises.stat(filePath);
+    const boundary = `----formdata-${Math.random().toString(36).substring(2)}`;
+    let head = '';
+
+    // Add all the fields from the upload request
+    Object.entries(uploadRequest.request.fields).forEach(([key, value]) => {
+        head += `--${boundary}\r\n`;
+        head += `Content-Disposition: form-data; name="${key}"\r\n\r\n`;
+        head += `${value}\r\n`;
+    });
+
+    // Add the file last (this is important for S3)
+    head += `--${boundary}\r\n`;
+    head += `Content-Disposition: form-data; name="file"; filename="${filename.replace(/"/g, '')}"\r\n`;
+    head += `Content-Type: application/octet-stream\r\n\r\n`;
+
+    const headBuffer = Buffer.from(head, 'utf8');
+    const tailBuffer = Buffer.from(`\r\n--${boundary}--\r\n`, 'utf8');
+
+    const url = new URL(uploadRequest.request.url);
+    const transport = url.protocol === 'http:' ? http : https;
+
+    return new Promise((resolve, reject) => {
+        // S3 rejects chunked form posts, so the exact length is sent up front
+        const request = transport.request(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': `multipart/form-data; boundary=${boundary}`,
+                'Content-Length': headBuffer.length + size + tailBuffer.length
+            }
+        }, (response) => {
+            let errorText = '';
+            response.setEncoding('utf8');
+            response.on('data', chunk => {
+                errorText += chunk;
+            });
+            response.on('end', () => {
+                if (response.statusCode < 200 || response.statusCode >= 300) {
+                    reject(new Error(`S3 upload failed: ${response.statusCode} ${errorText}`));
+                    return;
+                }
+
+                resolve(uploadRequest.fileId);
+            });
+        });
+
+        request.on('error', (error) => {
+            reject(new Error(`S3 upload failed: ${error.message}`));
+        });
+
+        const fileStream = fs.createReadStream(filePath);
+
+        if (onProgress) {
+            let bytesDone = 0;
+            fileStream.on('data', (chunk) => {
+                bytesDone += chunk.length;
+                onProgress({ bytesDone, bytesTotal: size });
+            });
+        }
+
+        fileStream.on('error', (error) => {
+            request.destroy(error);
+        });
+
+        fileStream.on('end', () => {
+            request.end(tailBuffer);
+        });
+
+        request.write(headBuffer);
+        fileStream.pipe(request, { end: false });
+    });
+}
@@ -0,0 +1,315 @@
+// utils/sessions.js
+// Signed, short-lived app sessions, so clients neither resend the app password nor ever see the Tonie token
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { getKeyStore } from './api-keys.js';
+
+export const SESSION_COOKIE = 'tonie_uploader_session';
+
+const SESSION_PREFIX = 'tus';
+const DEFAULT_SESSION_TTL = 12 * 60 * 60; // 12 hours, in seconds
+const DEFAULT_SESSIONS_DIR = '/tmp/tonie-uploader-sessions';
+const MIN_SECRET_LENGTH = 32;
+const SESSION_ID_PATTERN = /^[0-9a-f]{32}$/;
+
+/**
+ * Get the secret sessions are signed with
+ * @returns {string|null} SESSION_SECRET, or null if it is missing or too short to be safe
+ */
+function getSessionSecret() {
+    const secret = process.env.SESSION_SECRET;
+    return secret && secret.length >= MIN_SECRET_LENGTH ? secret : null;
+}
+
+/**
+ * Get the session lifetime in seconds (SESSION_TTL)
+ */
+function getSessionTtl() {
+    const ttl = parseInt(process.env.SESSION_TTL, 10);
+    return Number.isInteger(ttl) && ttl > 0 ? ttl : DEFAULT_SESSION_TTL;
+}
+
+function sign(data, secret) {
+    return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+/**
+ * Check signature and expiry of a session token
+ * @returns {Object|null} Session payload or null if the token is malformed, forged or expired
+ */
+function decodeSession(token) {
+    const secret = getSessionSecret();
+    if (!secret || typeof token !== 'string') {
+        return null;
+    }
+
+    const [prefix, payload, signature, ...rest] = token.split('.');
+    if (prefix !== SESSION_PREFIX || !payload || !signature || rest.length > 0) {
+        return null;
+    }
+
+    const expected = Buffer.from(sign(`${prefix}.${payload}`, secret));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return null;
+    }
+
+    let session;
+    try {
+        session = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (error) {
+        return null;
+    }
+
+    if (!SESSION_ID_PATTERN.test(session.sid) || !(session.exp * 1000 > Date.now())) {
+        return null;
+    }
+
+    return session;
+}
+
+/**
+ * Keeps revoked session IDs as one file per session until the session would have expired anyway
+ */
+export class FileSessionStore {
+    constructor(directory = DEFAULT_SESSIONS_DIR) {
+        this.directory = directory;
+    }
+
+    sessionPath(id) {
+        if (!SESSION_ID_PATTERN.test(id)) {
+            throw new Error('Invalid session ID');
+        }
+
+        return path.join(this.directory, `${id}.json`);
+    }
+
+    async revoke(id, expiresAt) {
+        await fs.promises.mkdir(this.directory, { recursive: true, mode: 0o700 });
+        await fs.promises.writeFile(this.sessionPath(id), JSON.stringify({ id, expiresAt }));
+    }
+
+    async isRevoked(id) {
+        try {
+            await fs.promises.access(this.sessionPath(id));
+            return true;
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return false;
+            }
+            throw error;
+        }
+    }
+
+    async removeExpired() {
+        let filenames;
+        try {
+            filenames = await fs.promises.readdir(this.directory);
+        } catch (error) {
+            return;
+        }
+
+        const now = Date.now();
+        await Promise.all(filenames.map(async (filename) => {
+            const filePath = path.join(this.directory, filename);
+            try {
+                const { expiresAt } = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+                if (new Date(expiresAt).getTime() < now) {
+                    await fs.promises.unlink(filePath);
+                }
+            } catch (error) {
+                // Removed by another instance in the meantime
+            }
+        }));
+    }
+}
+
+/**
+ * Keeps revoked session IDs in memory, for single instance setups
+ */
+export class MemorySessionStore {
+    constructor() {
+        this.revoked = new Map();
+    }
+
+    async revoke(id, expiresAt) {
+        this.revoked.set(id, expiresAt);
+    }
+
+    async isRevoked(id) {
+        return this.revoked.has(id);
+    }
+
+    async removeExpired() {
+        const now = Date.now();
+        for (const [id, expiresAt] of this.revoked) {
+            if (new Date(expiresAt).getTime() < now) {
+                this.revoked.delete(id);
+            }
+        }
+    }
+}
+
+let sessionStore = null;
+
+/**
+ * Get the revocation store selected by SESSION_STORE ("file" by default, or "memory")
+ */
+export function getSessionStore() {
+    if (!sessionStore) {
+        sessionStore = process.env.SESSION_STORE === 'memory'
+            ? new MemorySessionStore()
+            : new FileSessionStore(process.env.SESSIONS_DIR || DEFAULT_SESSIONS_DIR);
+    }
+
+    return sessionStore;
+}
+
+/**
+ * Replace the revocation store, e.g. with one backed by a database.
+ * A store implements revoke(id, expiresAt), isRevoked(id) and removeExpired().
+ */
+export function setSessionStore(store) {
+    sessionStore = store;
+}
+
+/**
+ * Check whether a credential is an app session token rather than a password or API key
+ */
+export function isSessionToken(credential) {
+    return typeof credential === 'string' && credential.startsWith(`${SESSION_PREFIX}.`);
+}
+
+/**
+ * Issue a session for an authorized principal. The session carries the principal's scopes and tonie allowlist.
+ * @param {Object} principal - { user, keyId, scopes, tonies } from authorizeRequest
+ * @returns {Object} { token, session: { id, user, scopes, tonies, expiresAt } }.
+ *   Fails with an error carrying status 500 if SESSION_SECRET is not configured.
+ */
+export function createSession(principal) {
+    const secret = getSessionSecret();
+    if (!secret) {
+        const error = new Error(`SESSION_SECRET must be set to at least ${MIN_SECRET_LENGTH} characters to issue sessions`);
+        error.status = 500;
+        throw error;
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const session = {
+        sid: crypto.randomBytes(16).toString('hex'),
+        user: principal.user,
+        keyId: principal.keyId,
+        scopes: principal.scopes,
+        tonies: principal.tonies,
+        iat: now,
+        exp: now + getSessionTtl()
+    };
+
+    const payload = Buffer.from(JSON.stringify(session)).toString('base64url');
+    const token = `${SESSION_PREFIX}.${payload}.${sign(`${SESSION_PREFIX}.${payload}`, secret)}`;
+
+    console.log(`Issued session ${session.sid} for ${session.user}`);
+
+    return {
+        token,
+        session: {
+            id: session.sid,
+            user: session.user,
+            scopes: session.scopes,
+            tonies: session.tonies,
+            expiresAt: new Date(session.exp * 1000).toISOString()
+        }
+    };
+}
+
+/**
+ * Verify a session token. Sessions end when they expire, are revoked, or the API key they were opened with is revoked.
+ * @returns {Promise<Object|null>} { sessionId, user, keyId, scopes, tonies, expiresAt } or null
+ */
+export async function verifySession(token) {
+    const session = decodeSession(token);
+    if (!session) {
+        return null;
+    }
+
+    if (await getSessionStore().isRevoked(session.sid)) {
+        return null;
+    }
+
+    if (session.keyId) {
+        const key = await getKeyStore().get(session.keyId);
+        if (!key || key.revokedAt) {
+            return null;
+        }
+    }
+
+    return {
+        sessionId: session.sid,
+        user: session.user,
+        keyId: session.keyId,
+        scopes: session.scopes,
+        tonies: session.tonies,
+        expiresAt: new Date(session.exp * 1000).toISOString()
+    };
+}
+
+/**
+ * Revoke a session before it expires
+ * @returns {Promise<boolean>} False if the token is not a valid session
+ */
+export async function revokeSession(token) {
+    const session = decodeSession(token);
+    if (!session) {
+        return false;
+    }
+
+    const store = getSessionStore();
+    await store.removeExpired();
+    await store.revoke(session.sid, new Date(session.exp * 1000).toISOString());
+    console.log(`Revoked session ${session.sid} of ${session.user}`);
+
+    return true;
+}
+
+/**
+ * Read the session cookie of a request
+ * @returns {string|null} Session token, or null if there is none or it is not validly encoded
+ */
+export function getSessionCookie(req) {
+    const cookies = req.headers.cookie || '';
+
+    for (const cookie of cookies.split(';')) {
+        const [name, ...value] = cookie.trim().split('=');
+        if (name === SESSION_COOKIE) {
+            // A malformed cookie is no session, like a missing one
+            try {
+                return decodeURIComponent(value.join('='));
+            } catch (error) {
+                return null;
+            }
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Store the session in an HttpOnly cookie, so browser scripts never need to hold it
+ * @param {string|null} token - Session token, or null to clear the cookie
+ * @param {string} [expiresAt] - Expiry of the session as ISO string
+ */
+export function setSessionCookie(req, res, token, expiresAt) {
+    const secure = req.headers['x-forwarded-proto'] === 'https' || req.socket?.encrypted;
+    const maxAge = token ? Math.max(0, Math.floor((new Date(expiresAt).getTime() - Date.now()) / 1000)) : 0;
+
+    res.setHeader('Set-Cookie', [
+        `${SESSION_COOKIE}=${token ? encodeURIComponent(token) : ''}`,
+        'Path=/',
+        'HttpOnly',
+        'SameSite=Strict',
+        `Max-Age=${maxAge}`,
+        ...(secure ? ['Secure'] : [])
+    ].join('; '));
+}
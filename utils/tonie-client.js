@@ -0,0 +1,307 @@
+// utils/tonie-client.js
+// Typed access to the Tonie cloud API, shared by all handlers
+
+import { makeTonieApiRequest } from './auth.js';
+import { uploadToS3 } from './s3.js';
+
+// Supported audio formats based on Tonie API documentation
+export const SUPPORTED_FORMATS = [
+    'aac', 'aiff', 'aif', 'flac', 'mp3', 'm4a', 'm4b',
+    'oga', 'ogg', 'opus', 'wav', 'wma'
+];
+
+export const MAX_FILENAME_LENGTH = 128;
+
+/**
+ * Format a size limit for error messages, e.g. "1GB" or "512MB"
+ */
+function formatSizeLimit(bytes) {
+    const megabytes = bytes / 1024 / 1024;
+    return megabytes >= 1024 ? `${Math.round(megabytes / 1024)}GB` : `${Math.round(megabytes)}MB`;
+}
+
+/**
+ * Validate a file against Tonie API requirements
+ * @param {number} fileSize - Size in bytes
+ * @param {string} filename - Filename reported to the Tonie cloud
+ * @param {Object|null} audioInfo - Result of probeAudioFile for the file content, or null to check the extension only
+ * @param {number} maxFileSize - Size limit of the upload path in bytes
+ * @returns {string[]} Validation errors, empty if the file is valid
+ */
+export function validateFile(fileSize, filename, audioInfo, maxFileSize) {
+    const errors = [];
+
+    if (fileSize > maxFileSize) {
+        errors.push(`File size (${Math.round(fileSize / 1024 / 1024)}MB) exceeds maximum allowed size of ${formatSizeLimit(maxFileSize)}`);
+    }
+
+    if (filename.length > MAX_FILENAME_LENGTH) {
+        errors.push(`Filename length (${filename.length}) exceeds maximum allowed length of ${MAX_FILENAME_LENGTH} characters`);
+    }
+
+    // Check file format by content when it is known, the extension alone is not trusted
+    const extension = filename.toLowerCase().split('.').pop();
+    const unsupportedExtension = `File format "${extension}" is not supported. Supported formats: ${SUPPORTED_FORMATS.join(', ')}`;
+
+    if (!audioInfo) {
+        if (!SUPPORTED_FORMATS.includes(extension)) {
+            errors.push(unsupportedExtension);
+        }
+    } else if (audioInfo.format && !audioInfo.supported) {
+        errors.push(`File format "${audioInfo.format}" is not supported. Supported formats: ${SUPPORTED_FORMATS.join(', ')}`);
+    } else if (!audioInfo.format) {
+        errors.push(SUPPORTED_FORMATS.includes(extension)
+            ? `File content does not match its "${extension}" extension or any other supported audio format`
+            : unsupportedExtension);
+    }
+
+    return errors;
+}
+
+/**
+ * Build the chapter payload the Tonie API expects when patching a Creative-Tonie
+ */
+export function toChapterPayload(chapter) {
+    return {
+        id: chapter.id,
+        title: chapter.title,
+        file: chapter.file,
+        seconds: chapter.seconds,
+        transcoding: chapter.transcoding
+    };
+}
+
+/**
+ * Client for the Tonie cloud API bound to one access token, replaced by the renewed one once the Tonie cloud rejects it.
+ * Plain API calls resolve with the result of makeTonieApiRequest ({ success, data } or { success, error, status }).
+ * findCreativeTonie, uploadFile and uploadChapter combine several calls and resolve with
+ * { success, status, error, details, attempts } on failure, ready to be sent as response.
+ */
+export class TonieClient {
+    /**
+     * @param {string} accessToken - Access token from getTonieAccessToken
+     */
+    constructor(accessToken) {
+        this.accessToken = accessToken;
+    }
+
+    /**
+     * Split a "householdId/creativeTonieId" identifier as used by the upload endpoints
+     * @returns {Object|null} { householdId, creativeTonieId } or null if the format is invalid
+     */
+    static parseTonieId(tonieId) {
+        if (typeof tonieId !== 'string') {
+            return null;
+        }
+
+        const [householdId, creativeTonieId, ...rest] = tonieId.split('/');
+
+        if (!householdId || !creativeTonieId || rest.length > 0) {
+            return null;
+        }
+
+        return { householdId, creativeTonieId };
+    }
+
+    async request(endpoint, options = {}) {
+        const result = await makeTonieApiRequest(endpoint, this.accessToken, options);
+
+        // Later requests use the token a rejected one was renewed with
+        if (result.renewedToken) {
+            this.accessToken = result.renewedToken;
+        }
+
+        return result;
+    }
+
+    /**
+     * List the households of the account
+     */
+    async listHouseholds() {
+        const result = await this.request('/households');
+        return result.success ? { ...result, data: result.data || [] } : result;
+    }
+
+    /**
+     * Read a Creative-Tonie resource of a household.
+     * Some accounts only answer on the hyphenated "creative-tonies" endpoint, which is tried when the documented one fails.
+     * @param {string} [resource] - Path below the Creative-Tonies collection, e.g. "/{creativeTonieId}"
+     */
+    async getCreativeTonieResource(householdId, resource = '') {
+        const endpoint = `/households/${householdId}/creativetonies${resource}`;
+        const result = await this.request(endpoint);
+
+        if (result.success) {
+            return result;
+        }
+
+        const fallbackEndpoint = `/households/${householdId}/creative-tonies${resource}`;
+        console.log(`${endpoint} failed (${result.error}), trying fallback endpoint: ${fallbackEndpoint}`);
+
+        const fallbackResult = await this.request(fallbackEndpoint);
+        return fallbackResult.success ? fallbackResult : { ...result, fallbackError: fallbackResult.error };
+    }
+
+    /**
+     * List the Creative-Tonies of a household
+     */
+    async listCreativeTonies(householdId) {
+        const result = await this.getCreativeTonieResource(householdId);
+        return result.success ? { ...result, data: Array.isArray(result.data) ? result.data : [] } : result;
+    }
+
+    /**
+     * Get a single Creative-Tonie with its chapters
+     */
+    getTonie(householdId, creativeTonieId) {
+        return this.getCreativeTonieResource(householdId, `/${creativeTonieId}`);
+    }
+
+    /**
+     * Replace the chapter list of a Creative-Tonie (the Tonie API has no per-chapter endpoints)
+     * @param {Object[]} chapters - Chapters as { id, title, file, seconds, transcoding }
+     */
+    updateChapters(householdId, creativeTonieId, chapters) {
+        return this.request(`/households/${householdId}/creativetonies/${creativeTonieId}`, {
+            method: 'PATCH',
+            body: JSON.stringify({ chapters }),
+            // The whole list is replaced, so sending it twice does no harm
+            idempotent: true
+        });
+    }
+
+    /**
+     * Find a Creative-Tonie in the list of its household, so uploads can be rejected before any work is done
+     * @returns {Promise<Object>} { success, tonie } or error details with status, listing the available Creative-Tonies if it does not exist
+     */
+    async findCreativeTonie(householdId, creativeTonieId) {
+        const result = await this.listCreativeTonies(householdId);
+
+        if (!result.success) {
+            console.error('Failed to get household Creative-Tonies:', result.error);
+            return {
+                success: false,
+                status: result.status || 500,
+                error: 'Failed to verify Creative-Tonie exists',
+                details: result.error,
+                attempts: result.attempts
+            };
+        }
+
+        const creativetonies = result.data;
+        const tonie = creativetonies.find(t => t.id === creativeTonieId);
+
+        if (!tonie) {
+            console.error(`Creative-Tonie ${creativeTonieId} not found in household ${householdId}`);
+            return {
+                success: false,
+                status: 404,
+                error: 'Creative-Tonie not found',
+                details: `Creative-Tonie with ID "${creativeTonieId}" not found in household "${householdId}"`,
+                availableCreativetonies: creativetonies.map(t => ({
+                    id: t.id,
+                    name: t.name,
+                    chapters: t.chapters?.length || 0
+                }))
+            };
+        }
+
+        console.log(`Found Creative-Tonie: ${tonie.name} (ID: ${tonie.id})`);
+        return { success: true, tonie };
+    }
+
+    /**
+     * Request an upload target for a new file
+     * @returns {Promise<Object>} Result with data { fileId, request: { url, fields } }
+     */
+    requestUpload() {
+        return this.request('/file', { method: 'POST' });
+    }
+
+    /**
+     * Upload a file through the /file + S3 flow
+     * @param {Function} [onProgress] - Called with { bytesDone, bytesTotal } while the file is sent
+     * @returns {Promise<Object>} { success, fileId } or error details with status
+     */
+    async uploadFile(filePath, filename, onProgress = null) {
+        console.log(`Requesting upload URL for "${filename}"...`);
+        const uploadRequestResult = await this.requestUpload();
+
+        if (!uploadRequestResult.success) {
+            return {
+                success: false,
+                status: uploadRequestResult.status || 500,
+                error: 'Failed to get upload URL from Tonie API',
+                details: uploadRequestResult.error,
+                attempts: uploadRequestResult.attempts
+            };
+        }
+
+        const uploadRequest = uploadRequestResult.data;
+        console.log(`Received upload request with fileId: ${uploadRequest.fileId}`);
+
+        try {
+            const fileId = await uploadToS3(uploadRequest, filePath, filename, onProgress);
+            console.log(`File uploaded successfully with ID: ${fileId}`);
+            return { success: true, fileId };
+        } catch (s3Error) {
+            console.error('S3 upload error:', s3Error);
+            return {
+                success: false,
+                status: 500,
+                error: 'Failed to upload file to storage',
+                details: s3Error.message
+            };
+        }
+    }
+
+    /**
+     * Append an uploaded file as chapter to a Creative-Tonie
+     * @returns {Promise<Object>} Result with the updated Creative-Tonie as data
+     */
+    addChapter(householdId, creativeTonieId, { title, fileId }) {
+        return this.request(`/households/${householdId}/creativetonies/${creativeTonieId}/chapters`, {
+            method: 'POST',
+            body: JSON.stringify({
+                title,
+                file: fileId
+            })
+        });
+    }
+
+    /**
+     * Upload a file and append it as chapter
+     * @param {Function} [onProgress] - Called with the uploading and adding-chapter phases and byte progress (see utils/jobs.js)
+     * @returns {Promise<Object>} { success, fileId, chapterData } or error details with status
+     */
+    async uploadChapter(filePath, filename, title, householdId, creativeTonieId, onProgress = () => {}) {
+        onProgress({ phase: 'uploading' });
+        const upload = await this.uploadFile(filePath, filename, onProgress);
+
+        if (!upload.success) {
+            return upload;
+        }
+
+        console.log(`Adding chapter "${title}" to Creative-Tonie ${householdId}/${creativeTonieId}`);
+        onProgress({ phase: 'adding-chapter' });
+        const addChapterResult = await this.addChapter(householdId, creativeTonieId, { title, fileId: upload.fileId });
+
+        if (!addChapterResult.success) {
+            console.error('Add chapter failed:', addChapterResult.error);
+            return {
+                success: false,
+                status: addChapterResult.status || 500,
+                error: 'Failed to add chapter to Creative-Tonie',
+                details: addChapterResult.error,
+                attempts: addChapterResult.attempts,
+                fileId: upload.fileId
+            };
+        }
+
+        return {
+            success: true,
+            fileId: upload.fileId,
+            chapterData: addChapterResult.data
+        };
+    }
+}
@@ -0,0 +1,209 @@
+// utils/transcode.js
+// Optional ffmpeg based conversion of audio the Tonie cloud does not accept
+
+import { spawn } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import { probeAudioFile, correctExtension, TRANSCODABLE_FORMATS } from './audio-probe.js';
+
+const TRANSCODE_TIMEOUT = 300000; // 5 minutes
+
+const TRANSCODABLE_EXTENSIONS = Object.values(TRANSCODABLE_FORMATS).flatMap(format => format.extensions);
+
+// Audio codecs that can be copied into a supported container without re-encoding
+const COPY_TARGETS = {
+    opus: { extension: 'ogg', container: 'ogg' },
+    vorbis: { extension: 'ogg', container: 'ogg' },
+    aac: { extension: 'm4a', container: 'ipod' },
+    mp4a: { extension: 'm4a', container: 'ipod' },
+    mp3: { extension: 'mp3', container: 'mp3' },
+    flac: { extension: 'flac', container: 'flac' }
+};
+
+// Fallback encoding; the native AAC encoder is part of every ffmpeg build
+const ENCODE_TARGET = { extension: 'm4a', container: 'ipod', args: ['-c:a', 'aac', '-b:a', '192k'] };
+
+/**
+ * Check whether the transcoding stage is enabled (TRANSCODING_ENABLED=false turns it off)
+ */
+export function isTranscodingEnabled() {
+    return process.env.TRANSCODING_ENABLED !== 'false';
+}
+
+/**
+ * Check whether a file has to be converted before the Tonie cloud accepts it
+ * @param {string} filename - Original filename
+ * @param {Object} audioInfo - Result of probeAudioFile
+ */
+export function needsTranscoding(filename, audioInfo) {
+    if (audioInfo.format) {
+        return !audioInfo.supported;
+    }
+
+    // Unknown content with a well-known media extension is worth a try with ffmpeg
+    const extension = path.extname(filename).slice(1).toLowerCase();
+    return TRANSCODABLE_EXTENSIONS.includes(extension);
+}
+
+/**
+ * Run ffmpeg with the given arguments
+ * @returns {Promise<void>} Resolves when ffmpeg exits successfully
+ */
+export function runFfmpeg(args, timeout = TRANSCODE_TIMEOUT) {
+    const ffmpegPath = process.env.FFMPEG_PATH || 'ffmpeg';
+
+    return new Promise((resolve, reject) => {
+        const ffmpeg = spawn(ffmpegPath, ['-hide_banner', '-nostdin', '-y', ...args], {
+            stdio: ['ignore', 'ignore', 'pipe']
+        });
+
+        let stderr = '';
+        ffmpeg.stderr.on('data', chunk => {
+            // Only the tail is useful for error messages
+            stderr = (stderr + chunk).slice(-2000);
+        });
+
+        const timer = setTimeout(() => {
+            ffmpeg.kill('SIGKILL');
+            reject(new Error(`ffmpeg timed out after ${Math.round(timeout / 1000)} seconds`));
+        }, timeout);
+
+        ffmpeg.on('error', (error) => {
+            clearTimeout(timer);
+            if (error.code === 'ENOENT') {
+                reject(new Error(`ffmpeg not found at "${ffmpegPath}". Install ffmpeg or set FFMPEG_PATH`));
+            } else {
+                reject(new Error(`Failed to start ffmpeg: ${error.message}`));
+            }
+        });
+
+        ffmpeg.on('close', (code) => {
+            clearTimeout(timer);
+            if (code === 0) {
+                resolve();
+            } else {
+                const lastLine = stderr.trim().split('\n').pop();
+                reject(new Error(`ffmpeg exited with code ${code}: ${lastLine}`));
+            }
+        });
+    });
+}
+
+/**
+ * Remove a file, ignoring files that are already gone
+ */
+async function removeFile(filePath) {
+    try {
+        await fs.promises.unlink(filePath);
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error(`Failed to cleanup temporary file: ${error.message}`);
+        }
+    }
+}
+
+/**
+ * Cut a time range out of an audio file without re-encoding
+ * @param {string} inputPath - Source file
+ * @param {string} outputPath - Destination file, its extension selects the container
+ * @param {Object} range - Range in seconds
+ * @param {number} range.start - Start of the range
+ * @param {number|null} range.end - End of the range, null for the end of the file
+ */
+export async function cutAudio(inputPath, outputPath, { start, end }) {
+    const args = ['-i', inputPath, '-ss', String(start)];
+
+    if (end !== null && end !== undefined) {
+        args.push('-to', String(end));
+    }
+
+    try {
+        await runFfmpeg([...args, '-vn', '-map', '0:a:0', '-c:a', 'copy', outputPath]);
+    } catch (error) {
+        await removeFile(outputPath);
+        throw error;
+    }
+}
+
+/**
+ * Extract the audio stream into a supported format, copying the codec when possible
+ * @returns {Promise<Object>} { path, codecCopied }
+ */
+async function extractAudio(inputPath, audioInfo) {
+    const basePath = inputPath.replace(/\.[^./]+$/, '');
+    const copyTarget = COPY_TARGETS[audioInfo.codec];
+
+    if (copyTarget) {
+        const outputPath = `${basePath}.transcoded.${copyTarget.extension}`;
+
+        try {
+            await runFfmpeg(['-i', inputPath, '-vn', '-map', '0:a:0', '-c:a', 'copy', '-f', copyTarget.container, outputPath]);
+            return { path: outputPath, codecCopied: true };
+        } catch (error) {
+            await removeFile(outputPath);
+
+            // A missing ffmpeg will not get better by encoding instead
+            if (error.message.startsWith('ffmpeg not found')) {
+                throw error;
+            }
+            console.warn(`Copying the ${audioInfo.codec} stream failed, re-encoding instead: ${error.message}`);
+        }
+    }
+
+    const outputPath = `${basePath}.transcoded.${ENCODE_TARGET.extension}`;
+
+    try {
+        await runFfmpeg(['-i', inputPath, '-vn', '-map', '0:a:0', ...ENCODE_TARGET.args, '-f', ENCODE_TARGET.container, outputPath]);
+    } catch (error) {
+        await removeFile(outputPath);
+        throw error;
+    }
+
+    return { path: outputPath, codecCopied: false };
+}
+
+/**
+ * Transcoding stage run by the upload handlers before the S3 upload.
+ * Files in a supported format are passed through unchanged.
+ * @param {Object} input - File to prepare
+ * @param {string} input.path - Path of the file on disk
+ * @param {string} input.filename - Filename reported to the Tonie cloud
+ * @param {Object} input.audioInfo - Result of probeAudioFile
+ * @returns {Promise<Object>} { path, filename, audioInfo, transcoding } where transcoding is null
+ *   for passed-through files and the caller owns (and must remove) a transcoded output file
+ */
+export async function runTranscodingStage({ path: inputPath, filename, audioInfo }) {
+    if (!needsTranscoding(filename, audioInfo)) {
+        return { path: inputPath, filename, audioInfo, transcoding: null };
+    }
+
+    const sourceFormat = audioInfo.format || path.extname(filename).slice(1).toLowerCase();
+
+    if (!isTranscodingEnabled()) {
+        throw new Error(`Format "${sourceFormat}" needs transcoding, which is disabled on this server`);
+    }
+
+    console.log(`Transcoding "${filename}" (${sourceFormat}${audioInfo.codec ? `/${audioInfo.codec}` : ''})...`);
+    const output = await extractAudio(inputPath, audioInfo);
+    const outputInfo = await probeAudioFile(output.path);
+
+    if (!outputInfo.supported) {
+        await removeFile(output.path);
+        throw new Error(`Transcoding "${filename}" did not produce a supported audio file`);
+    }
+
+    const { size } = await fs.promises.stat(output.path);
+    console.log(`Transcoded "${filename}" to ${outputInfo.format}/${outputInfo.codec} (${size} bytes)`);
+
+    return {
+        path: output.path,
+        filename: correctExtension(filename, outputInfo),
+        audioInfo: outputInfo,
+        transcoding: {
+            from: { format: sourceFormat, codec: audioInfo.codec },
+            to: { format: outputInfo.format, codec: outputInfo.codec },
+            codecCopied: output.codecCopied,
+            fileSize: size
+        }
+    };
+}